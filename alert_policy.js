@@ -0,0 +1,159 @@
+/**
+ * 告警去重与冷却策略
+ * - 滞后确认：策略状态转换后需保持 minHoldBars 根K线，或比较链的最小间距达到 minGapPct 才放行；
+ *   确认前状态反转则丢弃，避免价格在EMA附近来回穿越时反复告警
+ * - 冷却：同一代币同一信号类型在 cooldownMinutes 内只发送一次
+ * - 每日上限：每个UTC自然日最多发送 dailyCap 条告警
+ * 被抑制的告警会带原因记录到日志，状态随快照持久化
+ */
+
+const logger = require('./logger').logger.child({ module: 'alert_policy' });
+
+class AlertPolicy {
+    constructor(options = {}) {
+        this.options = {
+            cooldownMinutes: 60,
+            minHoldBars: 1, // 1 表示状态转换当根K线即放行
+            minGapPct: 0, // 0 表示不按间距提前放行
+            dailyCap: 0, // 0 表示不限制
+            ...options
+        };
+        this.lastAlertAt = new Map(); // 链:地址|信号类型 -> 最近一次发送时间
+        this.pending = new Map(); // 链:地址@周期|策略名 -> 等待确认的状态转换 { transition, state, heldBars, startedAt, lastTimestamp }
+        this.daily = { date: null, count: 0 };
+    }
+
+    /**
+     * 滞后确认：记录本根K线的状态转换（没有则为 null），判断等待中的转换是否放行
+     * 返回 { released, dropped }：released 为放行的转换，dropped 为确认前被反转而丢弃的等待项
+     * 同一根K线只计数一次；dryRun 为 true 时只返回结果，不修改等待确认状态
+     */
+    applyHysteresis(key, transition, current, label, { dryRun = false } = {}) {
+        const { minHoldBars, minGapPct } = this.options;
+        let pending = this.pending.get(key) || null;
+        if (pending && current.timestamp <= pending.lastTimestamp) {
+            return { released: null, dropped: null };
+        }
+
+        let dropped = null;
+        if (transition) {
+            // 上一次转换尚未确认就出现新的转换，说明状态已经反转
+            dropped = pending;
+            pending = { transition, state: current.state, heldBars: 0, startedAt: current.timestamp };
+        }
+
+        if (!pending) {
+            return { released: null, dropped };
+        }
+        if (pending.state !== current.state) {
+            if (!dryRun) {
+                this.pending.delete(key);
+            }
+            return { released: null, dropped: pending };
+        }
+
+        pending = { ...pending, heldBars: pending.heldBars + 1, lastTimestamp: current.timestamp };
+        // 间距只对条件成立（enter）的转换有意义
+        const gapCleared = minGapPct > 0 && pending.transition === 'enter' && current.gapPct >= minGapPct;
+        if (pending.heldBars >= minHoldBars || gapCleared) {
+            if (!dryRun) {
+                this.pending.delete(key);
+            }
+            if (minHoldBars > 1 || minGapPct > 0) {
+                logger.info(`✅ ${label} 的 ${pending.transition} 转换已确认（保持 ${pending.heldBars} 根K线，间距 ${current.gapPct.toFixed(2)}%）`);
+            }
+            return { released: pending.transition, dropped };
+        }
+
+        if (!dryRun) {
+            this.pending.set(key, pending);
+        }
+        logger.debug(`⏳ ${label} 的 ${pending.transition} 转换等待确认（已保持 ${pending.heldBars}/${minHoldBars} 根K线，间距 ${current.gapPct.toFixed(2)}%${minGapPct > 0 ? `/${minGapPct}%` : ''}）`);
+        return { released: null, dropped };
+    }
+
+    /**
+     * 清除代币相关的等待确认状态（代币移出监控列表或重新初始化时调用）
+     */
+    clearPending(keyPrefix) {
+        for (const key of Array.from(this.pending.keys())) {
+            if (key.startsWith(keyPrefix)) {
+                this.pending.delete(key);
+            }
+        }
+    }
+
+    /**
+     * 判断信号是否可以发送，返回抑制原因（cooldown / daily_cap），可以发送时返回 null
+     */
+    getSuppressionReason(tokenKey, type, now = Date.now()) {
+        const lastAt = this.lastAlertAt.get(`${tokenKey}|${type}`);
+        if (lastAt && now - lastAt < this.options.cooldownMinutes * 60 * 1000) {
+            return 'cooldown';
+        }
+
+        if (this.options.dailyCap > 0 && this.getDailyCount(now) >= this.options.dailyCap) {
+            return 'daily_cap';
+        }
+        return null;
+    }
+
+    /**
+     * 记录已发送的告警，用于冷却和每日上限
+     */
+    recordSent(tokenKey, type, now = Date.now()) {
+        this.lastAlertAt.set(`${tokenKey}|${type}`, now);
+        this.getDailyCount(now);
+        this.daily.count++;
+    }
+
+    /**
+     * 当天（UTC）已发送的告警数量，跨天时重置
+     */
+    getDailyCount(now = Date.now()) {
+        const date = new Date(now).toISOString().slice(0, 10);
+        if (this.daily.date !== date) {
+            this.daily = { date, count: 0 };
+        }
+        return this.daily.count;
+    }
+
+    /**
+     * 描述抑制原因
+     */
+    describeReason(reason, tokenKey, type, now = Date.now()) {
+        switch (reason) {
+            case 'cooldown': {
+                const remaining = this.options.cooldownMinutes * 60 * 1000 - (now - this.lastAlertAt.get(`${tokenKey}|${type}`));
+                return `冷却中（${this.options.cooldownMinutes} 分钟内已发送过同类告警，剩余 ${Math.ceil(remaining / 60000)} 分钟）`;
+            }
+            case 'daily_cap':
+                return `已达到每日告警上限 ${this.options.dailyCap} 条`;
+            default:
+                return reason;
+        }
+    }
+
+    toJSON() {
+        return {
+            lastAlertAt: Array.from(this.lastAlertAt.entries()),
+            pending: Array.from(this.pending.entries()),
+            daily: this.daily
+        };
+    }
+
+    /**
+     * 从快照恢复，过期的冷却记录直接丢弃
+     */
+    restore(snapshot, now = Date.now()) {
+        if (!snapshot) {
+            return;
+        }
+        const cooldownMs = this.options.cooldownMinutes * 60 * 1000;
+        this.lastAlertAt = new Map((snapshot.lastAlertAt || []).filter(([, at]) => now - at < cooldownMs));
+        this.pending = new Map(snapshot.pending || []);
+        this.daily = snapshot.daily || { date: null, count: 0 };
+    }
+}
+
+module.exports = AlertPolicy;
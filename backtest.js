@@ -0,0 +1,324 @@
+/**
+ * 离线回测
+ * 将K线序列逐根回放，复用实时监控的策略引擎（包括命名规则策略），
+ * 统计每次触发后N根K线的收益，以及命中率、平均收益和最大不利偏移
+ *
+ * 用法：
+ *   node backtest.js --file candles.json [--timeframe 15m] [--horizons 4,16,96] [--out report.json|report.csv]
+ *   node backtest.js --state data/state.json [--out report.csv]
+ *
+ * K线文件支持：
+ *   - JSON：K线对象数组 { timestamp, open, high, low, close, volume, volumeUsd }、
+ *           OKX原始数组 [ts, o, h, l, c, vol, volUsd]，或 { "candles": [...] }
+ *   - CSV：表头包含 timestamp,open,high,low,close（volume,volumeUsd 可选）
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config');
+const { SIGNAL_TYPES } = require('./strategy_engine');
+const logger = require('./logger').logger.child({ module: 'backtest' });
+
+const DEFAULT_HORIZONS = [4, 16, 96];
+
+class Backtester {
+    /**
+     * @param {BSCActiveTokensAnalyzer} analyzer 提供策略引擎和信号计算方法，不会发起任何请求
+     */
+    constructor(analyzer, options = {}) {
+        this.analyzer = analyzer;
+        this.horizons = options.horizons || DEFAULT_HORIZONS;
+    }
+
+    /**
+     * 回放一条K线序列，返回所有触发记录
+     * 与实时监控一致，从第 klineCacheSize 根K线起在最近 klineCacheSize 根K线的窗口上评估策略，
+     * 序列长度需大于 klineCacheSize 才可能出现状态转换
+     */
+    run(candles, { label = 'series', timeframe = this.analyzer.signalTimeframe } = {}) {
+        const windowSize = this.analyzer.klineCacheSize;
+        const strategies = this.analyzer.strategyEngine.getStrategiesForTimeframe(timeframe);
+        const prevStates = new Map();
+        const triggers = [];
+
+        if (strategies.some(strategy => Object.values(strategy.signals).some(signal => signal.confirm.length > 0))) {
+            logger.warn('⚠️ 回测只回放单一周期，策略中的多周期确认条件将被忽略');
+        }
+        if (strategies.some(strategy => strategy.filters.minVolume24h !== undefined || strategy.filters.minMarketCap !== undefined)) {
+            logger.warn('⚠️ 回测没有历史市值和24h成交额数据，策略中的 minVolume24h、minMarketCap 条件将被忽略');
+        }
+
+        for (let i = windowSize - 1; i < candles.length; i++) {
+            // 实时监控只在完整的缓存窗口上检测，不足一个窗口的序列开头不评估
+            const window = candles.slice(i + 1 - windowSize, i + 1);
+            for (const strategy of strategies) {
+                const current = this.analyzer.strategyEngine.evaluate(strategy, window);
+                if (!current) {
+                    continue;
+                }
+
+                const transition = this.analyzer.strategyEngine.getTransition(prevStates.get(strategy.name), current.state);
+                prevStates.set(strategy.name, current.state);
+
+                const signalConfig = transition && strategy.signals[transition];
+                // K线成交量条件与实时监控一致
+                const volumeStats = signalConfig && this.analyzer.strategyEngine.getVolumeStats(strategy, window);
+                if (signalConfig && this.analyzer.strategyEngine.checkBarFilters(strategy, volumeStats).length === 0) {
+                    triggers.push(this.buildTrigger(candles, i, {
+                        label,
+                        source: 'strategy',
+                        strategy: strategy.name,
+                        type: signalConfig.type,
+                        reason: signalConfig.reason || transition
+                    }));
+                }
+            }
+        }
+
+        return triggers;
+    }
+
+    /**
+     * 计算触发点之后各周期的收益和最大不利偏移
+     */
+    buildTrigger(candles, index, meta) {
+        const entry = candles[index].close;
+        const direction = SIGNAL_TYPES[meta.type].direction;
+        const forwardReturns = {};
+
+        for (const horizon of this.horizons) {
+            const target = candles[index + horizon];
+            forwardReturns[horizon] = target ? (target.close - entry) / entry * 100 : null;
+        }
+
+        // 最大不利偏移：最长观察周期内逆信号方向的最大波动（百分比，<=0）
+        const maxHorizon = Math.max(...this.horizons);
+        const future = candles.slice(index + 1, index + 1 + maxHorizon);
+        let maxAdverseExcursion = null;
+        if (future.length > 0) {
+            maxAdverseExcursion = direction > 0
+                ? Math.min(0, (Math.min(...future.map(candle => candle.low)) - entry) / entry * 100)
+                : Math.min(0, (entry - Math.max(...future.map(candle => candle.high))) / entry * 100);
+        }
+
+        return {
+            ...meta,
+            direction,
+            timestamp: candles[index].timestamp,
+            time: new Date(candles[index].timestamp).toISOString(),
+            price: entry,
+            forwardReturns,
+            maxAdverseExcursion
+        };
+    }
+
+    /**
+     * 按 来源/策略/信号类型 汇总命中率、平均收益和最大不利偏移
+     * 命中：收益方向与信号方向一致
+     */
+    summarize(triggers) {
+        const groups = new Map();
+        for (const trigger of triggers) {
+            const key = `${trigger.strategy}/${trigger.type}`;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(trigger);
+        }
+
+        return Array.from(groups.entries()).map(([key, items]) => {
+            const horizons = {};
+            for (const horizon of this.horizons) {
+                const returns = items
+                    .map(item => item.forwardReturns[horizon])
+                    .filter(value => value !== null);
+                const hits = items.filter(item =>
+                    item.forwardReturns[horizon] !== null && item.forwardReturns[horizon] * item.direction > 0
+                ).length;
+
+                horizons[horizon] = {
+                    samples: returns.length,
+                    hitRate: returns.length > 0 ? hits / returns.length * 100 : null,
+                    avgReturn: returns.length > 0 ? returns.reduce((sum, value) => sum + value, 0) / returns.length : null
+                };
+            }
+
+            const excursions = items.map(item => item.maxAdverseExcursion).filter(value => value !== null);
+            return {
+                key,
+                count: items.length,
+                horizons,
+                avgMaxAdverseExcursion: excursions.length > 0 ? excursions.reduce((sum, value) => sum + value, 0) / excursions.length : null,
+                worstMaxAdverseExcursion: excursions.length > 0 ? Math.min(...excursions) : null
+            };
+        });
+    }
+
+    /**
+     * 将触发记录转换为CSV
+     */
+    toCSV(triggers) {
+        const header = ['label', 'source', 'strategy', 'type', 'time', 'price',
+            ...this.horizons.map(horizon => `return_${horizon}`), 'max_adverse_excursion', 'reason'];
+        const rows = triggers.map(trigger => [
+            trigger.label,
+            trigger.source,
+            trigger.strategy,
+            trigger.type,
+            trigger.time,
+            trigger.price,
+            ...this.horizons.map(horizon => trigger.forwardReturns[horizon] ?? ''),
+            trigger.maxAdverseExcursion ?? '',
+            `"${String(trigger.reason).replace(/"/g, '""')}"`
+        ].join(','));
+        return [header.join(','), ...rows].join('\n') + '\n';
+    }
+}
+
+/**
+ * 读取K线文件（JSON或CSV），返回按时间正序排列的K线
+ */
+function loadCandlesFromFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    let candles;
+
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        const [headerLine, ...lines] = content.trim().split(/\r?\n/);
+        const columns = headerLine.split(',').map(column => column.trim());
+        candles = lines.map(line => {
+            const values = line.split(',');
+            const row = {};
+            columns.forEach((column, index) => {
+                row[column] = values[index];
+            });
+            return row;
+        });
+    } else {
+        const data = JSON.parse(content);
+        candles = Array.isArray(data) ? data : data.candles;
+    }
+
+    return candles
+        .map(candle => Array.isArray(candle)
+            ? {
+                timestamp: parseInt(candle[0]),
+                open: parseFloat(candle[1]),
+                high: parseFloat(candle[2]),
+                low: parseFloat(candle[3]),
+                close: parseFloat(candle[4]),
+                volume: parseFloat(candle[5] || 0),
+                volumeUsd: parseFloat(candle[6] || 0)
+            }
+            : {
+                timestamp: typeof candle.timestamp === 'string' && isNaN(candle.timestamp)
+                    ? Date.parse(candle.timestamp)
+                    : parseInt(candle.timestamp),
+                open: parseFloat(candle.open),
+                high: parseFloat(candle.high),
+                low: parseFloat(candle.low),
+                close: parseFloat(candle.close),
+                volume: parseFloat(candle.volume || 0),
+                volumeUsd: parseFloat(candle.volumeUsd || 0)
+            })
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * 从状态快照中读取指定周期的全部K线序列
+ */
+function loadSeriesFromState(filePath, timeframe) {
+    const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return (snapshot.klineCache || [])
+        .filter(([cacheKey]) => cacheKey.endsWith(`@${timeframe}`))
+        .map(([cacheKey, candles]) => ({ label: cacheKey.split('@')[0], candles }));
+}
+
+/**
+ * 解析命令行参数：--name value
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const name = argv[i].slice(2);
+            const next = argv[i + 1];
+            if (next === undefined || next.startsWith('--')) {
+                args[name] = true;
+            } else {
+                args[name] = next;
+                i++;
+            }
+        }
+    }
+    return args;
+}
+
+/**
+ * 命令行入口
+ */
+async function runBacktestCommand(args, config = loadConfig()) {
+    logger.configure(config.logging);
+    // 延迟加载，避免与分析器模块循环引用
+    const BSCActiveTokensAnalyzer = require('./bsc_active_tokens_analyzer');
+    const analyzer = new BSCActiveTokensAnalyzer(null, null, null, { ...config, state: { backend: 'none' } });
+    const timeframe = args.timeframe || analyzer.signalTimeframe;
+    const horizons = args.horizons
+        ? String(args.horizons).split(',').map(value => parseInt(value)).filter(value => value > 0)
+        : DEFAULT_HORIZONS;
+
+    let series;
+    if (args.file) {
+        series = [{ label: path.basename(args.file), candles: loadCandlesFromFile(args.file) }];
+    } else if (args.state) {
+        series = loadSeriesFromState(args.state === true ? config.state.filePath : args.state, timeframe);
+        // 快照只保存最近 klineCacheSize 根K线，只够评估一个窗口，无法回放出状态转换
+        if (!series.some(({ candles }) => candles.length > analyzer.klineCacheSize)) {
+            throw new Error(`状态快照中没有长于 ${analyzer.klineCacheSize} 根（K线缓存窗口）的${timeframe}K线序列，无法回放出状态转换；` +
+                '请使用 --file 指定更长的K线序列');
+        }
+    } else {
+        throw new Error('请通过 --file <K线文件> 或 --state [状态文件] 指定回测数据');
+    }
+
+    const backtester = new Backtester(analyzer, { horizons });
+    const triggers = [];
+    for (const { label, candles } of series) {
+        logger.info(`回放 ${label}: ${candles.length} 根${timeframe}K线`);
+        triggers.push(...backtester.run(candles, { label, timeframe }));
+    }
+
+    const summary = backtester.summarize(triggers);
+    console.log(`\n=== 回测完成：${series.length} 个序列，${triggers.length} 次触发 ===`);
+    for (const group of summary) {
+        console.log(`${group.key}: 触发 ${group.count} 次，平均最大不利偏移 ${group.avgMaxAdverseExcursion?.toFixed(2) ?? '-'}%，最差 ${group.worstMaxAdverseExcursion?.toFixed(2) ?? '-'}%`);
+        for (const [horizon, stats] of Object.entries(group.horizons)) {
+            console.log(`  +${horizon}根: 样本 ${stats.samples}，命中率 ${stats.hitRate?.toFixed(1) ?? '-'}%，平均收益 ${stats.avgReturn?.toFixed(2) ?? '-'}%`);
+        }
+    }
+
+    if (args.out) {
+        const content = path.extname(args.out).toLowerCase() === '.csv'
+            ? backtester.toCSV(triggers)
+            : JSON.stringify({ timeframe, horizons, summary, triggers }, null, 2);
+        fs.writeFileSync(args.out, content);
+        logger.info(`回测结果已写入 ${args.out}`);
+    }
+
+    return { summary, triggers };
+}
+
+if (require.main === module) {
+    runBacktestCommand(parseArgs(process.argv.slice(2))).catch(error => {
+        logger.error('回测失败', { error });
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    Backtester,
+    loadCandlesFromFile,
+    loadSeriesFromState,
+    runBacktestCommand
+};
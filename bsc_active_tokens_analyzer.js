@@ -1,239 +1,498 @@
 /**
- * BSC链代币EMA多头排列监控器
+ * 多链代币EMA多头排列监控器（默认BSC链）
  * 基于OKX DEX API文档实现
- * 功能：获取候选代币的15分钟粒度147根K线，检测EMA21>EMA55>EMA144多头排列信号，发送Telegram通知
+ * 功能：缓存候选代币各周期的K线，在每根新收盘的K线上检测EMA21>EMA55>EMA144多头排列等策略信号，发送到Telegram、Discord、Slack、邮件或Webhook
  */
 
 // 加载环境变量
 require('dotenv').config();
 
-const crypto = require('crypto');
-const axios = require('axios');
 const fs = require('fs');
+const { loadConfig } = require('./config');
+const { OKXClient, OKXAuthError } = require('./okx_client');
+const { runWithConcurrency } = require('./worker_pool');
+const TokenDiscovery = require('./token_discovery');
+const { createStateStore } = require('./state_store');
+const { StrategyEngine, SIGNAL_TYPES } = require('./strategy_engine');
+const { getBarInterval, getLatestClosedBarTimestamp, sortTimeframesDescending } = require('./timeframes');
+const { getChain, normalizeAddress } = require('./chains');
+const { createNotifierHub, describeEMAAlignment } = require('./notifiers');
+const TelegramCommandBot = require('./telegram_bot');
+const BarCloseScheduler = require('./scheduler');
+const StatusServer = require('./status_server');
+const AlertPolicy = require('./alert_policy');
+const { RiskScreener } = require('./risk_screener');
+const SignalJournal = require('./signal_journal');
+const indicators = require('./indicators');
+const { calculateEMATrend, getRuleRequiredBars, DEFAULT_PARAMS: DEFAULT_TREND_PARAMS } = require('./signal_rules');
+const PriceAlertMonitor = require('./price_alerts');
+const { TokenMetadataService } = require('./token_metadata');
+const WatchlistFile = require('./watchlist_file');
+const logger = require('./logger').logger.child({ module: 'analyzer' });
 
 class BSCActiveTokensAnalyzer {
-    constructor(apiKey, secretKey, passphrase) {
-        this.apiKey = apiKey;
-        this.secretKey = secretKey;
-        this.passphrase = passphrase;
-        this.baseUrl = 'https://web3.okx.com';
-        this.bscChainIndex = '56'; // BSC链的chainIndex
-        
-        // 初始化缓存
-        this.klineCache = new Map(); // 存储每个代币的144根K线数据
-        this.emaStatusCache = new Map(); // 存储每个代币的EMA状态历史
+    constructor(apiKey, secretKey, passphrase, options = {}) {
+        this.okx = new OKXClient({ ...options.okx, apiKey, secretKey, passphrase }); // 签名、限速和重试
+        this.chains = (options.chains || ['bsc']).map(getChain); // 监控的链
+        this.signalTimeframe = options.timeframes?.signal || '15m'; // 信号K线周期
+        this.klineCacheSize = 144; // 每个代币每个周期缓存的K线数量，策略需要更多K线时在加载策略后调大
+        this.maxBackfillBars = 96; // 缺口超过该数量时直接重新初始化该代币
+        this.backfillAlertMaxAgeMs = (options.state?.backfillAlertMaxAgeMinutes ?? 60) * 60 * 1000; // 重启后补齐的K线收盘超过该时长不再告警
+        this.scanConcurrency = options.scan?.concurrency || 5; // 同时处理的代币数量，请求速率由OKX客户端统一限速
+        this.priceInfoBatchSize = options.scan?.priceInfoBatchSize || 100; // 批量价格接口单次请求的代币数量
+        this.lastCycleMetrics = null; // 最近一轮定时检测的耗时统计
+        this.scanStats = { runs: 0, totalMs: 0 }; // 累计检测次数和耗时
+        this.initializedAt = null; // 初始化完成时间（毫秒时间戳）
+        this.lastSuccessfulScanAt = null; // 最近一次成功完成检测的时间（毫秒时间戳）
+        this.cycleCount = 0; // 定时检测轮次，作为日志中的 cycle 字段
+        this.lastCheckedBars = new Map(); // 链:地址@周期 -> 本进程最近一次检测过策略信号的K线时间戳
+        
+        // 初始化缓存，键为 链:地址@周期（见 getCacheKey）
+        this.klineCache = new Map(); // 存储每个代币每个周期的144根K线数据
+        this.emaStatusCache = new Map(); // 存储每个代币每个策略的状态历史，键为 链:地址@周期_K线时间戳_策略名
         this.isInitialized = false; // 标记是否已完成初始化
         
-        console.log('初始化BSC活跃代币分析器...');
-    }
-
-    /**
-     * 生成API签名
-     */
-    generateSignature(timestamp, method, requestPath, body = '') {
-        const message = timestamp + method + requestPath + body;
-        const signature = crypto
-            .createHmac('sha256', this.secretKey)
-            .update(message)
-            .digest('base64');
-        return signature;
-    }
-
-    /**
-     * 生成请求头
-     */
-    getHeaders(method, requestPath, body = '') {
-        const timestamp = new Date().toISOString();
-        const signature = this.generateSignature(timestamp, method, requestPath, body);
+        // 监控列表：链:地址 -> { chainIndex, symbol, address, source }，来自监控列表文件的代币另有 label、tags 和覆盖项
+        this.watchlist = new Map();
+        this.discovery = new TokenDiscovery(this, options.discovery);
         
-        return {
-            'OK-ACCESS-KEY': this.apiKey,
-            'OK-ACCESS-SIGN': signature,
-            'OK-ACCESS-TIMESTAMP': timestamp,
-            'OK-ACCESS-PASSPHRASE': this.passphrase,
-            'Content-Type': 'application/json'
-        };
+        // 状态持久化：K线缓存、EMA状态缓存和最近的告警记录
+        this.stateStore = createStateStore(options.state);
+        this.maxAlertLog = options.state?.maxAlertLog || 200;
+        this.alertLog = [];
+        
+        // 通知渠道：Telegram、Discord、Slack、邮件、通用Webhook
+        this.notifier = createNotifierHub(options.notifications);
+        this.mutedUntil = null; // 告警静音截止时间（毫秒时间戳）
+        this.alertCounters = new Map(); // 信号类型|渠道|结果 -> 发送次数
+        this.suppressedAlerts = new Map(); // 抑制原因 -> 未发送的告警数量
+        
+        // 告警去重：冷却、滞后确认和每日上限
+        this.alertPolicy = new AlertPolicy(options.alerts);
+        
+        // 告警前的代币风险筛查：貔貅盘、税率、所有权、流动性、持仓集中度
+        this.riskScreener = new RiskScreener(this, options.risk);
+        
+        // 信号日志：记录每条告警并跟踪之后的价格表现
+        this.journal = new SignalJournal(this, options.journal);
+        
+        // Telegram 交互命令（/watch /unwatch /status /list /mute）
+        this.commandBot = new TelegramCommandBot(this, options.telegramCommands);
+        
+        // 策略引擎：从配置文件加载策略，默认策略为 EMA21 > EMA55 > EMA144 多头排列
+        // 策略可引用指标库中的 SMA、EMA、RSI、MACD、布林带、ATR、VWAP
+        this.strategyEngine = new StrategyEngine(
+            StrategyEngine.loadStrategies(options.strategies?.filePath),
+            Object.fromEntries(Object.entries(indicators.INDICATORS).map(([type, indicator]) => [type, indicator.calculate])),
+            { defaultTimeframe: this.signalTimeframe }
+        );
+        // 信号中的 EMA21/55/144 趋势明细同样需要足够的K线
+        this.klineCacheSize = Math.max(this.klineCacheSize, this.strategyEngine.getMaxRequiredBars(), getRuleRequiredBars(DEFAULT_TREND_PARAMS));
+        
+        // 代币元数据（符号、名称、精度、图标），持久化缓存
+        this.metadata = new TokenMetadataService(this, options.metadata);
+        
+        // 价格提醒：阈值穿越、N根K线涨跌幅、N根K线新高/新低
+        this.priceAlerts = new PriceAlertMonitor(this, options.priceAlerts);
+        
+        // 监控列表文件：长期监控的代币及其标签、策略/周期覆盖和告警路由，修改后自动重新加载
+        this.watchlistFile = new WatchlistFile(this, options.watchlistFile);
+        
+        // 缓存的K线周期：信号周期、配置的额外周期、策略确认条件、价格提醒和监控列表文件用到的周期
+        this.timeframes = [...new Set([
+            this.signalTimeframe,
+            ...(options.timeframes?.list || []),
+            ...this.strategyEngine.getTimeframes(),
+            ...this.priceAlerts.getTimeframes(),
+            ...this.watchlistFile.getTimeframes()
+        ])];
+        this.timeframes.forEach(getBarInterval); // 校验周期是否受支持
+        
+        // 定时检测：各周期K线收盘后等待一段时间执行，不重叠运行
+        this.scheduler = new BarCloseScheduler(() => this.runScheduledAnalysis(), {
+            ...options.scheduler,
+            timeframes: this.timeframes
+        });
+        
+        // HTTP状态服务：/healthz /metrics /tokens
+        this.statusServer = new StatusServer(this, options.http);
+        
+        logger.info(`初始化活跃代币分析器，监控链: ${this.chains.map(chain => chain.name).join(', ')}...`);
     }
 
     /**
-     * 延迟函数，避免API频率限制
+     * 延迟函数
      */
     sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
     /**
-     * 发送Telegram消息
+     * 获取K线数据（默认15分钟粒度）
      */
-    async sendTelegramMessage(message) {
+    async getKlineData(token, limit = 144, timeframe = this.signalTimeframe) {
         try {
-            const telegramToken = process.env.TELEGRAM_BOT_TOKEN;
-            const chatId = process.env.TELEGRAM_CHAT_ID;
+            const data = await this.okx.get('/api/v5/dex/market/historical-candles', {
+                chainIndex: token.chainIndex,
+                tokenContractAddress: normalizeAddress(token.chainIndex, token.address),
+                bar: timeframe, // K线周期
+                limit: limit.toString()
+            });
+
+            // 历史K线API返回格式：[ts, o, h, l, c, vol, volUsd]
+            // 历史K线API只返回已收盘的K线数据，不包含confirm字段
+            const candles = (data || []).map(candle => ({
+                timestamp: parseInt(candle[0]),
+                open: parseFloat(candle[1]),
+                high: parseFloat(candle[2]),
+                low: parseFloat(candle[3]),
+                close: parseFloat(candle[4]),
+                volume: parseFloat(candle[5]),
+                volumeUsd: parseFloat(candle[6])
+            })).reverse(); // 按时间正序排列
             
-            if (!telegramToken || !chatId) {
-                console.log('❌ Telegram配置未设置，跳过消息发送');
-                console.log('请检查环境变量: TELEGRAM_BOT_TOKEN 和 TELEGRAM_CHAT_ID');
-                return false;
-            }
+            logger.debug(`请求 ${limit} 根${timeframe}K线，实际获取到 ${candles.length} 根已收盘K线`, { address: token.address, timeframe });
             
-            // 验证Token格式 (应该类似: 123456789:ABCdefGHIjklMNOpqrsTUVwxyz)
-            if (!telegramToken.includes(':') || telegramToken.length < 35) {
-                console.error('❌ Telegram Bot Token格式不正确');
-                console.log('正确格式应该是: 数字:字母数字组合，例如: 123456789:ABCdefGHIjklMNOpqrsTUVwxyz');
-                return false;
+            return candles;
+        } catch (error) {
+            // 鉴权失败时后续请求都会失败，交给调用方处理
+            if (error instanceof OKXAuthError) {
+                throw error;
             }
-            
-            // 验证Chat ID格式 (应该是数字或以-开头的数字)
-            if (!/^-?\d+$/.test(chatId)) {
-                console.error('❌ Telegram Chat ID格式不正确');
-                console.log('Chat ID应该是纯数字或负数，例如: 123456789 或 -123456789');
-                return false;
+            logger.error('获取K线数据失败', { address: token.address, timeframe, error });
+            return [];
+        }
+    }
+
+    /**
+     * 初始化所有代币的K线数据缓存
+     * 从快照恢复的代币补齐停机期间收盘的K线，并在其中未超过 backfillAlertMaxAgeMs 的K线上检测策略信号，
+     * 检测到的信号在初始化完成后发送，并作为返回值
+     */
+    async initializeKlineCache() {
+        logger.info('🔄 开始初始化K线数据缓存...');
+        await this.restoreState();
+        const tokens = this.getWatchedTokens();
+        const signals = [];
+        
+        // 一次性解析所有监控代币的真实符号，之后的日志和告警都使用真实符号
+        await this.metadata.resolve(tokens);
+        
+        await runWithConcurrency(tokens, this.scanConcurrency, (token, i) => logger.withContext(this.getLogContext(token), async () => {
+            for (const timeframe of this.getTokenTimeframes(token)) {
+                const cacheKey = this.getCacheKey(token, timeframe);
+                if (this.klineCache.has(cacheKey)) {
+                    // 已从快照恢复，只补齐过期的K线
+                    logger.debug(`刷新 ${token.symbol} (${i + 1}/${tokens.length}) 的已恢复${timeframe}K线数据...`);
+                    const cachedKlines = this.klineCache.get(cacheKey);
+                    const updatedKlines = await this.updateTokenKlineCache(token, timeframe);
+                    if (updatedKlines) {
+                        signals.push(...await this.checkBackfilledBars(token, timeframe, cachedKlines, updatedKlines));
+                    }
+                } else {
+                    logger.debug(`初始化 ${token.symbol} (${i + 1}/${tokens.length}) 的${timeframe}K线数据...`);
+                    await this.initializeTokenKlineCache(token, timeframe);
+                }
             }
-            
-            const url = `https://api.telegram.org/bot${telegramToken}/sendMessage`;
-            console.log(`📤 正在发送Telegram消息到Chat ID: ${chatId}`);
-            
-            const response = await axios.post(url, {
-                chat_id: chatId,
-                text: message,
-                parse_mode: 'HTML'
-            }, { timeout: 10000 });
-            
-            if (response.data.ok) {
-                console.log('✅ Telegram消息发送成功');
-                return true;
-            } else {
-                console.error('❌ Telegram消息发送失败:', response.data);
-                return false;
+        }));
+        
+        this.isInitialized = true;
+        this.initializedAt = Date.now();
+        logger.info('✅ K线数据缓存初始化完成', { tokens: tokens.length, series: this.klineCache.size });
+        
+        if (signals.length > 0) {
+            logger.info(`🔁 停机期间收盘的K线上检测到 ${signals.length} 个信号`);
+            await this.attachTokenInfo(signals);
+            await this.attachRiskReports(signals);
+            for (const signal of signals) {
+                await this.dispatchSignal(signal);
             }
-        } catch (error) {
-            console.error('❌ 发送Telegram消息时出错:', error.message);
-            
-            // 详细的错误诊断
-            if (error.response) {
-                console.error('HTTP状态码:', error.response.status);
-                console.error('错误详情:', error.response.data);
-                
-                if (error.response.status === 404) {
-                    console.error('🔍 404错误诊断:');
-                    console.error('1. 检查Bot Token是否正确 (格式: 数字:字母数字)');
-                    console.error('2. 确认Bot是否已通过@BotFather创建');
-                    console.error('3. 验证Bot Token是否有效');
-                    console.error('4. 检查网络连接是否正常');
-                } else if (error.response.status === 400) {
-                    console.error('🔍 400错误诊断:');
-                    console.error('1. 检查Chat ID是否正确');
-                    console.error('2. 确认用户是否已与Bot开始对话');
-                    console.error('3. 验证消息格式是否正确');
-                } else if (error.response.status === 401) {
-                    console.error('🔍 401错误诊断:');
-                    console.error('1. Bot Token无效或已过期');
-                    console.error('2. 请重新从@BotFather获取Token');
-                }
-            } else if (error.code === 'ENOTFOUND') {
-                console.error('🔍 网络错误: 无法连接到Telegram服务器');
-                console.error('请检查网络连接');
-            } else if (error.code === 'ETIMEDOUT') {
-                console.error('🔍 超时错误: 请求超时');
-                console.error('请检查网络连接或稍后重试');
+        }
+        await this.saveState();
+        return signals;
+    }
+
+    /**
+     * 检测重启后补齐的K线上的策略信号，避免停机期间发生的状态转换直接记入状态缓存而漏报
+     * 收盘时间超过 backfillAlertMaxAgeMs 的K线只记录策略状态（补齐时已记录），不再告警
+     */
+    async checkBackfilledBars(token, timeframe, previousKlines, updatedKlines) {
+        const barInterval = getBarInterval(timeframe);
+        const lastTimestamp = previousKlines[previousKlines.length - 1].timestamp;
+        const newCandles = updatedKlines.filter(candle => candle.timestamp > lastTimestamp);
+        // 缺口过大重新初始化后K线可能与快照不连续，此时只检测最新一根
+        const klines = this.isKlineSequenceContinuous(lastTimestamp, newCandles, barInterval)
+            ? [...previousKlines, ...newCandles]
+            : updatedKlines;
+        const firstNewIndex = klines === updatedKlines ? klines.length - 1 : previousKlines.length;
+        const now = Date.now();
+        const signals = [];
+        
+        for (let i = firstNewIndex; i < klines.length; i++) {
+            const window = klines.slice(Math.max(0, i + 1 - this.klineCacheSize), i + 1);
+            if (now - (klines[i].timestamp + barInterval) <= this.backfillAlertMaxAgeMs) {
+                signals.push(...await this.checkStrategySignals(token, timeframe, { withTokenInfo: false, klines: window }));
+            } else if (i === klines.length - 1) {
+                this.recordStrategyStates(token, timeframe, window);
             }
-            
+        }
+        return signals;
+    }
+
+    /**
+     * 从存储后端恢复K线缓存、EMA状态缓存和告警记录
+     * 只恢复当前监控列表中的代币
+     */
+    async restoreState() {
+        const snapshot = await this.stateStore.load();
+        if (!snapshot) {
+            logger.info('未找到可用的状态快照，将完整初始化K线数据');
             return false;
         }
+        
+        // 通过命令手动添加的代币不在候选列表中，需要先恢复到监控列表
+        for (const token of snapshot.manualTokens || []) {
+            this.watchlist.set(this.getTokenKey(token), token);
+        }
+        if (snapshot.mutedUntil && snapshot.mutedUntil > Date.now()) {
+            this.mutedUntil = snapshot.mutedUntil;
+        }
+        
+        const restoredTokens = new Set();
+        for (const [cacheKey, klines] of snapshot.klineCache || []) {
+            const [tokenKey, timeframe] = cacheKey.split('@');
+            const token = this.watchlist.get(tokenKey);
+            if (token && this.getTokenTimeframes(token).includes(timeframe) &&
+                klines.length >= this.klineCacheSize) {
+                this.klineCache.set(cacheKey, klines.slice(-this.klineCacheSize));
+                restoredTokens.add(tokenKey);
+            }
+        }
+        
+        for (const [statusKey, state] of snapshot.emaStatusCache || []) {
+            const cacheKey = statusKey.split('_')[0];
+            if (this.klineCache.has(cacheKey)) {
+                this.emaStatusCache.set(statusKey, state);
+            }
+        }
+        
+        this.alertLog = (snapshot.alertLog || []).slice(-this.maxAlertLog);
+        this.alertPolicy.restore(snapshot.alertPolicy);
+        this.priceAlerts.restore(snapshot.priceAlerts);
+        
+        logger.info(`✅ 已从快照恢复 ${restoredTokens.size} 个代币的K线缓存（快照时间: ${snapshot.savedAt}）`);
+        return true;
     }
 
     /**
-     * 获取K线数据（15分钟粒度）- 修改为只获取144根
+     * 将当前缓存快照保存到存储后端
+     * dry-run 时不保存，避免试运行的冷却和策略状态影响正式运行
      */
-    async getKlineData(tokenAddress, limit = 144) {
+    async saveState() {
+        if (this.notifier.dryRun) {
+            logger.debug('dry-run 模式，跳过保存状态快照');
+            return;
+        }
         try {
-            const endpoint = '/api/v5/dex/market/historical-candles';
-            
-            // 只请求144根K线数据
-            const params = new URLSearchParams({
-                chainIndex: this.bscChainIndex,
-                tokenContractAddress: tokenAddress.toLowerCase(),
-                bar: '15m', // 15分钟粒度
-                limit: limit.toString()
+            await this.stateStore.save({
+                savedAt: new Date().toISOString(),
+                klineCache: Array.from(this.klineCache.entries()),
+                emaStatusCache: Array.from(this.emaStatusCache.entries()),
+                alertLog: this.alertLog,
+                manualTokens: this.getWatchedTokens().filter(token => token.source === 'manual'),
+                mutedUntil: this.mutedUntil,
+                alertPolicy: this.alertPolicy.toJSON(),
+                priceAlerts: this.priceAlerts.toJSON()
             });
+        } catch (error) {
+            logger.error('保存状态快照失败', { error });
+        }
+    }
 
-            const requestPath = `${endpoint}?${params.toString()}`;
-            const headers = this.getHeaders('GET', requestPath);
-            const fullUrl = this.baseUrl + requestPath;
+    /**
+     * 发送信号到所有启用的通知渠道并记录告警
+     * 静音期间、未满足策略的24h成交额/市值条件、风险筛查未通过（suppress 模式）、冷却期内或已达每日上限时不发送，只记录抑制原因
+     * 所有渠道都发送失败时不计入冷却和每日上限，返回 false
+     * dry-run 时只输出告警内容，不计入冷却、每日上限、告警记录和信号日志
+     */
+    async dispatchSignal(signal) {
+        const now = Date.now();
+        const tokenKey = this.getTokenKey(signal);
+        if (this.isMuted(now)) {
+            this.recordSuppressedAlert(signal, 'muted', `告警已静音至 ${new Date(this.mutedUntil).toISOString()}`);
+            return false;
+        }
+        
+        const strategy = signal.strategy && this.strategyEngine.getStrategy(signal.strategy);
+        const filterFailures = strategy ? this.strategyEngine.checkTokenFilters(strategy, signal.tokenInfo) : [];
+        if (filterFailures.length > 0) {
+            this.recordSuppressedAlert(signal, 'filter', filterFailures.join('；'));
+            return false;
+        }
+        
+        await this.attachRiskReports([signal]);
+        if (signal.risk?.flagged && this.riskScreener.options.mode === 'suppress') {
+            this.recordSuppressedAlert(signal, 'risk', signal.risk.issues.join('；'));
+            return false;
+        }
+        
+        // 冷却按信号类型计算，价格提醒按规则计算
+        const alertKey = signal.alertKey || signal.type;
+        const reason = this.alertPolicy.getSuppressionReason(tokenKey, alertKey, now);
+        if (reason) {
+            this.recordSuppressedAlert(signal, reason, this.alertPolicy.describeReason(reason, tokenKey, alertKey, now));
+            return false;
+        }
+        
+        // 监控列表文件中的标签和告警路由
+        const watched = this.watchlist.get(tokenKey);
+        signal.label = watched?.label || null;
+        signal.tags = watched?.tags || [];
+        const results = await this.notifier.notify(signal, watched?.routes || null);
+        if (this.notifier.dryRun) {
+            return true;
+        }
+        for (const [channel, ok] of Object.entries(results)) {
+            const counterKey = `${signal.type}|${channel}|${ok ? 'success' : 'failure'}`;
+            this.alertCounters.set(counterKey, (this.alertCounters.get(counterKey) || 0) + 1);
+        }
+        if (!Object.values(results).some(Boolean)) {
+            this.recordSuppressedAlert(signal, 'send_failed', '所有通知渠道发送失败');
+            return false;
+        }
+        this.alertPolicy.recordSent(tokenKey, alertKey, now);
+        if (signal.priceAlert) {
+            this.priceAlerts.recordSent(signal);
+        }
+        this.recordAlert(signal);
+        await this.journal.record(signal);
+        return true;
+    }
 
-            // 配置axios请求选项，包含代理和更详细的错误处理
-            const axiosConfig = {
-                headers,
-                timeout: 30000, // 增加超时时间到30秒
-                // 如果需要代理，可以在这里配置
-                // proxy: {
-                //     host: '127.0.0.1',
-                //     port: 7890
-                // }
-            };
+    /**
+     * 记录未发送的告警及原因（muted / filter / risk / cooldown / daily_cap / hysteresis / send_failed）
+     */
+    recordSuppressedAlert(signal, reason, detail) {
+        logger.info(`🚫 ${signal.symbol} 的 ${signal.type} 信号未发送（${reason}）：${detail}`, {
+            symbol: signal.symbol,
+            address: signal.address,
+            strategy: signal.strategy,
+            reason
+        });
+        this.suppressedAlerts.set(reason, (this.suppressedAlerts.get(reason) || 0) + 1);
+        this.recordAlert(signal, reason);
+    }
 
-            console.log(`正在请求K线数据: ${fullUrl}`);
-            const response = await axios.get(fullUrl, axiosConfig);
-            await this.sleep(200);
+    /**
+     * 暂停告警指定分钟数，0 表示恢复
+     */
+    muteAlerts(minutes) {
+        this.mutedUntil = minutes > 0 ? Date.now() + minutes * 60 * 1000 : null;
+        logger.info(this.mutedUntil
+            ? `🔇 告警已暂停至 ${new Date(this.mutedUntil).toISOString()}`
+            : '🔔 告警已恢复');
+    }
 
-            if (response.data.code === '0' && response.data.data) {
-                // 历史K线API返回格式：[ts, o, h, l, c, vol, volUsd]
-                // 历史K线API只返回已收盘的K线数据，不包含confirm字段
-                const candles = response.data.data.map(candle => ({
-                    timestamp: parseInt(candle[0]),
-                    open: parseFloat(candle[1]),
-                    high: parseFloat(candle[2]),
-                    low: parseFloat(candle[3]),
-                    close: parseFloat(candle[4]),
-                    volume: parseFloat(candle[5]),
-                    volumeUsd: parseFloat(candle[6])
-                })).reverse(); // 按时间正序排列
-                
-                console.log(`${tokenAddress}: 请求 ${limit} 根K线，实际获取到 ${candles.length} 根历史K线数据（均为已收盘）`);
-                
-                // 直接返回所有获取到的K线数据
-                return candles;
-            }
-            return [];
-        } catch (error) {
-            console.error(`获取代币 ${tokenAddress} K线数据失败:`, error.message);
-            return [];
+    /**
+     * 当前是否处于静音期
+     */
+    isMuted(now = Date.now()) {
+        return this.mutedUntil !== null && now < this.mutedUntil;
+    }
+
+    /**
+     * 记录告警，suppressedReason 不为空表示该告警被抑制未发送
+     */
+    recordAlert(signal, suppressedReason = null) {
+        this.alertLog.push({
+            symbol: signal.symbol,
+            address: signal.address,
+            chainIndex: signal.chainIndex,
+            strategy: signal.strategy,
+            type: signal.type,
+            timeframe: signal.timeframe,
+            signalReason: signal.signalReason,
+            currentPrice: signal.currentPrice,
+            klineTimestamp: signal.klineTimestamp,
+            timestamp: signal.timestamp,
+            suppressedReason
+        });
+        
+        if (this.alertLog.length > this.maxAlertLog) {
+            this.alertLog = this.alertLog.slice(-this.maxAlertLog);
         }
     }
 
     /**
-     * 初始化所有代币的K线数据缓存
+     * 初始化单个代币单个周期的K线数据缓存（也用于缺口过大时重新初始化）
      */
-    async initializeKlineCache() {
-        console.log('🔄 开始初始化K线数据缓存...');
-        const tokens = this.getTopVolumeBSCTokens();
+    async initializeTokenKlineCache(token, timeframe = this.signalTimeframe) {
+        // 多拉取1根K线，用于记录上一根K线的策略状态
+        const fetchedKlines = await this.getKlineData(token, this.klineCacheSize + 1, timeframe);
+        if (fetchedKlines.length < this.klineCacheSize) {
+            logger.warn(`${token.symbol} ${timeframe}K线数据不足${this.klineCacheSize}根，跳过`, { bars: fetchedKlines.length });
+            return null;
+        }
         
-        for (let i = 0; i < tokens.length; i++) {
-            const token = tokens[i];
-            console.log(`初始化 ${token.symbol} (${i + 1}/${tokens.length}) 的K线数据...`);
-            
-            const klineData = await this.getKlineData(token.address, 144);
-            if (klineData.length >= 144) {
-                // 存储144根K线数据到缓存
-                this.klineCache.set(token.address, klineData);
-                
-                // 计算并存储初始EMA状态
-                const emaStatus = this.calculateEMAStatus(klineData);
-                if (emaStatus) {
-                    const statusKey = `${token.address}_${emaStatus.timestamp}_prev`;
-                    this.emaStatusCache.set(statusKey, emaStatus.bullish);
-                    console.log(`${token.symbol} 初始EMA状态: ${emaStatus.bullish ? '多头排列' : '非多头排列'}`);
-                }
-            } else {
-                console.log(`${token.symbol} K线数据不足144根，跳过`);
-            }
-            
-            // 避免API频率限制
-            await this.sleep(300);
+        // 记录上一根K线的策略状态，初始化后即可判断最新K线的状态转换（单轮检测依赖于此）
+        if (fetchedKlines.length > this.klineCacheSize) {
+            this.recordStrategyStates(token, timeframe, fetchedKlines.slice(0, -1));
         }
         
-        this.isInitialized = true;
-        console.log('✅ K线数据缓存初始化完成');
+        // 存储最近 klineCacheSize 根K线数据到缓存
+        const klineData = fetchedKlines.slice(-this.klineCacheSize);
+        this.klineCache.set(this.getCacheKey(token, timeframe), klineData);
+        
+        // 计算并存储各策略的初始状态
+        const results = this.recordStrategyStates(token, timeframe, klineData);
+        for (const { strategy, result } of results) {
+            logger.debug(`${token.symbol} 初始策略状态 ${strategy.label}(${timeframe}): ${result.state ? '满足' : '不满足'}`);
+        }
+        
+        return klineData;
+    }
+
+    /**
+     * 获取代币在监控列表中的键（链:地址）
+     */
+    getTokenKey(token) {
+        return `${token.chainIndex}:${token.address}`;
+    }
+
+    /**
+     * 代币的日志上下文字段，处理该代币期间的所有日志都会带上
+     */
+    getLogContext(token) {
+        return { symbol: token.symbol, address: token.address, chainIndex: token.chainIndex };
+    }
+
+    /**
+     * 获取K线缓存的键
+     */
+    getCacheKey(token, timeframe) {
+        return `${this.getTokenKey(token)}@${timeframe}`;
+    }
+
+    /**
+     * 获取策略状态缓存的键
+     */
+    getStrategyStatusKey(token, timeframe, timestamp, strategyName) {
+        return `${this.getCacheKey(token, timeframe)}_${timestamp}_${strategyName}`;
+    }
+
+    /**
+     * 在给定K线窗口的最新一根上评估该周期的所有策略并记录状态
+     */
+    recordStrategyStates(token, timeframe, klineData) {
+        const results = [];
+        for (const strategy of this.getTokenStrategies(token, timeframe)) {
+            const result = this.strategyEngine.evaluate(strategy, klineData);
+            if (result) {
+                this.emaStatusCache.set(this.getStrategyStatusKey(token, timeframe, result.timestamp, strategy.name), result.state);
+                results.push({ strategy, result });
+            }
+        }
+        return results;
     }
 
     /**
@@ -278,75 +537,232 @@ class BSCActiveTokensAnalyzer {
 
     /**
      * 更新单个代币的K线数据缓存
+     * 若最新K线与缓存最后一根之间存在缺口，则补齐缺失的K线；缺口过大或数据不连续时重新初始化
      */
-    async updateTokenKlineCache(tokenAddress) {
+    async updateTokenKlineCache(token, timeframe = this.signalTimeframe) {
         try {
             // 获取最新的K线数据（只获取1根最新的）
-            const latestKline = await this.getKlineData(tokenAddress, 1);
+            const latestKline = await this.getKlineData(token, 1, timeframe);
             if (latestKline.length === 0) {
-                console.log(`${tokenAddress} 无法获取最新K线数据`);
+                logger.warn(`${token.symbol} 无法获取最新${timeframe}K线数据`);
                 return null;
             }
             
             const newCandle = latestKline[0];
-            const cachedKlines = this.klineCache.get(tokenAddress);
+            const cacheKey = this.getCacheKey(token, timeframe);
+            const cachedKlines = this.klineCache.get(cacheKey);
             
             if (!cachedKlines || cachedKlines.length === 0) {
-                console.log(`${tokenAddress} 缓存中无K线数据，跳过更新`);
+                logger.warn(`${token.symbol} 缓存中无${timeframe}K线数据，跳过更新`);
                 return null;
             }
             
             // 检查是否是新的K线（时间戳不同）
             const lastCachedCandle = cachedKlines[cachedKlines.length - 1];
             if (newCandle.timestamp <= lastCachedCandle.timestamp) {
-                console.log(`${tokenAddress} 没有新的K线数据`);
+                logger.debug(`${token.symbol} 没有新的${timeframe}K线数据`);
                 return null;
             }
             
+            const barInterval = getBarInterval(timeframe);
+            let newCandles = [newCandle];
+            const missingBars = (newCandle.timestamp - lastCachedCandle.timestamp) / barInterval - 1;
+            
+            if (missingBars !== 0) {
+                logger.warn(`⚠️ ${token.symbol} ${timeframe}K线缺口: 缓存最后一根 ${new Date(lastCachedCandle.timestamp).toISOString()}，最新 ${new Date(newCandle.timestamp).toISOString()}，缺失 ${missingBars} 根`);
+                
+                if (!Number.isInteger(missingBars) || missingBars > this.maxBackfillBars) {
+                    logger.warn(`${token.symbol} 缺口无法补齐，重新初始化${timeframe}K线缓存`);
+                    return await this.reseedTokenKlineCache(token, timeframe);
+                }
+                
+                // 拉取缺口内的K线（包含最新一根）
+                const gapKlines = await this.getKlineData(token, missingBars + 1, timeframe);
+                newCandles = gapKlines.filter(candle => candle.timestamp > lastCachedCandle.timestamp);
+                
+                if (!this.isKlineSequenceContinuous(lastCachedCandle.timestamp, newCandles, barInterval) ||
+                    newCandles[newCandles.length - 1].timestamp !== newCandle.timestamp) {
+                    logger.warn(`${token.symbol} 补齐的K线时间戳不连续，重新初始化${timeframe}K线缓存`);
+                    return await this.reseedTokenKlineCache(token, timeframe);
+                }
+                
+                logger.info(`✅ ${token.symbol} 已补齐 ${newCandles.length - 1} 根缺失K线`);
+            }
+            
             // 添加新K线，删除最旧的K线，保持144根
-            const updatedKlines = [...cachedKlines.slice(1), newCandle];
-            this.klineCache.set(tokenAddress, updatedKlines);
+            const mergedKlines = [...cachedKlines, ...newCandles];
+            
+            // 为补齐的中间K线记录策略状态，保证下一根K线的状态转换判断有依据
+            for (let i = cachedKlines.length; i < mergedKlines.length - 1; i++) {
+                this.recordStrategyStates(token, timeframe, mergedKlines.slice(i + 1 - this.klineCacheSize, i + 1));
+            }
             
-            console.log(`${tokenAddress} K线缓存已更新，新K线时间: ${new Date(newCandle.timestamp).toISOString()}`);
+            const updatedKlines = mergedKlines.slice(-this.klineCacheSize);
+            this.klineCache.set(cacheKey, updatedKlines);
+            
+            logger.debug(`${token.symbol} ${timeframe}K线缓存已更新，新K线时间: ${new Date(newCandle.timestamp).toISOString()}`);
             
             return updatedKlines;
         } catch (error) {
-            console.error(`更新 ${tokenAddress} K线缓存失败:`, error.message);
+            if (error instanceof OKXAuthError) {
+                throw error;
+            }
+            logger.error(`更新 ${token.symbol} ${timeframe}K线缓存失败`, { timeframe, error });
             return null;
         }
     }
+
     /**
-     * 计算EMA（指数移动平均线）
+     * 检查K线序列是否紧接在指定时间戳之后且逐根连续
      */
-    calculateEMA(prices, period) {
-        if (prices.length < period) {
-            return [];
+    isKlineSequenceContinuous(previousTimestamp, candles, barInterval) {
+        if (candles.length === 0) {
+            return false;
         }
+        
+        let expected = previousTimestamp + barInterval;
+        for (const candle of candles) {
+            if (candle.timestamp !== expected) {
+                return false;
+            }
+            expected += barInterval;
+        }
+        return true;
+    }
+
+    /**
+     * 缺口过大时清空该代币该周期的策略状态并重新初始化K线缓存
+     */
+    async reseedTokenKlineCache(token, timeframe = this.signalTimeframe) {
+        this.purgeTokenCache(token, [timeframe]);
+        return await this.initializeTokenKlineCache(token, timeframe);
+    }
+
+    /**
+     * 清除代币的K线缓存和策略状态缓存（默认清除所有周期）
+     */
+    purgeTokenCache(token, timeframes = this.timeframes) {
+        for (const timeframe of timeframes) {
+            const cacheKey = this.getCacheKey(token, timeframe);
+            this.alertPolicy.clearPending(`${cacheKey}|`);
+            for (const key of Array.from(this.emaStatusCache.keys())) {
+                if (key.startsWith(`${cacheKey}_`)) {
+                    this.emaStatusCache.delete(key);
+                }
+            }
+            this.klineCache.delete(cacheKey);
+        }
+    }
 
-        const ema = new Array(prices.length);
-        const multiplier = 2 / (period + 1);
+    /**
+     * 判断指定周期是否有新的已收盘K线需要拉取
+     */
+    isNewBarDue(token, timeframe, now = Date.now()) {
+        const cachedKlines = this.klineCache.get(this.getCacheKey(token, timeframe));
+        if (!cachedKlines || cachedKlines.length === 0) {
+            return true;
+        }
+        return cachedKlines[cachedKlines.length - 1].timestamp < getLatestClosedBarTimestamp(timeframe, now);
+    }
+
+    /**
+     * 加载初始监控列表：候选代币发现和监控列表文件，两者都没有代币时退回内置列表
+     */
+    async loadWatchlist() {
+        if (this.discovery.options.enabled) {
+            await this.discovery.refresh();
+        }
         
-        // 前面的值设为null，表示无效
-        for (let i = 0; i < period - 1; i++) {
-            ema[i] = null;
+        // 监控列表文件中的代币
+        this.watchlistFile.load();
+        
+        if (this.watchlist.size === 0 && this.chains.some(chain => chain.key === 'bsc')) {
+            logger.warn('⚠️ 未能通过排行榜获取候选代币，使用内置BSC候选列表');
+            for (const token of this.getTopVolumeBSCTokens()) {
+                this.watchlist.set(this.getTokenKey(token), token);
+            }
         }
         
-        // 第一个EMA值使用SMA
-        let sma = 0;
-        for (let i = 0; i < period; i++) {
-            sma += prices[i];
+        // 价格提醒规则涉及的代币也需要缓存K线
+        for (const token of this.priceAlerts.getTokens()) {
+            if (!this.watchlist.has(this.getTokenKey(token))) {
+                this.watchlist.set(this.getTokenKey(token), token);
+            }
         }
-        ema[period - 1] = sma / period;
         
-        // 计算后续EMA值
-        for (let i = period; i < prices.length; i++) {
-            ema[i] = (prices[i] * multiplier) + (ema[i - 1] * (1 - multiplier));
+        logger.info(`📋 监控列表共 ${this.watchlist.size} 个代币`);
+    }
+
+    /**
+     * 获取当前监控的代币列表
+     */
+    getWatchedTokens() {
+        return Array.from(this.watchlist.values());
+    }
+
+    /**
+     * 获取代币需要缓存的K线周期：监控列表文件设置了 timeframes 时只使用这些周期（价格提醒用到的周期始终保留）
+     */
+    getTokenTimeframes(token) {
+        if (!token.timeframes) {
+            return this.timeframes;
         }
+        return this.timeframes.filter(timeframe =>
+            token.timeframes.includes(timeframe) || this.priceAlerts.getActiveRules(token, timeframe).length > 0
+        );
+    }
+
+    /**
+     * 获取代币在该周期需要检测的策略：监控列表文件设置了 strategies 时只检测这些策略
+     */
+    getTokenStrategies(token, timeframe) {
+        const strategies = this.strategyEngine.getStrategiesForTimeframe(timeframe);
+        return token.strategies ? strategies.filter(strategy => token.strategies.includes(strategy.name)) : strategies;
+    }
+
+    /**
+     * 添加监控代币，系统已初始化时立即初始化其K线缓存
+     * 返回是否所有周期的K线缓存都已初始化成功
+     */
+    async addWatchedToken(token) {
+        await this.metadata.resolve([token]);
+        this.watchlist.set(this.getTokenKey(token), token);
         
-        return ema;
+        let initialized = true;
+        if (this.isInitialized) {
+            for (const timeframe of this.getTokenTimeframes(token)) {
+                if (!await this.initializeTokenKlineCache(token, timeframe)) {
+                    initialized = false;
+                }
+            }
+        }
+        return initialized;
+    }
+
+    /**
+     * 移除监控代币并清除其缓存
+     */
+    removeWatchedToken(token) {
+        this.watchlist.delete(this.getTokenKey(token));
+        this.purgeTokenCache(token);
+    }
+
+    /**
+     * 计算EMA（指数移动平均线）
+     */
+    calculateEMA(prices, period) {
+        return indicators.ema(prices, period);
+    }
+
+    /**
+     * 计算SMA（简单移动平均线）
+     */
+    calculateSMA(prices, period) {
+        return indicators.sma(prices, period);
     }
 
     /**
+     * 内置BSC候选代币列表，仅在候选代币发现不可用时作为兜底
      */
     getTopVolumeBSCTokens() {
         // 从成交量前100的代币中提取的合约地址
@@ -450,206 +866,169 @@ class BSCActiveTokensAnalyzer {
   "0x0c78d4605c2972e5f989de9019de1fb00c5d3462"
 ];
         
-        // 将地址转换为代币对象格式，使用地址的前8位作为临时符号
+        // 将地址转换为代币对象格式，使用序号作为临时符号，初始化时由元数据服务替换为真实符号
         return addresses.map((address, index) => ({
+            chainIndex: getChain('bsc').chainIndex,
             symbol: `TOKEN_${index + 1}`,
-            address: address
+            address: address,
+            source: 'builtin'
         }));
     }
 
     /**
-     * 获取代币详细信息（带重试机制）
+     * 获取代币详细信息
      * 使用OKX DEX API的代币交易信息接口
      */
-    async getTokenInfo(tokenAddress, maxRetries = 3) {
-        // 首先尝试从代币列表API获取真实的代币名称和符号
-        const tokenListInfo = await this.getTokenFromList(tokenAddress, maxRetries);
+    async getTokenInfo(token) {
+        const tokenInfos = await this.getTokenInfos([token]);
+        return tokenInfos.get(this.getTokenKey(token));
+    }
+
+    /**
+     * 批量获取代币详细信息，名称和符号来自元数据缓存，价格信息通过批量接口获取
+     * 返回 Map：链:地址 -> 代币信息
+     */
+    async getTokenInfos(tokens) {
+        const metadata = await this.metadata.resolve(tokens);
+        const priceInfos = await this.getTokenPriceInfos(tokens);
+        const tokenInfos = new Map();
         
-        // 然后获取价格信息
-        const priceInfo = await this.getTokenPriceInfo(tokenAddress, maxRetries);
+        for (const token of tokens) {
+            const tokenKey = this.getTokenKey(token);
+            const tokenMetadata = metadata.get(tokenKey);
+            const priceInfo = priceInfos.get(tokenKey);
+            
+            // 合并信息
+            tokenInfos.set(tokenKey, {
+                name: tokenMetadata?.name || `Token_${token.address.slice(0, 8)}`,
+                symbol: tokenMetadata?.symbol || `TOKEN_${token.address.slice(-4).toUpperCase()}`,
+                decimals: tokenMetadata?.decimals ?? null,
+                logoUrl: tokenMetadata?.logoUrl || null,
+                marketCap: priceInfo.marketCap || '0',
+                volume24h: priceInfo.volume24h || '0',
+                holderCount: priceInfo.holderCount || '0',
+                liquidity: priceInfo.liquidity || '0',
+                price: priceInfo.price || '0'
+            });
+        }
         
-        // 合并信息
-        return {
-            name: tokenListInfo.name || `Token_${tokenAddress.slice(0, 8)}`,
-            symbol: tokenListInfo.symbol || `TOKEN_${tokenAddress.slice(-4).toUpperCase()}`,
-            marketCap: priceInfo.marketCap || '0',
-            volume24h: priceInfo.volume24h || '0',
-            holderCount: priceInfo.holderCount || '0',
-            price: priceInfo.price || '0'
-        };
+        return tokenInfos;
     }
 
     /**
-     * 从OKX代币列表API获取代币的真实名称和符号
+     * 从OKX代币列表API获取代币的真实名称和符号，未找到时返回 null
      */
-    async getTokenFromList(tokenAddress, maxRetries = 3) {
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                console.log(`从代币列表获取信息 ${tokenAddress} (尝试 ${attempt}/${maxRetries})...`);
-                
-                const endpoint = '/api/v5/defi/explore/token/list';
-                const params = new URLSearchParams({
-                    tokenAddress: tokenAddress.toLowerCase(),
-                    chainId: '56' // BSC链ID
-                });
-                
-                const headers = this.getHeaders('GET', `${endpoint}?${params.toString()}`);
-                const fullUrl = `${this.baseUrl}${endpoint}?${params.toString()}`;
-
-                // 配置axios请求选项
-                const axiosConfig = {
-                    headers,
-                    timeout: 30000, // 增加超时时间
-                    // 如果需要代理，可以在这里配置
-                    // proxy: {
-                    //     host: '127.0.0.1',
-                    //     port: 7890
-                    // }
-                };
-
-                const response = await axios.get(fullUrl, axiosConfig);
-                await this.sleep(300);
-
-                console.log(`代币列表API响应状态: ${response.status}, 代码: ${response.data?.code}`);
-                
-                if (response.data.code === 0 && response.data.data && response.data.data.length > 0) {
-                    const tokenData = response.data.data[0];
-                    if (tokenData.tokenInfos && tokenData.tokenInfos.length > 0) {
-                        // 查找BSC网络的代币信息
-                        const bscToken = tokenData.tokenInfos.find(info => 
-                            info.network === 'BSC' && 
-                            info.tokenAddress.toLowerCase() === tokenAddress.toLowerCase()
-                        );
-                        
-                        if (bscToken) {
-                            console.log(`找到真实代币信息: ${bscToken.tokenSymbol}`);
-                            return {
-                                name: bscToken.tokenSymbol, // 使用符号作为名称
-                                symbol: bscToken.tokenSymbol
-                            };
-                        }
-                    }
-                }
-                
-                console.log(`代币列表API未找到 ${tokenAddress} 的信息`);
-                break; // 如果API调用成功但没找到数据，不需要重试
-                
-            } catch (error) {
-                console.error(`代币列表API调用失败 (${tokenAddress}) 尝试 ${attempt}/${maxRetries}:`, error.message);
+    async getTokenFromList(token) {
+        const chain = getChain(token.chainIndex);
+        const tokenAddress = normalizeAddress(token.chainIndex, token.address);
+        
+        try {
+            logger.debug('从代币列表获取信息', { address: tokenAddress });
+            const data = await this.okx.get('/api/v5/defi/explore/token/list', {
+                tokenAddress: tokenAddress,
+                chainId: chain.chainIndex
+            });
+            
+            if (data && data.length > 0 && data[0].tokenInfos) {
+                // 查找对应链上的代币信息
+                const chainToken = data[0].tokenInfos.find(info => 
+                    info.network === chain.tokenListNetwork && 
+                    normalizeAddress(token.chainIndex, info.tokenAddress) === tokenAddress
+                );
                 
-                if (attempt === maxRetries) {
-                    console.log(`代币列表API所有重试都失败，使用默认命名`);
+                if (chainToken) {
+                    logger.debug(`找到真实代币信息: ${chainToken.tokenSymbol}`, { address: tokenAddress });
+                    return {
+                        name: chainToken.tokenName || chainToken.tokenSymbol,
+                        symbol: chainToken.tokenSymbol,
+                        decimals: chainToken.decimals !== undefined ? parseInt(chainToken.decimals) : null,
+                        logoUrl: chainToken.tokenLogoUrl || null,
+                        source: 'token_list'
+                    };
                 }
-                
-                await this.sleep(1000 * attempt);
             }
+            
+            logger.debug('代币列表API未找到代币信息', { address: tokenAddress });
+        } catch (error) {
+            logger.error('代币列表API调用失败', { address: tokenAddress, error });
         }
         
-        // 返回默认信息
-        return {
-            name: `Token_${tokenAddress.slice(0, 8)}`,
-            symbol: `TOKEN_${tokenAddress.slice(-4).toUpperCase()}`
-        };
+        return null;
     }
 
     /**
      * 获取代币价格信息
      */
-    async getTokenPriceInfo(tokenAddress, maxRetries = 3) {
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                console.log(`获取代币价格信息 ${tokenAddress} (尝试 ${attempt}/${maxRetries})...`);
-                
-                const endpoint = '/api/v5/dex/market/price-info';
-                
-                // 构建请求体，使用POST方法
-                const requestBody = JSON.stringify([{
-                    chainIndex: this.bscChainIndex,
-                    tokenContractAddress: tokenAddress.toLowerCase()
-                }]);
-
-                const headers = this.getHeaders('POST', endpoint, requestBody);
-                const fullUrl = this.baseUrl + endpoint;
-
-                // 配置axios请求选项
-                const axiosConfig = {
-                    headers,
-                    timeout: 30000, // 增加超时时间
-                    // 如果需要代理，可以在这里配置
-                    // proxy: {
-                    //     host: '127.0.0.1',
-                    //     port: 7890
-                    // }
-                };
-
-                const response = await axios.post(fullUrl, requestBody, axiosConfig);
-                await this.sleep(300);
+    async getTokenPriceInfo(token) {
+        const priceInfos = await this.getTokenPriceInfos([token]);
+        return priceInfos.get(this.getTokenKey(token));
+    }
 
-                console.log(`价格API响应状态: ${response.status}, 代码: ${response.data?.code}`);
-                
-                if (response.data.code === '0') {
-                    if (response.data.data && response.data.data.length > 0) {
-                        const tokenData = response.data.data[0];
-                        console.log(`代币价格数据:`, JSON.stringify(tokenData, null, 2));
-                        
-                        return {
-                            marketCap: tokenData.marketCap || '0',
-                            volume24h: tokenData.volume24H || '0',
-                            holderCount: tokenData.holders || '0',
-                            price: tokenData.price || '0'
-                        };
-                    } else {
-                        console.log(`代币 ${tokenAddress} 未找到价格数据`);
-                        return {
-                            marketCap: '数据获取中',
-                            volume24h: '数据获取中',
-                            holderCount: '数据获取中',
-                            price: '0'
-                        };
-                    }
-                } else {
-                    console.error(`价格API返回错误代码: ${response.data.code}, 消息: ${response.data.msg}`);
-                    if (attempt === maxRetries) {
-                        return {
-                            marketCap: '获取失败',
-                            volume24h: '获取失败',
-                            holderCount: '获取失败',
-                            price: '0'
-                        };
-                    }
-                }
+    /**
+     * 批量获取代币价格信息，price-info 接口一次请求可查询多个代币
+     * 返回 Map：链:地址 -> 价格信息
+     */
+    async getTokenPriceInfos(tokens) {
+        const priceInfos = new Map();
+        
+        for (let i = 0; i < tokens.length; i += this.priceInfoBatchSize) {
+            const batch = tokens.slice(i, i + this.priceInfoBatchSize);
+            let data = null;
+            try {
+                logger.debug(`批量获取 ${batch.length} 个代币的价格信息...`);
+                data = await this.okx.post('/api/v5/dex/market/price-info', batch.map(token => ({
+                    chainIndex: token.chainIndex,
+                    tokenContractAddress: normalizeAddress(token.chainIndex, token.address)
+                })));
             } catch (error) {
-                console.error(`获取代币价格信息失败 (${tokenAddress}) 尝试 ${attempt}/${maxRetries}:`, error.message);
-                
-                if (attempt === maxRetries) {
-                    console.error(`价格API所有重试都失败，返回默认信息`);
-                    return {
+                logger.error(`批量获取 ${batch.length} 个代币的价格信息失败`, { error });
+            }
+            
+            const byKey = new Map((data || []).map(item => [
+                this.getTokenKey({ chainIndex: String(item.chainIndex), address: normalizeAddress(String(item.chainIndex), item.tokenContractAddress) }),
+                item
+            ]));
+            
+            for (const token of batch) {
+                const tokenKey = this.getTokenKey(token);
+                const tokenData = byKey.get(tokenKey);
+                if (tokenData) {
+                    priceInfos.set(tokenKey, {
+                        marketCap: tokenData.marketCap || '0',
+                        volume24h: tokenData.volume24H || '0',
+                        holderCount: tokenData.holders || '0',
+                        liquidity: tokenData.liquidity,
+                        price: tokenData.price || '0'
+                    });
+                } else if (data) {
+                    logger.debug('未找到代币价格数据', { address: token.address });
+                    priceInfos.set(tokenKey, {
+                        marketCap: '数据获取中',
+                        volume24h: '数据获取中',
+                        holderCount: '数据获取中',
+                        price: '0'
+                    });
+                } else {
+                    priceInfos.set(tokenKey, {
                         marketCap: '获取失败',
                         volume24h: '获取失败',
                         holderCount: '获取失败',
                         price: '0'
-                    };
+                    });
                 }
-                
-                await this.sleep(1000 * attempt);
             }
         }
         
-        return {
-            marketCap: '获取失败',
-            volume24h: '获取失败',
-            holderCount: '获取失败',
-            price: '0'
-        };
+        return priceInfos;
     }
     
     /**
      * 获取默认代币信息
      */
-    getDefaultTokenInfo(tokenAddress) {
+    getDefaultTokenInfo(token) {
         return {
-            name: `Token_${tokenAddress.slice(0, 8)}`,
-            symbol: `TOKEN_${tokenAddress.slice(-4).toUpperCase()}`,
+            name: `Token_${token.address.slice(0, 8)}`,
+            symbol: `TOKEN_${token.address.slice(-4).toUpperCase()}`,
             marketCap: '数据获取失败',
             volume24h: '数据获取失败',
             holderCount: '数据获取失败',
@@ -658,457 +1037,535 @@ class BSCActiveTokensAnalyzer {
     }
 
     /**
-     * 检测EMA多头排列信号
+     * 检测策略信号：对该周期的每个策略比较上一根与当前K线的状态，按策略配置的状态转换触发信号
+     * 信号配置了多周期确认条件时，只有其他周期的策略状态同时满足才发出
+     * withTokenInfo 为 false 时不获取代币信息，由调用方通过 attachTokenInfo 批量补充
+     * klines 为检测的K线窗口，默认为缓存的K线（重启后补齐的K线需要逐根检测）
+     * preview 为 true 时不记录策略状态和滞后确认进度，用于单轮检测重新评估已处理过的最新K线
      */
-    /**
-     * 检测多头信号（新的EMA判断逻辑）
-     */
-    async checkBullishSignal(tokenAddress, tokenSymbol) {
+    async checkStrategySignals(token, timeframe = this.signalTimeframe, { withTokenInfo = true, klines = null, preview = false } = {}) {
         try {
             // 获取缓存的K线数据
-            const cachedKlines = this.klineCache.get(tokenAddress);
-            if (!cachedKlines || cachedKlines.length < 144) {
-                console.log(`${tokenSymbol} 缓存中K线数据不足，跳过检测`);
-                return null;
+            const cachedKlines = klines || this.klineCache.get(this.getCacheKey(token, timeframe));
+            if (!cachedKlines || cachedKlines.length < this.klineCacheSize) {
+                logger.warn(`${token.symbol} 缓存中${timeframe}K线数据不足，跳过检测`);
+                return [];
             }
             
-            // 计算当前K线的EMA状态
-            const currentEMAStatus = this.calculateEMAStatus(cachedKlines);
-            if (!currentEMAStatus) {
-                console.log(`${tokenSymbol} 无法计算EMA状态`);
-                return null;
+            const prevTimestamp = cachedKlines[cachedKlines.length - 2].timestamp;
+            const triggered = [];
+            
+            for (const strategy of this.getTokenStrategies(token, timeframe)) {
+                // 计算当前K线的策略状态
+                const current = this.strategyEngine.evaluate(strategy, cachedKlines);
+                if (!current) {
+                    logger.debug(`${token.symbol} 无法计算策略 ${strategy.name} 的状态`);
+                    continue;
+                }
+                
+                // 获取上一根K线的策略状态
+                const prevState = this.emaStatusCache.get(this.getStrategyStatusKey(token, timeframe, prevTimestamp, strategy.name));
+                
+                logger.debug(`${token.symbol} 策略 ${strategy.name}(${timeframe}) 状态检查`, {
+                    strategy: strategy.name,
+                    timeframe,
+                    state: current.state,
+                    prevState,
+                    values: current.values
+                });
+                
+                // 存储当前K线的策略状态
+                if (!preview) {
+                    this.emaStatusCache.set(this.getStrategyStatusKey(token, timeframe, current.timestamp, strategy.name), current.state);
+                }
+                
+                // 滞后确认：转换需保持足够K线数或达到最小间距才放行，确认前反转的转换不发送
+                const { released: transition, dropped } = this.alertPolicy.applyHysteresis(
+                    `${this.getCacheKey(token, timeframe)}|${strategy.name}`,
+                    this.strategyEngine.getTransition(prevState, current.state),
+                    current,
+                    `${token.symbol} 策略 ${strategy.name}(${timeframe})`,
+                    { dryRun: preview }
+                );
+                const droppedConfig = !preview && dropped && strategy.signals[dropped.transition];
+                if (droppedConfig) {
+                    this.recordSuppressedAlert({
+                        symbol: token.symbol,
+                        address: token.address,
+                        chainIndex: token.chainIndex,
+                        strategy: strategy.name,
+                        type: droppedConfig.type,
+                        timeframe,
+                        currentPrice: current.price,
+                        klineTimestamp: dropped.startedAt,
+                        timestamp: new Date().toISOString()
+                    }, 'hysteresis', `${dropped.transition} 转换在确认前反转（已保持 ${dropped.heldBars}/${this.alertPolicy.options.minHoldBars} 根K线）`);
+                }
+                
+                const signalConfig = transition && strategy.signals[transition];
+                if (!signalConfig) {
+                    continue;
+                }
+                
+                // 多周期确认
+                const unconfirmed = signalConfig.confirm.filter(condition =>
+                    this.evaluateStrategyOnTimeframe(token, condition.strategy, condition.timeframe) !== condition.state
+                );
+                if (unconfirmed.length > 0) {
+                    logger.info(`${token.symbol} 策略 ${strategy.name} 的 ${signalConfig.type} 信号未通过多周期确认: ${unconfirmed.map(c => `${c.timeframe} ${c.strategy}=${c.state}`).join(', ')}`);
+                    continue;
+                }
+                
+                // 成交量确认（24h成交额和市值条件在获取代币信息后、发送前检查）
+                const volumeStats = this.strategyEngine.getVolumeStats(strategy, cachedKlines);
+                const volumeFailures = this.strategyEngine.checkBarFilters(strategy, volumeStats);
+                if (volumeFailures.length > 0) {
+                    logger.info(`${token.symbol} 策略 ${strategy.name} 的 ${signalConfig.type} 信号未通过成交量确认: ${volumeFailures.join('；')}`);
+                    continue;
+                }
+                
+                triggered.push({ strategy, transition, signalConfig, current, volumeStats });
             }
             
-            // 获取上一根K线的EMA状态
-            const prevTimestamp = cachedKlines[cachedKlines.length - 2].timestamp;
-            const prevStatusKey = `${tokenAddress}_${prevTimestamp}_prev`;
-            const prevBullishStatus = this.emaStatusCache.get(prevStatusKey);
+            if (!preview) {
+                // 清理旧的策略状态缓存（保留最近10根K线的状态）
+                this.cleanupEMAStatusCache(this.getCacheKey(token, timeframe));
+                this.lastCheckedBars.set(this.getCacheKey(token, timeframe), cachedKlines[cachedKlines.length - 1].timestamp);
+            }
             
-            console.log(`${tokenSymbol} EMA状态检查:`);
-            console.log(`  当前EMA21: ${currentEMAStatus.ema21.toFixed(8)}`);
-            console.log(`  当前EMA55: ${currentEMAStatus.ema55.toFixed(8)}`);
-            console.log(`  当前EMA144: ${currentEMAStatus.ema144.toFixed(8)}`);
-            console.log(`  当前多头排列: ${currentEMAStatus.bullish}`);
-            console.log(`  上一根多头排列: ${prevBullishStatus}`);
+            if (triggered.length === 0) {
+                return [];
+            }
             
-            // 存储当前K线的EMA状态
-            const currentStatusKey = `${tokenAddress}_${currentEMAStatus.timestamp}_prev`;
-            this.emaStatusCache.set(currentStatusKey, currentEMAStatus.bullish);
+            // 获取代币详细信息（批量检测时由调用方统一获取）
+            const tokenInfo = withTokenInfo ? await this.getTokenInfo(token) : null;
+            const emaStatus = this.calculateEMAStatus(cachedKlines);
+            const emaTrend = calculateEMATrend(cachedKlines, DEFAULT_TREND_PARAMS);
             
-            // 检查多头信号：上一根为false，当前为true
-            if (prevBullishStatus === false && currentEMAStatus.bullish === true) {
-                console.log(`🚀 ${tokenSymbol} 检测到多头信号！`);
-                
-                // 获取代币详细信息
-                const tokenInfo = await this.getTokenInfo(tokenAddress);
+            return triggered.map(({ strategy, transition, signalConfig, current, volumeStats }) => {
+                logger.info(`${SIGNAL_TYPES[signalConfig.type].emoji} ${token.symbol} 检测到策略 ${strategy.name} 的 ${signalConfig.type} 信号！`, {
+                    strategy: strategy.name,
+                    timeframe,
+                    type: signalConfig.type
+                });
                 
                 return {
-                    symbol: tokenSymbol,
-                    address: tokenAddress,
+                    symbol: token.symbol,
+                    address: token.address,
+                    chainIndex: token.chainIndex,
+                    chainName: getChain(token.chainIndex).name,
                     tokenInfo: tokenInfo,
-                    currentPrice: currentEMAStatus.price,
-                    ema21: currentEMAStatus.ema21,
-                    ema55: currentEMAStatus.ema55,
-                    ema144: currentEMAStatus.ema144,
-                    signalReason: '多头排列信号：上一根K线非多头排列，当前K线形成多头排列',
+                    strategy: strategy.name,
+                    strategyLabel: strategy.label,
+                    type: signalConfig.type,
+                    transition,
+                    timeframe,
+                    timeframeAlignment: this.getTimeframeAlignment(token, strategy.name),
+                    indicators: current.values,
+                    technicals: indicators.calculateSnapshot(cachedKlines),
+                    volume: volumeStats,
+                    currentPrice: current.price,
+                    ema21: emaStatus?.ema21,
+                    ema55: emaStatus?.ema55,
+                    ema144: emaStatus?.ema144,
+                    trend: emaTrend?.details || null,
+                    details: current.details,
+                    signalReason: signalConfig.reason || `${strategy.label}: ${transition === 'enter' ? '条件由不满足变为满足' : '条件由满足变为不满足'}`,
                     timestamp: new Date().toISOString(),
-                    klineTimestamp: currentEMAStatus.timestamp
+                    klineTimestamp: current.timestamp
                 };
-            }
-            
-            // 清理旧的EMA状态缓存（保留最近10个状态）
-            this.cleanupEMAStatusCache(tokenAddress);
-            
-            return null;
+            });
         } catch (error) {
-            console.error(`检测 ${tokenSymbol} 多头信号失败:`, error.message);
+            logger.error(`检测 ${token.symbol} 策略信号失败`, { timeframe, error });
+            return [];
+        }
+    }
+
+    /**
+     * 在指定周期的缓存K线上评估策略，数据不足时返回 null
+     */
+    evaluateStrategyOnTimeframe(token, strategyName, timeframe) {
+        const strategy = this.strategyEngine.getStrategy(strategyName);
+        const cachedKlines = this.klineCache.get(this.getCacheKey(token, timeframe));
+        if (!strategy || !cachedKlines) {
             return null;
         }
+        
+        const result = this.strategyEngine.evaluate(strategy, cachedKlines);
+        return result ? result.state : null;
+    }
+
+    /**
+     * 获取策略在所有缓存周期上的状态，用于告警中的多周期排列摘要
+     */
+    getTimeframeAlignment(token, strategyName) {
+        return sortTimeframesDescending(this.getTokenTimeframes(token)).reverse().map(timeframe => ({
+            timeframe,
+            state: this.evaluateStrategyOnTimeframe(token, strategyName, timeframe)
+        }));
+    }
+
+    /**
+     * 获取所有监控代币各周期的当前EMA和策略状态，用于 /tokens 接口
+     */
+    getTokenStates() {
+        return this.getWatchedTokens().map(token => ({
+            symbol: token.symbol,
+            address: token.address,
+            chainIndex: token.chainIndex,
+            chainName: getChain(token.chainIndex).name,
+            source: token.source,
+            label: token.label || null,
+            tags: token.tags || [],
+            timeframes: Object.fromEntries(this.getTokenTimeframes(token).map(timeframe => {
+                const klines = this.klineCache.get(this.getCacheKey(token, timeframe)) || [];
+                const status = this.calculateEMAStatus(klines);
+                return [timeframe, {
+                    bars: klines.length,
+                    klineTimestamp: klines.length > 0 ? new Date(klines[klines.length - 1].timestamp).toISOString() : null,
+                    price: status ? status.price : null,
+                    ema21: status ? status.ema21 : null,
+                    ema55: status ? status.ema55 : null,
+                    ema144: status ? status.ema144 : null,
+                    alignment: status ? describeEMAAlignment(status) : null,
+                    strategies: Object.fromEntries(this.getTokenStrategies(token, timeframe).map(strategy => [
+                        strategy.name,
+                        this.evaluateStrategyOnTimeframe(token, strategy.name, timeframe)
+                    ]))
+                }];
+            }))
+        }));
     }
 
     /**
-     * 清理EMA状态缓存
+     * 清理策略状态缓存，只保留最近10根K线的状态
      */
-    cleanupEMAStatusCache(tokenAddress) {
+    cleanupEMAStatusCache(cacheKey) {
         const keys = Array.from(this.emaStatusCache.keys())
-            .filter(key => key.startsWith(tokenAddress))
-            .sort((a, b) => {
-                const timestampA = parseInt(a.split('_')[1]);
-                const timestampB = parseInt(b.split('_')[1]);
-                return timestampB - timestampA; // 降序排列
-            });
+            .filter(key => key.startsWith(`${cacheKey}_`));
+        const timestamps = [...new Set(keys.map(key => parseInt(key.split('_')[1])))]
+            .sort((a, b) => b - a); // 降序排列
         
-        // 只保留最近10个状态
-        if (keys.length > 10) {
-            const keysToDelete = keys.slice(10);
-            keysToDelete.forEach(key => this.emaStatusCache.delete(key));
+        if (timestamps.length > 10) {
+            const keepTimestamps = new Set(timestamps.slice(0, 10));
+            keys.filter(key => !keepTimestamps.has(parseInt(key.split('_')[1])))
+                .forEach(key => this.emaStatusCache.delete(key));
         }
     }
 
     /**
-     * 定时任务：每15分钟第10秒执行
+     * 启动定时任务：每个周期的K线收盘后执行检测
      */
     startScheduledTask() {
-        console.log('🕐 启动定时任务：每15分钟第10秒检测多头信号');
-        
-        setInterval(async () => {
-            const now = new Date();
-            const minutes = now.getMinutes();
-            const seconds = now.getSeconds();
-            
-            // 每15分钟的第10秒执行（0:10, 5:10, 10:10, 15:10, 20:10, 25:10, 30:10, 35:10, 40:10, 45:10, 50:10, 55:10）
-            if (minutes % 5 === 0 && seconds === 10) {
-                console.log(`\n⏰ ${now.toISOString()} - 开始执行定时检测任务`);
-                await this.runScheduledAnalysis();
-            }
-        }, 1000); // 每秒检查一次
+        this.scheduler.start();
     }
 
     /**
      * 执行定时分析任务
+     * 1. 按有界并发更新各代币的K线缓存并检测策略信号
+     * 2. 批量获取触发信号的代币信息
+     * 3. 依次发送信号，最后输出本轮耗时统计
+     * 每轮检测分配递增的 cycle 编号，本轮的所有日志都带有该字段
      */
     async runScheduledAnalysis() {
+        return logger.withContext({ cycle: ++this.cycleCount }, () => this.runScanCycle());
+    }
+
+    /**
+     * 一轮定时检测，见 runScheduledAnalysis
+     */
+    async runScanCycle() {
         if (!this.isInitialized) {
-            console.log('❌ 系统未初始化，跳过定时任务');
+            logger.warn('❌ 系统未初始化，跳过定时任务');
             return;
         }
         
-        const tokens = this.getTopVolumeBSCTokens();
-        console.log(`🔍 开始检测 ${tokens.length} 个代币的多头信号...`);
+        const tokens = this.getWatchedTokens();
+        const now = Date.now();
+        const startedAt = Date.now();
+        const requestStatsBefore = { ...this.okx.stats };
+        // 长周期先更新，保证短周期信号的多周期确认使用最新数据
+        const timeframes = sortTimeframesDescending(this.timeframes);
+        const signals = [];
+        let updatedTokens = 0;
+        let failedTokens = 0;
+        let aborted = false;
+        logger.info(`🔍 开始检测 ${tokens.length} 个代币的策略信号（并发 ${this.scanConcurrency}）...`);
         
-        for (let i = 0; i < tokens.length; i++) {
-            const token = tokens[i];
-            
-            try {
-                // 更新K线缓存
-                const updatedKlines = await this.updateTokenKlineCache(token.address);
-                if (updatedKlines) {
-                    // 检测多头信号
-                    const signal = await this.checkBullishSignal(token.address, token.symbol);
-                    if (signal) {
-                        // 发送Telegram消息
-                        const message = this.formatTelegramMessage(signal);
-                        await this.sendTelegramMessage(message);
+        try {
+            await runWithConcurrency(tokens, this.scanConcurrency, token => logger.withContext(this.getLogContext(token), async () => {
+                try {
+                    const updatedTimeframes = [];
+                    const tokenTimeframes = this.getTokenTimeframes(token);
+                    for (const timeframe of timeframes) {
+                        // 每个周期只在有新K线收盘时更新
+                        if (!tokenTimeframes.includes(timeframe) || !this.isNewBarDue(token, timeframe, now)) {
+                            continue;
+                        }
+                        
+                        // 更新K线缓存
+                        const updatedKlines = await this.updateTokenKlineCache(token, timeframe);
+                        if (updatedKlines) {
+                            updatedTimeframes.push(timeframe);
+                        }
+                    }
+                    
+                    if (updatedTimeframes.length > 0) {
+                        updatedTokens++;
+                    }
+                    for (const timeframe of updatedTimeframes) {
+                        // 检测策略信号和价格提醒
+                        signals.push(...await this.checkStrategySignals(token, timeframe, { withTokenInfo: false }));
+                        signals.push(...this.priceAlerts.checkCandles(token, timeframe));
                     }
+                } catch (error) {
+                    if (error instanceof OKXAuthError) {
+                        throw error;
+                    }
+                    failedTokens++;
+                    logger.error(`处理代币 ${token.symbol} 时出错`, { error });
                 }
-                
-                // 避免API频率限制
-                await this.sleep(200);
+            }));
+        } catch (error) {
+            aborted = true;
+            logger.error(`❌ OKX API鉴权失败（错误代码 ${error.code || error.status}），终止本轮检测，请检查 API Key 配置`, { error });
+        }
+        
+        // 用实时价格检查价格穿越提醒
+        if (!aborted) {
+            try {
+                signals.push(...await this.priceAlerts.checkLivePrices());
             } catch (error) {
-                console.error(`处理代币 ${token.symbol} 时出错:`, error.message);
+                logger.error('检查实时价格提醒失败', { error });
             }
         }
+        const scannedAt = Date.now();
         
-        console.log('✅ 定时检测任务完成\n');
+        await this.attachTokenInfo(signals);
+        await this.attachRiskReports(signals);
+        const enrichedAt = Date.now();
+        
+        for (const signal of signals) {
+            await this.dispatchSignal(signal);
+        }
+        const dispatchedAt = Date.now();
+        
+        // 用最新K线补齐之前告警的表现数据
+        try {
+            await this.journal.fillOutcomes();
+        } catch (error) {
+            logger.error('补齐信号表现数据失败', { error });
+        }
+        
+        await this.saveState();
+        
+        this.lastCycleMetrics = {
+            startedAt: new Date(startedAt).toISOString(),
+            tokens: tokens.length,
+            updatedTokens,
+            failedTokens,
+            signals: signals.length,
+            scanMs: scannedAt - startedAt,
+            tokenInfoMs: enrichedAt - scannedAt,
+            dispatchMs: dispatchedAt - enrichedAt,
+            totalMs: Date.now() - startedAt,
+            requests: this.okx.stats.requests - requestStatsBefore.requests,
+            retries: this.okx.stats.retries - requestStatsBefore.retries,
+            failedRequests: this.okx.stats.failures - requestStatsBefore.failures,
+            aborted
+        };
+        this.scanStats.runs++;
+        this.scanStats.totalMs += this.lastCycleMetrics.totalMs;
+        if (!aborted) {
+            this.lastSuccessfulScanAt = Date.now();
+        }
+        const metrics = this.lastCycleMetrics;
+        logger.info(`⏱️ 本轮耗时 ${metrics.totalMs}ms（扫描 ${metrics.scanMs}ms，代币信息 ${metrics.tokenInfoMs}ms，发送 ${metrics.dispatchMs}ms）| ` +
+            `代币 ${metrics.tokens} 个，更新 ${metrics.updatedTokens} 个，失败 ${metrics.failedTokens} 个，信号 ${metrics.signals} 个 | ` +
+            `OKX请求 ${metrics.requests} 次，重试 ${metrics.retries} 次，失败 ${metrics.failedRequests} 次`, metrics);
+        logger.info('✅ 定时检测任务完成');
     }
 
+    /**
+     * 批量获取信号对应代币的详细信息并写入 signal.tokenInfo
+     */
+    async attachTokenInfo(signals) {
+        const pending = signals.filter(signal => !signal.tokenInfo);
+        if (pending.length === 0) {
+            return;
+        }
+        
+        const tokens = Array.from(new Map(pending.map(signal => [this.getTokenKey(signal), signal])).values());
+        const tokenInfos = await this.getTokenInfos(tokens);
+        for (const signal of pending) {
+            signal.tokenInfo = tokenInfos.get(this.getTokenKey(signal));
+        }
+    }
+
+    /**
+     * 批量筛查信号对应代币的风险并写入 signal.risk，未启用风险筛查时不做处理
+     */
+    async attachRiskReports(signals) {
+        const pending = signals.filter(signal => signal.risk === undefined);
+        if (!this.riskScreener.options.enabled || pending.length === 0) {
+            return;
+        }
+        
+        const reports = await this.riskScreener.screen(pending);
+        for (const signal of pending) {
+            signal.risk = reports.get(this.getTokenKey(signal)) || null;
+        }
+    }
+
+    /**
+     * 单轮检测（命令行 scan --once）：与定时检测使用同一条基于K线缓存的策略信号流程，输出相同结构的信号
+     * 优先从状态快照恢复K线缓存并只补齐缺失的K线，然后在每个周期的最新K线上检测策略信号和价格提醒
+     * 最新K线的策略检测只预览状态转换，重复运行不会重复累计滞后确认的K线数
+     */
     async runAnalysis() {
         try {
-            console.log('=== BSC链EMA多头排列监控开始 ===');
+            logger.info('=== EMA策略单轮检测开始 ===');
             
-            const candidateTokens = this.getTopVolumeBSCTokens();
-            const signalTokens = [];
+            if (this.watchlist.size === 0) {
+                await this.loadWatchlist();
+            }
+            // 初始化时已检测并发送重启后补齐的K线上的信号
+            const backfillSignals = this.isInitialized ? [] : await this.initializeKlineCache();
             
-            console.log(`开始检测 ${candidateTokens.length} 个候选代币的EMA信号...`);
+            const tokens = this.getWatchedTokens();
+            const signals = [];
+            logger.info(`开始检测 ${tokens.length} 个代币的策略信号...`);
             
-            // 检查每个代币的EMA信号
-            for (let i = 0; i < candidateTokens.length; i++) {
-                const token = candidateTokens[i];
-                console.log(`\n检测代币 ${token.symbol} (${i + 1}/${candidateTokens.length})...`);
-                
-                const signal = await this.checkEMASignal(token);
-                
-                if (signal) {
-                    signalTokens.push(signal);
-                    
-                    // 发送Telegram通知
-                    const message = this.formatTelegramMessage(signal);
-                    await this.sendTelegramMessage(message);
-                    
-                    console.log(`✅ ${token.symbol} 信号已发送到Telegram`);
+            await runWithConcurrency(tokens, this.scanConcurrency, token => logger.withContext(this.getLogContext(token), async () => {
+                // 长周期先检测，与定时检测一致
+                for (const timeframe of sortTimeframesDescending(this.getTokenTimeframes(token))) {
+                    // 最新K线已在补齐时检测过的不再重复检测；其余最新K线的状态已在初始化或上次运行时记录，
+                    // 只预览其状态转换，不改写策略状态和滞后确认进度
+                    const cachedKlines = this.klineCache.get(this.getCacheKey(token, timeframe));
+                    if (!cachedKlines || this.lastCheckedBars.get(this.getCacheKey(token, timeframe)) !== cachedKlines[cachedKlines.length - 1].timestamp) {
+                        signals.push(...await this.checkStrategySignals(token, timeframe, { withTokenInfo: false, preview: true }));
+                    }
+                    signals.push(...this.priceAlerts.checkCandles(token, timeframe));
                 }
-                
-                // 每个代币检测后延迟0.5秒
-                await this.sleep(500);
-            }
+            }));
             
-            console.log(`\n=== 监控完成 ===`);
-            console.log(`检测了 ${candidateTokens.length} 个代币`);
-            console.log(`发现 ${signalTokens.length} 个EMA多头排列信号`);
-            
-            if (signalTokens.length > 0) {
-                console.log('发现的信号:');
-                signalTokens.forEach((signal, index) => {
-                    console.log(`${index + 1}. ${signal.symbol} (${signal.address})`);
-                    console.log(`   当前价格: ${signal.currentPrice}`);
-                    console.log(`   EMA21: ${signal.ema21.toFixed(8)}, EMA55: ${signal.ema55.toFixed(8)}, EMA144: ${signal.ema144.toFixed(8)}`);
-                });
+            await this.attachTokenInfo(signals);
+            await this.attachRiskReports(signals);
+            for (const signal of signals) {
+                if (await this.dispatchSignal(signal)) {
+                    logger.info(`✅ ${signal.symbol} 信号已发送`, { address: signal.address, strategy: signal.strategy || signal.priceAlert });
+                }
             }
+            await this.saveState();
+            signals.unshift(...backfillSignals);
+            
+            logger.info(`=== 检测完成：检测了 ${tokens.length} 个代币，发现 ${signals.length} 个信号 ===`);
+            signals.forEach((signal, index) => {
+                logger.info(`${index + 1}. ${signal.symbol} (${signal.address}) ${signal.strategy || signal.priceAlert}(${signal.timeframe}) ${signal.type}: ${signal.signalReason}`);
+            });
             
             return {
                 timestamp: new Date().toISOString(),
-                chain: 'BSC',
-                totalTokensChecked: candidateTokens.length,
-                signalsFound: signalTokens.length,
-                signals: signalTokens
+                chains: this.chains.map(chain => chain.name),
+                totalTokensChecked: tokens.length,
+                signalsFound: signals.length,
+                signals
             };
         } catch (error) {
-            console.error('监控过程中发生错误:', error);
+            logger.error('监控过程中发生错误', { error });
             throw error;
         }
     }
-
-    async checkEMASignal(token) {
-        try {
-            console.log(`检测 ${token.symbol} 的EMA信号...`);
-            
-            const klineData = await this.getKlineData(token.address, 147);
-            
-            if (klineData.length < 144) {
-                console.log(`${token.symbol} K线数据不足，跳过`);
-                return null;
-            }
-            
-            // 提取收盘价
-            const closePrices = klineData.map(candle => candle.close);
-            
-            // 计算EMA
-            const ema21 = this.calculateEMA(closePrices, 21);
-            const ema55 = this.calculateEMA(closePrices, 55);
-            const ema144 = this.calculateEMA(closePrices, 144);
-            
-            // 获取最新和前几根K线的EMA值用于趋势分析
-            const latestIndex = closePrices.length - 1;
-            const prevIndex = latestIndex - 1;
-            const prev2Index = latestIndex - 2;
-            const prev3Index = latestIndex - 3;
-            
-            // 检查EMA值是否有效（不为null）
-            if (ema21[latestIndex] === null || ema21[prev3Index] === null ||
-                ema55[latestIndex] === null || ema55[prev3Index] === null ||
-                ema144[latestIndex] === null || ema144[prev3Index] === null) {
-                console.log(`${token.symbol} EMA数据不足，跳过`);
-                return null;
-            }
-            
-            const latestEMA21 = ema21[latestIndex];
-            const latestEMA55 = ema55[latestIndex];
-            const latestEMA144 = ema144[latestIndex];
-            
-            const prevEMA21 = ema21[prevIndex];
-            const prevEMA55 = ema55[prevIndex];
-            const prevEMA144 = ema144[prevIndex];
-            
-            // 打印当前K线EMA值
-            console.log(`${token.symbol} 当前K线EMA值 - EMA21: ${latestEMA21.toFixed(8)}, EMA55: ${latestEMA55.toFixed(8)}, EMA144: ${latestEMA144.toFixed(8)}`);
-            
-            // 检查当前是否满足多头排列：EMA21 > EMA55 > EMA144
-            const currentBullish = latestEMA21 > latestEMA55 && latestEMA55 > latestEMA144;
-            
-            // 检查EMA趋势方向（是否向上）
-            const ema21Rising = latestEMA21 > ema21[prev2Index] && ema21[prev2Index] > ema21[prev3Index];
-            const ema55Rising = latestEMA55 > ema55[prev2Index];
-            const ema144Rising = latestEMA144 > ema144[prev3Index];
-            
-            // 检查价格相对于EMA的位置
-            const priceAboveEMA21 = closePrices[latestIndex] > latestEMA21;
-            const priceAboveEMA55 = closePrices[latestIndex] > latestEMA55;
-            
-            // 计算EMA之间的距离（用于判断排列的强度）
-            const ema21_55_gap = (latestEMA21 - latestEMA55) / latestEMA55;
-            const ema55_144_gap = (latestEMA55 - latestEMA144) / latestEMA144;
-            
-            // 检查最近几根K线的多头排列情况
-            const recentBullishCount = [latestIndex, prevIndex, prev2Index].filter(i => 
-                ema21[i] > ema55[i] && ema55[i] > ema144[i]
-            ).length;
-            
-            console.log(`${token.symbol} - 多头排列分析:`);
-            console.log(`  当前多头排列: ${currentBullish}`);
-            console.log(`  EMA21上升趋势: ${ema21Rising}`);
-            console.log(`  EMA55上升趋势: ${ema55Rising}`);
-            console.log(`  EMA144上升趋势: ${ema144Rising}`);
-            console.log(`  价格高于EMA21: ${priceAboveEMA21}`);
-            console.log(`  价格高于EMA55: ${priceAboveEMA55}`);
-            console.log(`  EMA21-55间距: ${(ema21_55_gap * 100).toFixed(3)}%`);
-            console.log(`  EMA55-144间距: ${(ema55_144_gap * 100).toFixed(3)}%`);
-            console.log(`  最近3根K线多头排列数量: ${recentBullishCount}`);
-            
-            // 优化的信号触发条件
-            let signalTriggered = false;
-            let signalReason = '';
-            
-            // 条件1: 刚形成多头排列且趋势向上
-            if (currentBullish && ema21Rising && ema55Rising && 
-                recentBullishCount >= 1 && recentBullishCount <= 2) {
-                signalTriggered = true;
-                signalReason = '刚形成多头排列且趋势向上';
-            }
-            
-            // 条件2: 多头排列稳定且价格突破EMA21
-            else if (currentBullish && recentBullishCount >= 2 && 
-                     priceAboveEMA21 && priceAboveEMA55 &&
-                     ema21_55_gap > 0.001 && ema55_144_gap > 0.001) {
-                signalTriggered = true;
-                signalReason = '多头排列稳定且价格强势突破';
-            }
-            
-            // 条件3: EMA21向上穿越EMA55（金叉）
-            else if (latestEMA21 > latestEMA55 && prevEMA21 <= prevEMA55 && 
-                     ema21Rising && priceAboveEMA21) {
-                signalTriggered = true;
-                signalReason = 'EMA21向上穿越EMA55(金叉)';
-            }
-            
-            if (signalTriggered) {
-                console.log(`🚀 ${token.symbol} 触发EMA信号！原因: ${signalReason}`);
-                
-                // 获取代币详细信息
-                const tokenInfo = await this.getTokenInfo(token.address);
-                
-                return {
-                    symbol: token.symbol,
-                    address: token.address,
-                    tokenInfo: tokenInfo,
-                    currentPrice: closePrices[latestIndex],
-                    ema21: latestEMA21,
-                    ema55: latestEMA55,
-                    ema144: latestEMA144,
-                    signalReason: signalReason,
-                    trendStrength: {
-                        ema21Rising,
-                        ema55Rising,
-                        ema144Rising,
-                        priceAboveEMA21,
-                        priceAboveEMA55,
-                        ema21_55_gap: ema21_55_gap * 100,
-                        ema55_144_gap: ema55_144_gap * 100,
-                        recentBullishCount
-                    },
-                    timestamp: new Date().toISOString(),
-                    klineTimestamp: klineData[latestIndex].timestamp
-                };
-            }
-            
-            return null;
-        } catch (error) {
-            console.error(`检测 ${token.symbol} 时出错:`, error.message);
-            return null;
-        }
-    }
-    
-    /**
-     * 格式化Telegram消息
-     */
-    formatTelegramMessage(signal) {
-        const tokenInfo = signal.tokenInfo;
-
-        let message = `🚀 <b>EMA多头排列信号</b>\n\n`;
-        message += `📊 <b>代币信息:</b>\n`;
-        message += `• 名称: ${tokenInfo?.name || 'Unknown'}\n`;
-        message += `• 符号: ${tokenInfo?.symbol || signal.symbol}\n`;
-        message += `• 合约地址: <code>${signal.address}</code>\n\n`;
-
-        message += `💰 <b>市场数据:</b>\n`;
-        message += `• 市值: $${this.formatNumber(tokenInfo?.marketCap || '0')}\n`;
-        message += `• 24h成交量: $${this.formatNumber(tokenInfo?.volume24h || '0')}\n`;
-        message += `• 持币地址数: ${this.formatNumber(tokenInfo?.holderCount || '0')}\n\n`;
-
-        message += `📈 <b>EMA指标:</b>\n`;
-        message += `• EMA21: ${signal.ema21.toFixed(8)}\n`;
-        message += `• EMA55: ${signal.ema55.toFixed(8)}\n`;
-        message += `• EMA144: ${signal.ema144.toFixed(8)}\n`;
-        message += `• 当前价格: ${signal.currentPrice.toFixed(8)}\n\n`;
-
-        message += `🎯 <b>信号原因:</b> ${signal.signalReason}\n\n`;
-        message += `⏰ <b>检测时间:</b> ${signal.timestamp}\n`;
-        message += `📅 <b>K线时间:</b> ${new Date(signal.klineTimestamp).toISOString()}`;
-
-        return message;
-    }
-    
-    /**
-     * 格式化数字显示
-     */
-    formatNumber(numStr) {
-        const num = parseFloat(numStr);
-        if (isNaN(num)) return '0';
-        
-        if (num >= 1e9) {
-            return (num / 1e9).toFixed(2) + 'B';
-        } else if (num >= 1e6) {
-            return (num / 1e6).toFixed(2) + 'M';
-        } else if (num >= 1e3) {
-            return (num / 1e3).toFixed(2) + 'K';
-        } else {
-            return num.toFixed(2);
-        }
-    }
 }
 
 // 配置信息 - 从环境变量读取
-const CONFIG = {
-    OKX_API_KEY: process.env.OKX_API_KEY,
-    OKX_SECRET_KEY: process.env.OKX_SECRET_KEY,
-    OKX_API_PASSPHRASE: process.env.OKX_API_PASSPHRASE
-};
+const CONFIG = loadConfig();
 
-// 检查必要的环境变量
-function checkConfig() {
-    const requiredVars = ['OKX_API_KEY', 'OKX_SECRET_KEY', 'OKX_API_PASSPHRASE'];
-    const missing = requiredVars.filter(varName => !process.env[varName]);
+// 检查必要的OKX API配置
+function checkConfig(config = CONFIG) {
+    const required = {
+        OKX_API_KEY: config.okx.apiKey,
+        OKX_SECRET_KEY: config.okx.secretKey,
+        OKX_API_PASSPHRASE: config.okx.passphrase
+    };
+    const missing = Object.keys(required).filter(varName => !required[varName]);
     
     if (missing.length > 0) {
-        console.error('❌ 缺少必要的环境变量:', missing.join(', '));
-        console.error('请在 .env 文件或环境变量中设置这些值');
+        logger.error(`❌ 缺少必要的环境变量: ${missing.join(', ')}，请在 .env 文件或环境变量中设置这些值`);
         process.exit(1);
     }
     
-    console.log('✅ OKX API 配置检查通过');
+    logger.info('✅ OKX API 配置检查通过');
 }
 
-// 主函数
-async function main() {
+// 主函数：初始化后按K线收盘持续监控（命令行 monitor 子命令）
+async function main(config = CONFIG) {
     try {
-        checkConfig();
+        logger.configure(config.logging);
+        checkConfig(config);
         
         const analyzer = new BSCActiveTokensAnalyzer(
-            CONFIG.OKX_API_KEY,
-            CONFIG.OKX_SECRET_KEY,
-            CONFIG.OKX_API_PASSPHRASE
+            config.okx.apiKey,
+            config.okx.secretKey,
+            config.okx.passphrase,
+            config
         );
         
-        console.log('🚀 启动BSC活跃代币EMA分析器...');
+        logger.info('🚀 启动BSC活跃代币EMA分析器...');
+        
+        // 先启动HTTP状态服务，初始化期间健康检查返回503
+        analyzer.statusServer.start();
+        
+        await analyzer.journal.load();
+        await analyzer.metadata.load();
+        
+        // 加载监控列表
+        logger.info('📋 加载候选代币列表...');
+        await analyzer.loadWatchlist();
         
         // 初始化K线缓存
-        console.log('📊 初始化K线数据缓存...');
+        logger.info('📊 初始化K线数据缓存...');
         await analyzer.initializeKlineCache();
         
         // 标记为已初始化
         analyzer.isInitialized = true;
-        console.log('✅ 系统初始化完成');
+        logger.info('✅ 系统初始化完成');
         
         // 启动定时任务
         analyzer.startScheduledTask();
+        analyzer.discovery.start();
+        analyzer.commandBot.start();
+        analyzer.journal.start();
+        analyzer.watchlistFile.start();
         
         // 保持程序运行
-        console.log('🔄 程序正在运行中，按 Ctrl+C 退出...');
-        process.on('SIGINT', () => {
-            console.log('\n👋 程序正在退出...');
+        logger.info('🔄 程序正在运行中，按 Ctrl+C 退出...');
+        const shutdown = async () => {
+            logger.info('👋 程序正在退出...');
+            analyzer.commandBot.stop();
+            analyzer.scheduler.stop();
+            analyzer.discovery.stop();
+            analyzer.statusServer.stop();
+            analyzer.journal.stop();
+            analyzer.watchlistFile.stop();
+            await analyzer.saveState();
             process.exit(0);
-        });
+        };
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
         
-        // 防止程序退出
-        setInterval(() => {
-            // 每小时输出一次状态
-            const now = new Date();
-            if (now.getMinutes() === 0 && now.getSeconds() === 0) {
-                console.log(`💡 系统运行状态正常 - ${now.toISOString()}`);
-            }
-        }, 1000);
+        // 每个整点输出一次运行状态
+        const logHeartbeat = () => {
+            const health = analyzer.statusServer.getHealth();
+            logger.info(`💡 系统运行状态${health.healthy ? '正常' : `异常（${health.reason}）`}，` +
+                `监控 ${health.watchedTokens} 个代币，最近成功检测 ${health.lastSuccessfulScanAt || '无'}`);
+            const hour = 60 * 60 * 1000;
+            setTimeout(logHeartbeat, hour - Date.now() % hour);
+        };
+        setTimeout(logHeartbeat, 60 * 60 * 1000 - Date.now() % (60 * 60 * 1000));
         
     } catch (error) {
-        console.error('程序启动失败:', error);
+        logger.error('程序启动失败', { error, stack: error.stack });
         process.exit(1);
     }
 }
@@ -1119,3 +1576,5 @@ if (require.main === module) {
 }
 
 module.exports = BSCActiveTokensAnalyzer;
+module.exports.main = main;
+module.exports.checkConfig = checkConfig;
@@ -0,0 +1,86 @@
+/**
+ * 支持的链
+ * chainIndex 为 OKX DEX API 使用的链标识；tokenListNetwork 为代币列表接口返回的 network 字段
+ * rpcUrl 为默认的公共RPC节点，用于链上读取ERC-20元数据（可通过 RPC_URL_<链名称> 覆盖）
+ */
+
+const CHAINS = {
+    bsc: {
+        key: 'bsc',
+        name: 'BSC',
+        chainIndex: '56',
+        tokenListNetwork: 'BSC',
+        explorerTokenUrl: 'https://bscscan.com/token/',
+        rpcUrl: 'https://bsc-dataseed.binance.org',
+        evm: true
+    },
+    eth: {
+        key: 'eth',
+        name: 'Ethereum',
+        chainIndex: '1',
+        tokenListNetwork: 'ETH',
+        explorerTokenUrl: 'https://etherscan.io/token/',
+        rpcUrl: 'https://ethereum-rpc.publicnode.com',
+        evm: true
+    },
+    base: {
+        key: 'base',
+        name: 'Base',
+        chainIndex: '8453',
+        tokenListNetwork: 'Base',
+        explorerTokenUrl: 'https://basescan.org/token/',
+        rpcUrl: 'https://mainnet.base.org',
+        evm: true
+    },
+    arbitrum: {
+        key: 'arbitrum',
+        name: 'Arbitrum',
+        chainIndex: '42161',
+        tokenListNetwork: 'Arbitrum',
+        explorerTokenUrl: 'https://arbiscan.io/token/',
+        rpcUrl: 'https://arb1.arbitrum.io/rpc',
+        evm: true
+    },
+    solana: {
+        key: 'solana',
+        name: 'Solana',
+        chainIndex: '501',
+        tokenListNetwork: 'SOL',
+        explorerTokenUrl: 'https://solscan.io/token/',
+        rpcUrl: null,
+        evm: false
+    }
+};
+
+/**
+ * 按链名称（bsc/eth/base/arbitrum/solana）或 chainIndex 获取链配置
+ */
+function getChain(keyOrIndex) {
+    const value = String(keyOrIndex).toLowerCase();
+    const chain = CHAINS[value] || Object.values(CHAINS).find(item => item.chainIndex === value);
+    if (!chain) {
+        throw new Error(`不支持的链: ${keyOrIndex}`);
+    }
+    return chain;
+}
+
+/**
+ * 规范化合约地址：EVM链地址统一小写，Solana地址区分大小写保持原样
+ */
+function normalizeAddress(chainIndex, address) {
+    return getChain(chainIndex).evm ? address.toLowerCase() : address;
+}
+
+/**
+ * 获取代币在区块浏览器中的链接
+ */
+function getExplorerTokenUrl(chainIndex, address) {
+    return `${getChain(chainIndex).explorerTokenUrl}${address}`;
+}
+
+module.exports = {
+    CHAINS,
+    getChain,
+    normalizeAddress,
+    getExplorerTokenUrl
+};
@@ -0,0 +1,246 @@
+/**
+ * 命令行入口：monitor（持续监控）、scan --once、inspect、backfill、backtest 子命令，用法见 USAGE
+ * 所有可调参数都通过 config.js 从环境变量读取，因此都可以用 --config / --set 覆盖
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { loadConfig } = require('./config');
+const { getChain, normalizeAddress } = require('./chains');
+const indicators = require('./indicators');
+const { describeEMAAlignment } = require('./notifiers');
+const { logger } = require('./logger');
+
+const COMMANDS = ['monitor', 'scan', 'inspect', 'backfill', 'backtest'];
+const BOOLEAN_OPTIONS = ['dry-run', 'once', 'help']; // 不带值的参数，后面的位置参数不会被当作其值
+
+const USAGE = `用法: node cli.js <命令> [参数]
+
+命令:
+  monitor                          初始化后按K线收盘持续监控（默认）
+  scan --once                      对监控列表执行一轮策略信号检测（与 monitor 相同的策略），输出结果JSON
+  inspect <地址> [--chain bsc] [--timeframe 15m] [--bars 10]
+                                   输出单个代币最近的K线、EMA21/55/144、策略状态和技术指标
+  backfill                         补齐监控列表所有代币各周期的K线缓存并写入状态快照，同时补齐信号表现数据
+  backtest --file candles.json     离线回测，参数同 backtest.js
+
+通用参数:
+  --dry-run                        告警只格式化并输出，不实际发送（等同 NOTIFY_DRY_RUN=true）
+  --config <文件>                  JSON文件，键为环境变量名，值覆盖环境变量，例如 { "SIGNAL_TIMEFRAME": "1H" }
+  --set 名称=值                    覆盖单个环境变量，可重复，优先级高于 --config，例如 --set SCAN_CONCURRENCY=2
+
+scan / inspect / backfill 的结果JSON输出到 stdout，运行日志输出到 stderr`;
+
+/**
+ * 解析命令行参数：第一个非选项参数为子命令，其余为位置参数；--set 可重复
+ */
+function parseCommandLine(argv) {
+    const positionals = [];
+    const options = { set: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            positionals.push(argv[i]);
+            continue;
+        }
+        const name = argv[i].slice(2);
+        const next = argv[i + 1];
+        const value = BOOLEAN_OPTIONS.includes(name) || next === undefined || next.startsWith('--') ? true : next;
+        if (value !== true) {
+            i++;
+        }
+        if (name === 'set') {
+            options.set.push(value);
+        } else {
+            options[name] = value;
+        }
+    }
+    return { command: positionals[0] || 'monitor', args: positionals.slice(1), options };
+}
+
+/**
+ * 合并环境变量与命令行覆盖项后加载配置
+ */
+function loadConfigWithOverrides(options, env = process.env) {
+    const overrides = {};
+    if (options.config) {
+        if (options.config === true) {
+            throw new Error('--config 需要指定文件路径');
+        }
+        const fileOverrides = JSON.parse(fs.readFileSync(options.config, 'utf8'));
+        for (const [name, value] of Object.entries(fileOverrides)) {
+            overrides[name] = Array.isArray(value) ? value.join(',') : String(value);
+        }
+    }
+    for (const item of options.set) {
+        const index = String(item).indexOf('=');
+        if (index <= 0) {
+            throw new Error(`--set 参数格式应为 名称=值: ${item}`);
+        }
+        overrides[item.slice(0, index)] = item.slice(index + 1);
+    }
+    if (options['dry-run']) {
+        overrides.NOTIFY_DRY_RUN = 'true';
+    }
+    return loadConfig({ ...env, ...overrides });
+}
+
+/**
+ * 创建一次性命令使用的分析器：不启动调度、HTTP服务和交互命令
+ */
+function createAnalyzer(config) {
+    const BSCActiveTokensAnalyzer = require('./bsc_active_tokens_analyzer');
+    BSCActiveTokensAnalyzer.checkConfig(config);
+    return new BSCActiveTokensAnalyzer(config.okx.apiKey, config.okx.secretKey, config.okx.passphrase, config);
+}
+
+/**
+ * 输出结果JSON到 stdout
+ */
+function printJSON(value) {
+    process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * scan --once：对监控列表执行一轮 runAnalysis
+ */
+async function runScan(config, options) {
+    if (!options.once) {
+        throw new Error('scan 目前只支持单轮检测，请使用 scan --once；持续监控请使用 monitor');
+    }
+    const analyzer = createAnalyzer(config);
+    await analyzer.journal.load();
+    await analyzer.metadata.load();
+    printJSON(await analyzer.runAnalysis());
+}
+
+/**
+ * inspect <地址>：输出单个代币最近的K线及EMA21/55/144、策略状态和技术指标
+ */
+async function runInspect(config, [address], options) {
+    if (!address) {
+        throw new Error('用法: inspect <地址> [--chain bsc] [--timeframe 15m] [--bars 10]');
+    }
+    const analyzer = createAnalyzer(config);
+    const chain = getChain(options.chain || 'bsc');
+    const timeframe = options.timeframe || analyzer.signalTimeframe;
+    const bars = parseInt(options.bars) || 10;
+    const token = {
+        chainIndex: chain.chainIndex,
+        address: normalizeAddress(chain.chainIndex, address),
+        symbol: `TOKEN_${address.slice(-4).toUpperCase()}`,
+        source: 'cli'
+    };
+
+    await analyzer.metadata.load();
+    await analyzer.metadata.resolve([token]);
+    const candles = await analyzer.getKlineData(token, analyzer.klineCacheSize, timeframe);
+    if (candles.length === 0) {
+        throw new Error(`未获取到 ${token.symbol} 的${timeframe}K线数据`);
+    }
+
+    const closes = candles.map(candle => candle.close);
+    const emaSeries = Object.fromEntries([21, 55, 144].map(period => [`ema${period}`, indicators.ema(closes, period)]));
+    const status = analyzer.calculateEMAStatus(candles);
+    printJSON({
+        symbol: token.symbol,
+        address: token.address,
+        chainIndex: token.chainIndex,
+        chainName: chain.name,
+        timeframe,
+        bars: candles.length,
+        metadata: analyzer.metadata.get(token),
+        ema: status ? {
+            ema21: status.ema21,
+            ema55: status.ema55,
+            ema144: status.ema144,
+            alignment: describeEMAAlignment(status)
+        } : null,
+        strategies: Object.fromEntries(analyzer.strategyEngine.getStrategiesForTimeframe(timeframe).map(strategy => {
+            const result = analyzer.strategyEngine.evaluate(strategy, candles);
+            return [strategy.name, result ? { state: result.state, values: result.values } : null];
+        })),
+        technicals: indicators.calculateSnapshot(candles),
+        candles: candles.slice(-bars).map((candle, i) => {
+            const index = candles.length - Math.min(bars, candles.length) + i;
+            return {
+                ...candle,
+                time: new Date(candle.timestamp).toISOString(),
+                ema21: emaSeries.ema21[index] ?? null,
+                ema55: emaSeries.ema55[index] ?? null,
+                ema144: emaSeries.ema144[index] ?? null
+            };
+        })
+    });
+}
+
+/**
+ * backfill：补齐所有监控代币各周期的K线缓存（优先从快照恢复，只拉取缺失的K线）并写入快照，再补齐信号表现数据
+ */
+async function runBackfill(config) {
+    const analyzer = createAnalyzer(config);
+    await analyzer.journal.load();
+    await analyzer.metadata.load();
+    await analyzer.loadWatchlist();
+    await analyzer.initializeKlineCache();
+    const filledOutcomes = await analyzer.journal.fillOutcomes();
+    printJSON({
+        timestamp: new Date().toISOString(),
+        tokens: analyzer.watchlist.size,
+        timeframes: analyzer.timeframes,
+        series: analyzer.klineCache.size,
+        filledOutcomes
+    });
+}
+
+/**
+ * 命令行入口
+ */
+async function runCli(argv = process.argv.slice(2)) {
+    const { command, args, options } = parseCommandLine(argv);
+    if (options.help || command === 'help') {
+        console.log(USAGE);
+        return;
+    }
+    if (!COMMANDS.includes(command)) {
+        throw new Error(`未知命令 ${command}，可用命令: ${COMMANDS.join(', ')}`);
+    }
+
+    const config = loadConfigWithOverrides(options);
+    logger.configure(config.logging);
+    switch (command) {
+        case 'monitor':
+            await require('./bsc_active_tokens_analyzer').main(config);
+            return;
+        case 'backtest':
+            await require('./backtest').runBacktestCommand(options, config);
+            return;
+    }
+
+    // 一次性命令的日志输出到 stderr，stdout 只输出结果JSON
+    logger.configure({ stream: 'stderr' });
+    switch (command) {
+        case 'scan':
+            await runScan(config, options);
+            break;
+        case 'inspect':
+            await runInspect(config, args, options);
+            break;
+        case 'backfill':
+            await runBackfill(config);
+            break;
+    }
+}
+
+if (require.main === module) {
+    runCli().catch(error => {
+        logger.error('命令执行失败', { error });
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseCommandLine,
+    loadConfigWithOverrides,
+    runCli
+};
@@ -0,0 +1,193 @@
+/**
+ * 运行配置
+ * 所有可调参数统一从环境变量读取，未设置时使用默认值
+ */
+
+/**
+ * 读取数字类型的环境变量
+ */
+function readNumber(env, name, defaultValue) {
+    const value = env[name];
+    if (value === undefined || value === '') {
+        return defaultValue;
+    }
+    const num = Number(value);
+    return Number.isFinite(num) ? num : defaultValue;
+}
+
+/**
+ * 读取布尔类型的环境变量（true/1/yes 视为开启）
+ */
+function readBoolean(env, name, defaultValue) {
+    const value = env[name];
+    if (value === undefined || value === '') {
+        return defaultValue;
+    }
+    return ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase());
+}
+
+/**
+ * 加载配置
+ */
+function loadConfig(env = process.env) {
+    return {
+        okx: {
+            apiKey: env.OKX_API_KEY,
+            secretKey: env.OKX_SECRET_KEY,
+            passphrase: env.OKX_API_PASSPHRASE,
+            timeoutMs: readNumber(env, 'OKX_TIMEOUT_MS', 30000),
+            maxRetries: readNumber(env, 'OKX_MAX_RETRIES', 3),
+            // 令牌桶限速：每秒补充的请求数和允许的突发请求数，需与账户的OKX接口限速一致
+            requestsPerSecond: readNumber(env, 'OKX_RATE_LIMIT_RPS', 5),
+            burst: readNumber(env, 'OKX_RATE_LIMIT_BURST', 5)
+        },
+        logging: {
+            level: (env.LOG_LEVEL || 'info').toLowerCase(), // debug / info / warn / error
+            format: (env.LOG_FORMAT || 'text').toLowerCase() // text 或 json（每行一个JSON对象）
+        },
+        // 监控的链，逗号分隔：bsc,eth,base,arbitrum,solana
+        chains: (env.CHAINS || 'bsc').split(',').map(item => item.trim()).filter(Boolean),
+        discovery: {
+            enabled: readBoolean(env, 'DISCOVERY_ENABLED', true),
+            intervalMinutes: readNumber(env, 'DISCOVERY_INTERVAL_MINUTES', 60),
+            maxTokens: readNumber(env, 'DISCOVERY_MAX_TOKENS', 100),
+            sortBy: env.DISCOVERY_SORT_BY || '5', // 5: 按成交量排序
+            timeFrame: env.DISCOVERY_TIME_FRAME || '4', // 4: 24小时
+            minVolume24h: readNumber(env, 'DISCOVERY_MIN_VOLUME_24H', 500000),
+            minLiquidity: readNumber(env, 'DISCOVERY_MIN_LIQUIDITY', 100000),
+            minHolders: readNumber(env, 'DISCOVERY_MIN_HOLDERS', 500),
+            maxAgeHours: readNumber(env, 'DISCOVERY_MAX_AGE_HOURS', 0) // 0 表示不限制
+        },
+        scheduler: {
+            // K线收盘后等待的时间，给OKX留出生成K线的时间
+            settleDelayMs: readNumber(env, 'SCHEDULER_SETTLE_DELAY_SECONDS', 10) * 1000,
+            // 上一轮检测未结束时的处理方式：queue（排队，合并为一次）或 skip（跳过）
+            overlapPolicy: env.SCHEDULER_OVERLAP_POLICY || 'queue'
+        },
+        http: {
+            enabled: readBoolean(env, 'HTTP_ENABLED', true),
+            port: readNumber(env, 'PORT', 3000),
+            // 最近一次成功检测距今超过该秒数时 /healthz 返回503，0 表示自动（最短监控周期的3倍）
+            maxScanAgeSeconds: readNumber(env, 'HEALTH_MAX_SCAN_AGE_SECONDS', 0)
+        },
+        scan: {
+            // 定时检测时同时处理的代币数量，所有请求共用 OKX 客户端的限速
+            concurrency: readNumber(env, 'SCAN_CONCURRENCY', 5),
+            priceInfoBatchSize: readNumber(env, 'PRICE_INFO_BATCH_SIZE', 100)
+        },
+        alerts: {
+            // 同一代币同一信号类型的冷却时间，冷却期内的重复告警不发送
+            cooldownMinutes: readNumber(env, 'ALERT_COOLDOWN_MINUTES', 60),
+            // 状态转换需连续保持的K线数才发送告警，1 表示当根K线即发送
+            minHoldBars: readNumber(env, 'ALERT_MIN_HOLD_BARS', 1),
+            // 条件成立时比较链最小间距达到该百分比即提前确认，0 表示关闭
+            minGapPct: readNumber(env, 'ALERT_MIN_GAP_PCT', 0),
+            // 每个UTC自然日最多发送的告警数量，0 表示不限制
+            dailyCap: readNumber(env, 'ALERT_DAILY_CAP', 0)
+        },
+        risk: {
+            enabled: readBoolean(env, 'RISK_CHECK_ENABLED', false),
+            // flag：告警中附带风险信息；suppress：有风险的代币不发送告警
+            mode: env.RISK_CHECK_MODE || 'flag',
+            // 数据源：okx（OKX安全/行情接口）或 mock（读取 RISK_MOCK_FILE，用于离线调试）
+            provider: env.RISK_PROVIDER || 'okx',
+            mockFile: env.RISK_MOCK_FILE || 'config/risk_mock.json',
+            maxBuyTaxPct: readNumber(env, 'RISK_MAX_BUY_TAX_PCT', 10),
+            maxSellTaxPct: readNumber(env, 'RISK_MAX_SELL_TAX_PCT', 10),
+            requireRenounced: readBoolean(env, 'RISK_REQUIRE_RENOUNCED', true),
+            minLiquidityUsd: readNumber(env, 'RISK_MIN_LIQUIDITY_USD', 50000),
+            maxTop10HolderPct: readNumber(env, 'RISK_MAX_TOP10_HOLDER_PCT', 50),
+            // 数据缺失的检查项是否视为不通过
+            blockUnknown: readBoolean(env, 'RISK_BLOCK_UNKNOWN', false),
+            cacheMinutes: readNumber(env, 'RISK_CACHE_MINUTES', 30)
+        },
+        timeframes: {
+            signal: env.SIGNAL_TIMEFRAME || '15m',
+            // 额外缓存的K线周期，逗号分隔，例如 1H,4H
+            list: (env.TIMEFRAMES || '').split(',').map(item => item.trim()).filter(Boolean)
+        },
+        strategies: {
+            filePath: env.STRATEGIES_FILE || 'config/strategies.json'
+        },
+        metadata: {
+            filePath: env.TOKEN_METADATA_FILE || 'data/token_metadata.json',
+            ttlHours: readNumber(env, 'TOKEN_METADATA_TTL_HOURS', 168),
+            // 所有来源都解析失败的地址，多久之后再重试
+            missRetryMinutes: readNumber(env, 'TOKEN_METADATA_MISS_RETRY_MINUTES', 60),
+            batchSize: readNumber(env, 'TOKEN_METADATA_BATCH_SIZE', 20),
+            // 链上读取ERC-20元数据的RPC节点，RPC_URL_BSC / RPC_URL_ETH / RPC_URL_BASE / RPC_URL_ARBITRUM，未设置时使用公共节点
+            rpcUrls: Object.fromEntries(['bsc', 'eth', 'base', 'arbitrum']
+                .filter(key => env[`RPC_URL_${key.toUpperCase()}`])
+                .map(key => [key, env[`RPC_URL_${key.toUpperCase()}`]])),
+            rpcTimeoutMs: readNumber(env, 'RPC_TIMEOUT_MS', 10000)
+        },
+        watchlistFile: {
+            // 长期监控的代币列表文件，不存在时只使用候选代币发现；修改后自动重新加载
+            filePath: env.WATCHLIST_FILE || 'config/watchlist.json',
+            pollIntervalSeconds: readNumber(env, 'WATCHLIST_POLL_INTERVAL_SECONDS', 10)
+        },
+        priceAlerts: {
+            // 价格提醒规则文件，不存在时不启用
+            filePath: env.PRICE_ALERTS_FILE || 'config/price_alerts.json'
+        },
+        notifications: {
+            // 启用的通知渠道，逗号分隔：telegram,discord,slack,email,webhook；留空时启用所有配置齐全的渠道
+            channels: (env.NOTIFY_CHANNELS || '').split(',').map(item => item.trim()).filter(Boolean),
+            // 只格式化并输出告警，不实际发送（命令行 --dry-run）
+            dryRun: readBoolean(env, 'NOTIFY_DRY_RUN', false),
+            telegram: {
+                botToken: env.TELEGRAM_BOT_TOKEN,
+                chatId: env.TELEGRAM_CHAT_ID
+            },
+            discord: {
+                webhookUrl: env.DISCORD_WEBHOOK_URL,
+                username: env.DISCORD_USERNAME
+            },
+            slack: {
+                webhookUrl: env.SLACK_WEBHOOK_URL
+            },
+            email: {
+                host: env.SMTP_HOST,
+                port: readNumber(env, 'SMTP_PORT', 587),
+                secure: readBoolean(env, 'SMTP_SECURE', false),
+                user: env.SMTP_USER,
+                pass: env.SMTP_PASS,
+                from: env.EMAIL_FROM || env.SMTP_USER,
+                to: env.EMAIL_TO
+            },
+            webhook: {
+                url: env.WEBHOOK_URL,
+                secret: env.WEBHOOK_SECRET
+            }
+        },
+        telegramCommands: {
+            enabled: readBoolean(env, 'TELEGRAM_COMMANDS_ENABLED', true),
+            botToken: env.TELEGRAM_BOT_TOKEN,
+            // 允许发送命令的 Chat ID，逗号分隔，默认只允许 TELEGRAM_CHAT_ID
+            authorizedChatIds: (env.TELEGRAM_AUTHORIZED_CHAT_IDS || env.TELEGRAM_CHAT_ID || '')
+                .split(',').map(item => item.trim()).filter(Boolean),
+            pollTimeoutSeconds: readNumber(env, 'TELEGRAM_POLL_TIMEOUT_SECONDS', 30)
+        },
+        journal: {
+            enabled: readBoolean(env, 'JOURNAL_ENABLED', true),
+            filePath: env.JOURNAL_FILE || 'data/signal_journal.json',
+            maxEntries: readNumber(env, 'JOURNAL_MAX_ENTRIES', 5000),
+            // 定时发送信号表现汇总（胜率、平均涨跌幅）的间隔小时数，0 表示不发送
+            summaryIntervalHours: readNumber(env, 'JOURNAL_SUMMARY_INTERVAL_HOURS', 24),
+            summaryLookbackHours: readNumber(env, 'JOURNAL_SUMMARY_LOOKBACK_HOURS', 168)
+        },
+        state: {
+            backend: env.STATE_BACKEND || 'json', // json 或 none
+            filePath: env.STATE_FILE || 'data/state.json',
+            maxAlertLog: readNumber(env, 'STATE_MAX_ALERT_LOG', 200),
+            // 重启后补齐的K线收盘超过该分钟数时只记录状态、不告警，0 表示补齐的K线都不告警
+            backfillAlertMaxAgeMinutes: readNumber(env, 'STATE_BACKFILL_ALERT_MAX_AGE_MINUTES', 60)
+        }
+    };
+}
+
+module.exports = {
+    loadConfig,
+    readNumber,
+    readBoolean
+};
@@ -0,0 +1,276 @@
+/**
+ * 技术指标库
+ * 所有函数返回与输入一一对应的数组，数据不足的位置为 null；输入长度小于所需K线数时返回空数组
+ * 价格类指标（SMA、EMA、RSI、MACD、布林带）输入为数值数组，ATR、VWAP 输入为K线数组
+ *
+ * 策略中引用指标的写法（type 为下方 INDICATORS 中的键）：
+ *   { "type": "rsi", "period": 14 }
+ *   { "type": "macd", "fast": 12, "slow": 26, "signal": 9, "output": "histogram" }   output: macd / signal / histogram
+ *   { "type": "bollinger", "period": 20, "stdDev": 2, "output": "upper" }            output: upper / middle / lower
+ *   { "type": "atr", "period": 14 }
+ *   { "type": "vwap", "period": 96 }   不设 period 时按整个K线窗口累计
+ * sma/ema/rsi/macd/bollinger 可通过 source 指定使用的K线字段（默认 close）
+ */
+
+/**
+ * 简单移动平均
+ */
+function sma(values, period) {
+    if (values.length < period) {
+        return [];
+    }
+
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= period) {
+            sum -= values[i - period];
+        }
+        if (i >= period - 1) {
+            result[i] = sum / period;
+        }
+    }
+    return result;
+}
+
+/**
+ * 指数移动平均，第一个值使用SMA；输入开头的 null 会被跳过（用于在MACD线上计算信号线）
+ */
+function ema(values, period) {
+    const start = values.findIndex(value => value !== null && value !== undefined);
+    if (start < 0 || values.length - start < period) {
+        return [];
+    }
+
+    const result = new Array(values.length).fill(null);
+    const multiplier = 2 / (period + 1);
+    let seed = 0;
+    for (let i = start; i < start + period; i++) {
+        seed += values[i];
+    }
+    result[start + period - 1] = seed / period;
+    for (let i = start + period; i < values.length; i++) {
+        result[i] = values[i] * multiplier + result[i - 1] * (1 - multiplier);
+    }
+    return result;
+}
+
+/**
+ * 相对强弱指数（Wilder平滑），取值 0-100
+ */
+function rsi(values, period = 14) {
+    if (values.length < period + 1) {
+        return [];
+    }
+
+    const result = new Array(values.length).fill(null);
+    let avgGain = 0;
+    let avgLoss = 0;
+    for (let i = 1; i <= period; i++) {
+        const change = values[i] - values[i - 1];
+        avgGain += Math.max(change, 0);
+        avgLoss += Math.max(-change, 0);
+    }
+    avgGain /= period;
+    avgLoss /= period;
+
+    const toRSI = () => (avgLoss === 0 ? (avgGain === 0 ? 50 : 100) : 100 - 100 / (1 + avgGain / avgLoss));
+    result[period] = toRSI();
+    for (let i = period + 1; i < values.length; i++) {
+        const change = values[i] - values[i - 1];
+        avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+        avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+        result[i] = toRSI();
+    }
+    return result;
+}
+
+/**
+ * MACD：快慢EMA之差、其信号线和柱状值
+ * 返回 { macd, signal, histogram } 三个数组
+ */
+function macd(values, fast = 12, slow = 26, signalPeriod = 9) {
+    if (values.length < slow + signalPeriod - 1) {
+        return { macd: [], signal: [], histogram: [] };
+    }
+
+    const fastEMA = ema(values, fast);
+    const slowEMA = ema(values, slow);
+    const macdLine = values.map((_, i) => (fastEMA[i] === null || slowEMA[i] === null ? null : fastEMA[i] - slowEMA[i]));
+    const signalLine = ema(macdLine, signalPeriod);
+    const histogram = macdLine.map((value, i) => (value === null || signalLine[i] === null ? null : value - signalLine[i]));
+    return { macd: macdLine, signal: signalLine, histogram };
+}
+
+/**
+ * 布林带：中轨为SMA，上下轨为中轨 ± stdDev 倍总体标准差
+ * 返回 { upper, middle, lower } 三个数组
+ */
+function bollinger(values, period = 20, stdDev = 2) {
+    const middle = sma(values, period);
+    if (middle.length === 0) {
+        return { upper: [], middle: [], lower: [] };
+    }
+
+    const upper = new Array(values.length).fill(null);
+    const lower = new Array(values.length).fill(null);
+    for (let i = period - 1; i < values.length; i++) {
+        let variance = 0;
+        for (let j = i - period + 1; j <= i; j++) {
+            variance += (values[j] - middle[i]) ** 2;
+        }
+        const deviation = Math.sqrt(variance / period) * stdDev;
+        upper[i] = middle[i] + deviation;
+        lower[i] = middle[i] - deviation;
+    }
+    return { upper, middle, lower };
+}
+
+/**
+ * 平均真实波幅（Wilder平滑），输入为K线数组
+ */
+function atr(candles, period = 14) {
+    if (candles.length < period + 1) {
+        return [];
+    }
+
+    const trueRanges = candles.map((candle, i) => {
+        if (i === 0) {
+            return candle.high - candle.low;
+        }
+        const prevClose = candles[i - 1].close;
+        return Math.max(candle.high - candle.low, Math.abs(candle.high - prevClose), Math.abs(candle.low - prevClose));
+    });
+
+    const result = new Array(candles.length).fill(null);
+    let value = 0;
+    for (let i = 1; i <= period; i++) {
+        value += trueRanges[i];
+    }
+    value /= period;
+    result[period] = value;
+    for (let i = period + 1; i < candles.length; i++) {
+        value = (value * (period - 1) + trueRanges[i]) / period;
+        result[i] = value;
+    }
+    return result;
+}
+
+/**
+ * 成交量加权平均价，典型价格为 (high + low + close) / 3
+ * 设置 period 时为最近 period 根K线的滚动VWAP，否则从第一根K线起累计；成交量为0时为 null
+ */
+function vwap(candles, period = null) {
+    if (period && candles.length < period) {
+        return [];
+    }
+
+    const result = new Array(candles.length).fill(null);
+    let priceVolume = 0;
+    let volume = 0;
+    for (let i = 0; i < candles.length; i++) {
+        const candle = candles[i];
+        priceVolume += (candle.high + candle.low + candle.close) / 3 * (candle.volume || 0);
+        volume += candle.volume || 0;
+        if (period && i >= period) {
+            const removed = candles[i - period];
+            priceVolume -= (removed.high + removed.low + removed.close) / 3 * (removed.volume || 0);
+            volume -= removed.volume || 0;
+        }
+        if ((!period || i >= period - 1) && volume > 0) {
+            result[i] = priceVolume / volume;
+        }
+    }
+    return result;
+}
+
+const sourceOf = (candles, spec) => candles.map(candle => candle[spec.source || 'close']);
+
+/**
+ * 策略可引用的指标：calculate(candles, spec) 返回与K线一一对应的数值数组，
+ * requiredBars(spec) 为得到第一个有效值所需的K线数，outputs 为多输出指标可选的 output
+ */
+const INDICATORS = {
+    sma: {
+        calculate: (candles, spec) => sma(sourceOf(candles, spec), spec.period),
+        requiredBars: spec => spec.period
+    },
+    ema: {
+        calculate: (candles, spec) => ema(sourceOf(candles, spec), spec.period),
+        requiredBars: spec => spec.period
+    },
+    rsi: {
+        calculate: (candles, spec) => rsi(sourceOf(candles, spec), spec.period || 14),
+        requiredBars: spec => (spec.period || 14) + 1
+    },
+    macd: {
+        outputs: ['macd', 'signal', 'histogram'],
+        calculate: (candles, spec) => macd(sourceOf(candles, spec), spec.fast || 12, spec.slow || 26, spec.signal || 9)[spec.output || 'macd'],
+        requiredBars: spec => (spec.slow || 26) + (spec.signal || 9) - 1
+    },
+    bollinger: {
+        outputs: ['upper', 'middle', 'lower'],
+        calculate: (candles, spec) => bollinger(sourceOf(candles, spec), spec.period || 20, spec.stdDev || 2)[spec.output || 'middle'],
+        requiredBars: spec => spec.period || 20
+    },
+    atr: {
+        calculate: (candles, spec) => atr(candles, spec.period || 14),
+        requiredBars: spec => (spec.period || 14) + 1
+    },
+    vwap: {
+        calculate: (candles, spec) => vwap(candles, spec.period || null),
+        requiredBars: spec => spec.period || 1
+    }
+};
+
+/**
+ * 校验指标定义，返回错误描述，合法时返回 null
+ */
+function validateIndicatorSpec(spec) {
+    const indicator = INDICATORS[spec.type];
+    if (!indicator) {
+        return `不支持的类型: ${spec.type}`;
+    }
+    if (['sma', 'ema'].includes(spec.type) && !(spec.period >= 1)) {
+        return `${spec.type} 需要 period 参数`;
+    }
+    if (spec.output !== undefined && !(indicator.outputs || []).includes(spec.output)) {
+        return `${spec.type} 不支持输出 ${spec.output}`;
+    }
+    return null;
+}
+
+/**
+ * 计算K线窗口最新一根的常用指标，用于告警消息展示；数据不足的指标为 null
+ */
+function calculateSnapshot(candles) {
+    const closes = candles.map(candle => candle.close);
+    const latest = series => (series.length > 0 ? series[series.length - 1] : null);
+    const macdResult = macd(closes);
+    const bands = bollinger(closes);
+    return {
+        rsi14: latest(rsi(closes, 14)),
+        macd: latest(macdResult.macd),
+        macdSignal: latest(macdResult.signal),
+        macdHistogram: latest(macdResult.histogram),
+        bollingerUpper: latest(bands.upper),
+        bollingerMiddle: latest(bands.middle),
+        bollingerLower: latest(bands.lower),
+        atr14: latest(atr(candles, 14)),
+        vwap: latest(vwap(candles))
+    };
+}
+
+module.exports = {
+    sma,
+    ema,
+    rsi,
+    macd,
+    bollinger,
+    atr,
+    vwap,
+    INDICATORS,
+    validateIndicatorSpec,
+    calculateSnapshot
+};
@@ -0,0 +1,164 @@
+/**
+ * 结构化日志
+ * 支持 debug / info / warn / error 四个级别，LOG_LEVEL 控制输出的最低级别，LOG_FORMAT 为 text（默认）或 json
+ *
+ * 每条日志可附带字段，字段来源依次为：
+ *   1. 模块日志器的固定字段，例如 logger.child({ module: 'okx' })
+ *   2. withContext 设置的异步上下文，例如一轮检测的 cycle 和正在处理的代币 symbol / address，
+ *      上下文随 async 调用链自动传递，下游模块无需层层传参
+ *   3. 调用时传入的字段
+ * 字段 error 为 Error 对象时展开为 error（消息）、errorName，OKX接口错误还会带上 endpoint、okxCode 和 httpStatus
+ *
+ * debug/info 通过 console.log 输出，warn/error 通过 console.error 输出；stream 设为 stderr 时全部通过 console.error 输出
+ * （命令行一次性命令的 stdout 只输出结果JSON）
+ * text 格式：[级别] [模块] 消息 字段=值 ...
+ * json 格式：每行一个对象 { time, level, module, msg, ...字段 }
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['text', 'json'];
+const STREAMS = ['stdout', 'stderr'];
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * 将错误对象展开为日志字段
+ */
+function serializeError(error) {
+    if (!(error instanceof Error)) {
+        return { error };
+    }
+    const fields = { error: error.message, errorName: error.name };
+    if (error.endpoint) {
+        // OKX接口错误（OKXApiError 及其子类）
+        fields.endpoint = error.endpoint;
+        fields.okxCode = error.code;
+        fields.httpStatus = error.status;
+    } else if (error.code !== undefined) {
+        // 系统错误码，例如 ENOENT、ECONNRESET
+        fields.errorCode = error.code;
+    }
+    return fields;
+}
+
+/**
+ * text 格式中的字段值：字符串含空格时加引号，对象输出为JSON
+ */
+function formatValue(value) {
+    if (typeof value === 'string') {
+        return /\s/.test(value) ? JSON.stringify(value) : value;
+    }
+    return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+class Logger {
+    /**
+     * @param {Object} settings 共享的输出设置 { level, format, stream }，子日志器与父日志器共用同一对象
+     * @param {Object} fields 固定附带的字段
+     */
+    constructor(settings = { level: 'info', format: 'text', stream: 'stdout' }, fields = {}) {
+        this.settings = settings;
+        this.fields = fields;
+    }
+
+    /**
+     * 设置最低输出级别、输出格式和 debug/info 的输出流，对所有子日志器生效
+     */
+    configure({ level, format, stream } = {}) {
+        if (level !== undefined) {
+            if (!LEVELS[level]) {
+                throw new Error(`不支持的日志级别 ${level}，可用级别: ${Object.keys(LEVELS).join(', ')}`);
+            }
+            this.settings.level = level;
+        }
+        if (format !== undefined) {
+            if (!FORMATS.includes(format)) {
+                throw new Error(`不支持的日志格式 ${format}，可用格式: ${FORMATS.join(', ')}`);
+            }
+            this.settings.format = format;
+        }
+        if (stream !== undefined) {
+            if (!STREAMS.includes(stream)) {
+                throw new Error(`不支持的日志输出流 ${stream}，可用输出流: ${STREAMS.join(', ')}`);
+            }
+            this.settings.stream = stream;
+        }
+    }
+
+    /**
+     * 创建附带固定字段的子日志器
+     */
+    child(fields) {
+        return new Logger(this.settings, { ...this.fields, ...fields });
+    }
+
+    /**
+     * 在附带上下文字段的异步上下文中执行 fn，期间所有日志都会带上这些字段（与外层上下文合并）
+     */
+    withContext(fields, fn) {
+        return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+    }
+
+    /**
+     * 指定级别是否会输出，用于跳过开销较大的日志内容计算
+     */
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.settings.level];
+    }
+
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.write('error', message, fields);
+    }
+
+    write(level, message, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+
+        const { error, ...rest } = fields;
+        const { module, ...entry } = {
+            ...this.fields,
+            ...contextStorage.getStore(),
+            ...rest,
+            ...(error !== undefined ? serializeError(error) : {})
+        };
+        const output = level === 'warn' || level === 'error' || this.settings.stream === 'stderr' ? console.error : console.log;
+
+        if (this.settings.format === 'json') {
+            output(JSON.stringify({ time: new Date().toISOString(), level, module, msg: message, ...entry }));
+            return;
+        }
+
+        const suffix = Object.entries(entry)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => `${key}=${formatValue(value)}`)
+            .join(' ');
+        output(`[${level.toUpperCase()}]${module ? ` [${module}]` : ''} ${message}${suffix ? ` ${suffix}` : ''}`);
+    }
+}
+
+// 全局日志器，各模块通过 logger.child({ module }) 创建自己的日志器
+const logger = new Logger();
+
+module.exports = {
+    logger,
+    Logger,
+    LEVELS,
+    FORMATS,
+    STREAMS,
+    serializeError
+};
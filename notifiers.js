@@ -0,0 +1,761 @@
+/**
+ * 通知渠道
+ * 每个渠道负责自己的消息格式，同一个信号会分发到所有启用的渠道
+ * 渠道需实现 formatSignal(signal)、send(payload) 和 sendText(text) 三个方法
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { SIGNAL_TYPES } = require('./strategy_engine');
+const { getExplorerTokenUrl } = require('./chains');
+const logger = require('./logger').logger.child({ module: 'notifier' });
+
+/**
+ * 格式化数字显示
+ */
+function formatNumber(numStr) {
+    const num = parseFloat(numStr);
+    if (isNaN(num)) return '0';
+
+    if (num >= 1e9) {
+        return (num / 1e9).toFixed(2) + 'B';
+    } else if (num >= 1e6) {
+        return (num / 1e6).toFixed(2) + 'M';
+    } else if (num >= 1e3) {
+        return (num / 1e3).toFixed(2) + 'K';
+    } else {
+        return num.toFixed(2);
+    }
+}
+
+/**
+ * 转义HTML特殊字符，Telegram 以 HTML 解析消息，代币名称、信号原因等外部文本中的 < & 会导致消息被拒绝
+ */
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * 描述EMA21/55/144的排列关系
+ */
+function describeEMAAlignment(signal) {
+    if (signal.ema21 > signal.ema55 && signal.ema55 > signal.ema144) {
+        return 'EMA21 > EMA55 > EMA144（多头排列）';
+    }
+    if (signal.ema21 < signal.ema55 && signal.ema55 < signal.ema144) {
+        return 'EMA21 < EMA55 < EMA144（空头排列）';
+    }
+    return '交织（无明确排列）';
+}
+
+/**
+ * 多周期状态摘要，例如 "15m ✅ | 1H ❌"；只有一个周期时返回 null
+ */
+function describeTimeframeAlignment(signal) {
+    if (!signal.timeframeAlignment || signal.timeframeAlignment.length <= 1) {
+        return null;
+    }
+    return signal.timeframeAlignment
+        .map(({ timeframe, state }) => `${timeframe} ${state === null ? '➖' : (state ? '✅' : '❌')}`)
+        .join(' | ');
+}
+
+/**
+ * 格式化指标数值：价格类指标保留有效数字，避免低价代币显示为0
+ */
+function formatIndicatorValue(value) {
+    if (value === null || value === undefined || !Number.isFinite(value)) {
+        return '-';
+    }
+    return Math.abs(value) >= 1 ? value.toFixed(4) : value.toPrecision(4);
+}
+
+/**
+ * 常用技术指标摘要（RSI、MACD、布林带、ATR、VWAP），以及策略中EMA21/55/144以外的指标
+ */
+function describeTechnicals(signal) {
+    const lines = [];
+    const technicals = signal.technicals;
+    if (technicals) {
+        lines.push(`RSI(14): ${technicals.rsi14 === null ? '-' : technicals.rsi14.toFixed(1)}`);
+        lines.push(`MACD(12,26,9): ${formatIndicatorValue(technicals.macd)} / 信号 ${formatIndicatorValue(technicals.macdSignal)} / 柱 ${formatIndicatorValue(technicals.macdHistogram)}`);
+        lines.push(`布林带(20,2): ${formatIndicatorValue(technicals.bollingerLower)} ~ ${formatIndicatorValue(technicals.bollingerUpper)}（中轨 ${formatIndicatorValue(technicals.bollingerMiddle)}）`);
+        lines.push(`ATR(14): ${formatIndicatorValue(technicals.atr14)}`);
+        lines.push(`VWAP: ${formatIndicatorValue(technicals.vwap)}`);
+    }
+    for (const [id, value] of Object.entries(signal.indicators || {})) {
+        if (!['ema21', 'ema55', 'ema144'].includes(id)) {
+            lines.push(`${id}: ${formatIndicatorValue(value)}`);
+        }
+    }
+    return lines;
+}
+
+/**
+ * 信号K线成交额及量比，例如 "$12.30K（前20根均值的 2.35 倍）"；没有成交量数据时返回 null
+ */
+function describeVolume(signal) {
+    if (!signal.volume) {
+        return null;
+    }
+    const { barVolumeUsd, ratio, lookback } = signal.volume;
+    return `$${formatNumber(barVolumeUsd)}（${ratio === null ? '无均值' : `前${lookback}根均值的 ${ratio.toFixed(2)} 倍`}）`;
+}
+
+/**
+ * 监控列表文件中的标签和分类，例如 "CAKE 长期仓位 #defi #core"；都没有时返回 null
+ */
+function describeWatchlistLabel(signal) {
+    const parts = [signal.label, ...(signal.tags || []).map(tag => `#${tag}`)].filter(Boolean);
+    return parts.length > 0 ? parts.join(' ') : null;
+}
+
+/**
+ * 风险筛查结论，未筛查时返回 null
+ */
+function describeRiskLevel(signal) {
+    if (!signal.risk) {
+        return null;
+    }
+    if (signal.risk.flagged) {
+        return '⚠️ 存在风险';
+    }
+    if (signal.risk.level !== 'unknown') {
+        return '✅ 通过';
+    }
+    return (signal.risk.checks || []).some(item => item.status === 'unsupported')
+        ? '❔ 未发现风险（部分检查项数据源不支持）'
+        : '❔ 未发现风险（部分数据缺失）';
+}
+
+/**
+ * 风险筛查各检查项，例如 "❌ 卖出税: 25.0%（上限 10%）"
+ */
+function describeRiskChecks(signal) {
+    const icons = { pass: '✅', fail: '❌', unknown: '❔', unsupported: '➖' };
+    return (signal.risk?.checks || []).map(item => `${icons[item.status]} ${item.label}: ${item.detail}`);
+}
+
+/**
+ * 获取信号类型配置，未知类型按多头信号处理
+ */
+function getSignalType(signal) {
+    return SIGNAL_TYPES[signal.type] || SIGNAL_TYPES.bullish;
+}
+
+/**
+ * 信号的纯文本摘要，用于邮件正文和不支持富文本的渠道
+ */
+function formatPlainText(signal) {
+    const signalType = getSignalType(signal);
+    const lines = [
+        `${signalType.emoji} ${signalType.title}`,
+        '',
+        `代币: ${signal.tokenInfo?.name || 'Unknown'} (${signal.tokenInfo?.symbol || signal.symbol})`
+    ];
+    const watchlistLabel = describeWatchlistLabel(signal);
+    if (watchlistLabel) {
+        lines.push(`标签: ${watchlistLabel}`);
+    }
+    if (signal.chainIndex) {
+        lines.push(`链: ${signal.chainName}`);
+    }
+    lines.push(`合约地址: ${signal.address}`);
+    if (signal.chainIndex) {
+        lines.push(`浏览器: ${getExplorerTokenUrl(signal.chainIndex, signal.address)}`);
+    }
+    lines.push(`市值: $${formatNumber(signal.tokenInfo?.marketCap || '0')}`);
+    lines.push(`24h成交量: $${formatNumber(signal.tokenInfo?.volume24h || '0')}`);
+    const volumeSummary = describeVolume(signal);
+    if (volumeSummary) {
+        lines.push(`信号K线成交额: ${volumeSummary}`);
+    }
+    lines.push('');
+    if (signal.ema21 !== undefined) {
+        lines.push(`EMA21: ${signal.ema21.toFixed(8)}`);
+        lines.push(`EMA55: ${signal.ema55.toFixed(8)}`);
+        lines.push(`EMA144: ${signal.ema144.toFixed(8)}`);
+        lines.push(`排列: ${describeEMAAlignment(signal)}`);
+    }
+    lines.push(`当前价格: ${signal.currentPrice.toFixed(8)}`);
+    lines.push(...describeTechnicals(signal));
+    if (signal.strategy) {
+        lines.push(`策略: ${signal.strategyLabel} (${signal.strategy})`);
+    }
+    lines.push(`信号原因: ${signal.signalReason}`);
+    const timeframeSummary = describeTimeframeAlignment(signal);
+    if (timeframeSummary) {
+        lines.push(`多周期状态: ${timeframeSummary}`);
+    }
+    const riskLevel = describeRiskLevel(signal);
+    if (riskLevel) {
+        lines.push('');
+        lines.push(`风险检查: ${riskLevel}`);
+        lines.push(...describeRiskChecks(signal));
+    }
+    lines.push('');
+    lines.push(`检测时间: ${signal.timestamp}`);
+    lines.push(`K线时间: ${new Date(signal.klineTimestamp).toISOString()}${signal.timeframe ? ` (${signal.timeframe})` : ''}`);
+    return lines.join('\n');
+}
+
+/**
+ * Telegram Bot 通知
+ */
+class TelegramNotifier {
+    constructor(options = {}) {
+        this.name = 'telegram';
+        this.botToken = options.botToken;
+        this.chatId = options.chatId;
+    }
+
+    /**
+     * 格式化Telegram消息（HTML）
+     */
+    formatSignal(signal) {
+        const tokenInfo = signal.tokenInfo;
+        const signalType = getSignalType(signal);
+
+        let message = `${signalType.emoji} <b>${signalType.title}</b>\n\n`;
+        message += `📊 <b>代币信息:</b>\n`;
+        message += `• 名称: ${escapeHtml(tokenInfo?.name || 'Unknown')}\n`;
+        message += `• 符号: ${escapeHtml(tokenInfo?.symbol || signal.symbol)}\n`;
+        const watchlistLabel = describeWatchlistLabel(signal);
+        if (watchlistLabel) {
+            message += `• 标签: ${escapeHtml(watchlistLabel)}\n`;
+        }
+        if (signal.chainIndex) {
+            message += `• 链: ${escapeHtml(signal.chainName)}\n`;
+        }
+        message += `• 合约地址: <code>${escapeHtml(signal.address)}</code>\n`;
+        if (signal.chainIndex) {
+            message += `• 浏览器: <a href="${escapeHtml(getExplorerTokenUrl(signal.chainIndex, signal.address))}">查看代币</a>\n`;
+        }
+        message += `\n`;
+
+        message += `💰 <b>市场数据:</b>\n`;
+        message += `• 市值: $${formatNumber(tokenInfo?.marketCap || '0')}\n`;
+        message += `• 24h成交量: $${formatNumber(tokenInfo?.volume24h || '0')}\n`;
+        message += `• 持币地址数: ${formatNumber(tokenInfo?.holderCount || '0')}\n`;
+        const volumeSummary = describeVolume(signal);
+        if (volumeSummary) {
+            message += `• 信号K线成交额: ${escapeHtml(volumeSummary)}\n`;
+        }
+        message += `\n`;
+
+        message += `📈 <b>EMA指标:</b>\n`;
+        if (signal.ema21 !== undefined) {
+            message += `• EMA21: ${signal.ema21.toFixed(8)}\n`;
+            message += `• EMA55: ${signal.ema55.toFixed(8)}\n`;
+            message += `• EMA144: ${signal.ema144.toFixed(8)}\n`;
+            message += `• 排列: ${describeEMAAlignment(signal)}\n`;
+        }
+        message += `• 当前价格: ${signal.currentPrice.toFixed(8)}\n\n`;
+
+        const technicals = describeTechnicals(signal);
+        if (technicals.length > 0) {
+            message += `📐 <b>技术指标:</b>\n`;
+            for (const line of technicals) {
+                message += `• ${escapeHtml(line)}\n`;
+            }
+            message += `\n`;
+        }
+
+        if (signal.strategy) {
+            message += `🧭 <b>策略:</b> ${escapeHtml(signal.strategyLabel)} (<code>${escapeHtml(signal.strategy)}</code>)\n`;
+        }
+        message += `🎯 <b>信号原因:</b> ${escapeHtml(signal.signalReason)}\n`;
+        const timeframeSummary = describeTimeframeAlignment(signal);
+        if (timeframeSummary) {
+            message += `🕒 <b>多周期状态:</b> ${timeframeSummary}\n`;
+        }
+        message += `\n`;
+
+        const riskLevel = describeRiskLevel(signal);
+        if (riskLevel) {
+            message += `🛡️ <b>风险检查:</b> ${riskLevel}\n`;
+            for (const line of describeRiskChecks(signal)) {
+                message += `• ${escapeHtml(line)}\n`;
+            }
+            message += `\n`;
+        }
+        message += `⏰ <b>检测时间:</b> ${escapeHtml(signal.timestamp)}\n`;
+        message += `📅 <b>K线时间:</b> ${new Date(signal.klineTimestamp).toISOString()}${signal.timeframe ? ` (${escapeHtml(signal.timeframe)})` : ''}`;
+
+        return message;
+    }
+
+    async sendText(text) {
+        return this.send(text);
+    }
+
+    /**
+     * 发送Telegram消息
+     */
+    async send(message) {
+        try {
+            const telegramToken = this.botToken;
+            const chatId = this.chatId;
+
+            if (!telegramToken || !chatId) {
+                logger.warn('❌ Telegram配置未设置，跳过消息发送，请检查环境变量 TELEGRAM_BOT_TOKEN 和 TELEGRAM_CHAT_ID');
+                return false;
+            }
+
+            // 验证Token格式 (应该类似: 123456789:ABCdefGHIjklMNOpqrsTUVwxyz)
+            if (!telegramToken.includes(':') || telegramToken.length < 35) {
+                logger.error('❌ Telegram Bot Token格式不正确，正确格式应为 数字:字母数字组合，例如 123456789:ABCdefGHIjklMNOpqrsTUVwxyz');
+                return false;
+            }
+
+            // 验证Chat ID格式 (应该是数字或以-开头的数字)
+            if (!/^-?\d+$/.test(chatId)) {
+                logger.error('❌ Telegram Chat ID格式不正确，应为纯数字或负数，例如 123456789 或 -123456789');
+                return false;
+            }
+
+            const url = `https://api.telegram.org/bot${telegramToken}/sendMessage`;
+            logger.debug(`📤 正在发送Telegram消息到Chat ID: ${chatId}`);
+
+            const response = await axios.post(url, {
+                chat_id: chatId,
+                text: message,
+                parse_mode: 'HTML'
+            }, { timeout: 10000 });
+
+            if (response.data.ok) {
+                logger.info('✅ Telegram消息发送成功');
+                return true;
+            } else {
+                logger.error('❌ Telegram消息发送失败', { response: response.data });
+                return false;
+            }
+        } catch (error) {
+            // 常见错误的排查提示
+            const hints = {
+                400: '检查Chat ID是否正确、用户是否已与Bot开始对话、消息格式是否正确',
+                401: 'Bot Token无效或已过期，请重新从@BotFather获取Token',
+                404: '检查Bot Token是否正确（格式: 数字:字母数字）、Bot是否已通过@BotFather创建',
+                ENOTFOUND: '无法连接到Telegram服务器，请检查网络连接',
+                ETIMEDOUT: '请求超时，请检查网络连接或稍后重试'
+            };
+            logger.error('❌ 发送Telegram消息时出错', {
+                error,
+                httpStatus: error.response?.status,
+                response: error.response?.data,
+                hint: hints[error.response ? error.response.status : error.code]
+            });
+
+            return false;
+        }
+    }
+}
+
+/**
+ * Discord Webhook 通知（embed格式）
+ */
+class DiscordNotifier {
+    constructor(options = {}) {
+        this.name = 'discord';
+        this.webhookUrl = options.webhookUrl;
+        this.username = options.username;
+    }
+
+    formatSignal(signal) {
+        const signalType = getSignalType(signal);
+        const fields = [
+            { name: '代币', value: `${signal.tokenInfo?.symbol || signal.symbol}`, inline: true },
+            { name: '链', value: signal.chainName || 'BSC', inline: true },
+            { name: '当前价格', value: signal.currentPrice.toFixed(8), inline: true },
+            { name: '市值', value: `$${formatNumber(signal.tokenInfo?.marketCap || '0')}`, inline: true },
+            { name: '24h成交量', value: `$${formatNumber(signal.tokenInfo?.volume24h || '0')}`, inline: true },
+            { name: 'K线周期', value: signal.timeframe || '15m', inline: true },
+            { name: '合约地址', value: `\`${signal.address}\`` }
+        ];
+        const watchlistLabel = describeWatchlistLabel(signal);
+        if (watchlistLabel) {
+            fields.push({ name: '标签', value: watchlistLabel });
+        }
+        const volumeSummary = describeVolume(signal);
+        if (volumeSummary) {
+            fields.push({ name: '信号K线成交额', value: volumeSummary });
+        }
+        if (signal.ema21 !== undefined) {
+            fields.push({ name: 'EMA', value: `EMA21 ${signal.ema21.toFixed(8)}\nEMA55 ${signal.ema55.toFixed(8)}\nEMA144 ${signal.ema144.toFixed(8)}\n${describeEMAAlignment(signal)}` });
+        }
+        const technicals = describeTechnicals(signal);
+        if (technicals.length > 0) {
+            fields.push({ name: '技术指标', value: technicals.join('\n') });
+        }
+        if (signal.strategy) {
+            fields.push({ name: '策略', value: `${signal.strategyLabel} (\`${signal.strategy}\`)` });
+        }
+        const timeframeSummary = describeTimeframeAlignment(signal);
+        if (timeframeSummary) {
+            fields.push({ name: '多周期状态', value: timeframeSummary });
+        }
+        const riskLevel = describeRiskLevel(signal);
+        if (riskLevel) {
+            fields.push({ name: `风险检查: ${riskLevel}`, value: describeRiskChecks(signal).join('\n') || '无检查项' });
+        }
+
+        return {
+            username: this.username || undefined,
+            embeds: [{
+                title: `${signalType.emoji} ${signalType.title}`,
+                description: signal.signalReason,
+                url: signal.chainIndex ? getExplorerTokenUrl(signal.chainIndex, signal.address) : undefined,
+                color: signalType.direction > 0 ? 0x2ecc71 : 0xe74c3c,
+                thumbnail: signal.tokenInfo?.logoUrl ? { url: signal.tokenInfo.logoUrl } : undefined,
+                fields,
+                timestamp: new Date(signal.klineTimestamp).toISOString()
+            }]
+        };
+    }
+
+    async sendText(text) {
+        return this.send({ username: this.username || undefined, content: text });
+    }
+
+    async send(payload) {
+        try {
+            await axios.post(this.webhookUrl, payload, { timeout: 10000 });
+            logger.info('✅ Discord消息发送成功');
+            return true;
+        } catch (error) {
+            logger.error('❌ 发送Discord消息时出错', { error, response: error.response?.data });
+            return false;
+        }
+    }
+}
+
+/**
+ * Slack Incoming Webhook 通知（Block Kit格式）
+ */
+class SlackNotifier {
+    constructor(options = {}) {
+        this.name = 'slack';
+        this.webhookUrl = options.webhookUrl;
+    }
+
+    formatSignal(signal) {
+        const signalType = getSignalType(signal);
+        const symbol = signal.tokenInfo?.symbol || signal.symbol;
+        const fields = [
+            `*代币:*\n${symbol}`,
+            `*链:*\n${signal.chainName || 'BSC'}`,
+            `*当前价格:*\n${signal.currentPrice.toFixed(8)}`,
+            `*K线周期:*\n${signal.timeframe || '15m'}`,
+            `*市值:*\n$${formatNumber(signal.tokenInfo?.marketCap || '0')}`,
+            `*24h成交量:*\n$${formatNumber(signal.tokenInfo?.volume24h || '0')}`
+        ];
+        const watchlistLabel = describeWatchlistLabel(signal);
+        if (watchlistLabel) {
+            fields.push(`*标签:*\n${watchlistLabel}`);
+        }
+        const volumeSummary = describeVolume(signal);
+        if (volumeSummary) {
+            fields.push(`*信号K线成交额:*\n${volumeSummary}`);
+        }
+
+        const details = [`*信号原因:* ${signal.signalReason}`];
+        if (signal.ema21 !== undefined) {
+            details.push(`*排列:* ${describeEMAAlignment(signal)}`);
+        }
+        const technicals = describeTechnicals(signal);
+        if (technicals.length > 0) {
+            details.push(`*技术指标:* ${technicals.join('，')}`);
+        }
+        if (signal.strategy) {
+            details.push(`*策略:* ${signal.strategyLabel} (\`${signal.strategy}\`)`);
+        }
+        const timeframeSummary = describeTimeframeAlignment(signal);
+        if (timeframeSummary) {
+            details.push(`*多周期状态:* ${timeframeSummary}`);
+        }
+        const riskLevel = describeRiskLevel(signal);
+        if (riskLevel) {
+            details.push(`*风险检查:* ${riskLevel}`);
+            details.push(...describeRiskChecks(signal));
+        }
+        const address = signal.chainIndex
+            ? `<${getExplorerTokenUrl(signal.chainIndex, signal.address)}|${signal.address}>`
+            : `\`${signal.address}\``;
+        details.push(`*合约地址:* ${address}`);
+
+        return {
+            text: `${signalType.emoji} ${signalType.title}: ${symbol}`,
+            blocks: [
+                { type: 'header', text: { type: 'plain_text', text: `${signalType.emoji} ${signalType.title}` } },
+                { type: 'section', fields: fields.map(text => ({ type: 'mrkdwn', text })) },
+                { type: 'section', text: { type: 'mrkdwn', text: details.join('\n') } },
+                { type: 'context', elements: [{ type: 'mrkdwn', text: `K线时间 ${new Date(signal.klineTimestamp).toISOString()}` }] }
+            ]
+        };
+    }
+
+    async sendText(text) {
+        return this.send({ text });
+    }
+
+    async send(payload) {
+        try {
+            await axios.post(this.webhookUrl, payload, { timeout: 10000 });
+            logger.info('✅ Slack消息发送成功');
+            return true;
+        } catch (error) {
+            logger.error('❌ 发送Slack消息时出错', { error, response: error.response?.data });
+            return false;
+        }
+    }
+}
+
+/**
+ * SMTP 邮件通知
+ */
+class EmailNotifier {
+    constructor(options = {}) {
+        this.name = 'email';
+        this.options = options;
+        this.transport = null;
+    }
+
+    /**
+     * 延迟创建SMTP连接，未启用邮件通知时不加载 nodemailer
+     */
+    getTransport() {
+        if (!this.transport) {
+            const nodemailer = require('nodemailer');
+            const { host, port, secure, user, pass } = this.options;
+            this.transport = nodemailer.createTransport({
+                host,
+                port,
+                secure,
+                auth: user ? { user, pass } : undefined
+            });
+        }
+        return this.transport;
+    }
+
+    formatSignal(signal) {
+        const signalType = getSignalType(signal);
+        return {
+            subject: `${signalType.emoji} ${signalType.title}: ${signal.tokenInfo?.symbol || signal.symbol}${signal.chainName ? ` (${signal.chainName})` : ''}`,
+            text: formatPlainText(signal)
+        };
+    }
+
+    async sendText(text) {
+        return this.send({ subject: text.split('\n')[0].slice(0, 80), text });
+    }
+
+    async send({ subject, text }) {
+        try {
+            await this.getTransport().sendMail({
+                from: this.options.from,
+                to: this.options.to,
+                subject,
+                text
+            });
+            logger.info('✅ 邮件发送成功');
+            return true;
+        } catch (error) {
+            logger.error('❌ 发送邮件时出错', { error });
+            return false;
+        }
+    }
+}
+
+/**
+ * 通用JSON Webhook 通知，供下游交易机器人等系统消费
+ * 配置 secret 时会附带 X-Signature 请求头（请求体的 HMAC-SHA256 十六进制签名）
+ */
+class WebhookNotifier {
+    constructor(options = {}) {
+        this.name = 'webhook';
+        this.url = options.url;
+        this.secret = options.secret;
+    }
+
+    formatSignal(signal) {
+        return {
+            event: 'signal',
+            signal: {
+                type: signal.type,
+                direction: getSignalType(signal).direction,
+                strategy: signal.strategy || null,
+                transition: signal.transition || null,
+                chainIndex: signal.chainIndex || null,
+                chainName: signal.chainName || null,
+                symbol: signal.symbol,
+                label: signal.label || null,
+                tags: signal.tags || [],
+                address: signal.address,
+                timeframe: signal.timeframe || null,
+                price: signal.currentPrice,
+                ema21: signal.ema21,
+                ema55: signal.ema55,
+                ema144: signal.ema144,
+                indicators: signal.indicators || null,
+                trend: signal.trend || null,
+                details: signal.details || null,
+                technicals: signal.technicals || null,
+                volume: signal.volume || null,
+                timeframeAlignment: signal.timeframeAlignment || null,
+                risk: signal.risk || null,
+                reason: signal.signalReason,
+                klineTimestamp: signal.klineTimestamp,
+                timestamp: signal.timestamp
+            }
+        };
+    }
+
+    async sendText(text) {
+        return this.send({ event: 'message', text, timestamp: new Date().toISOString() });
+    }
+
+    async send(payload) {
+        try {
+            const body = JSON.stringify(payload);
+            const headers = { 'Content-Type': 'application/json' };
+            if (this.secret) {
+                headers['X-Signature'] = crypto.createHmac('sha256', this.secret).update(body).digest('hex');
+            }
+            await axios.post(this.url, body, { headers, timeout: 10000 });
+            logger.info('✅ Webhook发送成功');
+            return true;
+        } catch (error) {
+            logger.error('❌ 发送Webhook时出错', { error, httpStatus: error.response?.status });
+            return false;
+        }
+    }
+}
+
+/**
+ * 通知分发：同一个信号按各渠道自己的格式发送到所有启用的渠道，单个渠道失败不影响其他渠道
+ */
+class NotifierHub {
+    constructor(notifiers = [], options = {}) {
+        this.notifiers = notifiers;
+        this.dryRun = options.dryRun === true; // 只格式化并输出消息，不实际发送
+    }
+
+    /**
+     * 按名称获取渠道，例如 get('telegram')
+     */
+    get(name) {
+        return this.notifiers.find(notifier => notifier.name === name) || null;
+    }
+
+    /**
+     * 发送信号，返回 { 渠道名: 是否成功 }；channels 为渠道名数组时只发送到这些渠道
+     */
+    async notify(signal, channels = null) {
+        return this.dispatch(notifier => {
+            const payload = notifier.formatSignal(signal);
+            if (this.dryRun) {
+                logger.info(`📝 [dry-run] ${notifier.name} 告警内容:\n${typeof payload === 'string' ? payload : JSON.stringify(payload, null, 2)}`);
+                return true;
+            }
+            return notifier.send(payload);
+        }, channels);
+    }
+
+    /**
+     * 发送纯文本消息
+     */
+    async sendText(text) {
+        return this.dispatch(notifier => {
+            if (this.dryRun) {
+                logger.info(`📝 [dry-run] ${notifier.name} 消息内容:\n${text}`);
+                return true;
+            }
+            return notifier.sendText(text);
+        });
+    }
+
+    async dispatch(action, channels = null) {
+        const notifiers = channels ? this.notifiers.filter(notifier => channels.includes(notifier.name)) : this.notifiers;
+        if (notifiers.length === 0) {
+            logger.warn(`❌ ${channels ? `告警路由 ${channels.join(', ')} 中` : ''}未启用任何通知渠道，跳过消息发送`);
+            return {};
+        }
+
+        const results = await Promise.all(notifiers.map(async notifier => {
+            try {
+                return [notifier.name, await action(notifier)];
+            } catch (error) {
+                logger.error(`❌ ${notifier.name} 通知失败`, { error });
+                return [notifier.name, false];
+            }
+        }));
+        return Object.fromEntries(results);
+    }
+}
+
+const NOTIFIER_CLASSES = {
+    telegram: TelegramNotifier,
+    discord: DiscordNotifier,
+    slack: SlackNotifier,
+    email: EmailNotifier,
+    webhook: WebhookNotifier
+};
+
+/**
+ * 判断渠道的必要配置是否齐全
+ */
+function isNotifierConfigured(name, options = {}) {
+    switch (name) {
+        case 'telegram':
+            return Boolean(options.botToken && options.chatId);
+        case 'discord':
+        case 'slack':
+            return Boolean(options.webhookUrl);
+        case 'email':
+            return Boolean(options.host && options.to);
+        case 'webhook':
+            return Boolean(options.url);
+        default:
+            return false;
+    }
+}
+
+/**
+ * 根据配置创建通知分发器
+ * channels 为空时启用所有配置齐全的渠道；指定时只启用列出的渠道
+ */
+function createNotifierHub(options = {}) {
+    let channels = options.channels && options.channels.length > 0
+        ? options.channels
+        : Object.keys(NOTIFIER_CLASSES).filter(name => isNotifierConfigured(name, options[name]));
+    if (options.dryRun && channels.length === 0) {
+        // dry-run 不需要渠道凭据，没有配置任何渠道时按Telegram格式输出
+        channels = ['telegram'];
+    }
+
+    const notifiers = channels.map(name => {
+        const NotifierClass = NOTIFIER_CLASSES[name];
+        if (!NotifierClass) {
+            throw new Error(`不支持的通知渠道: ${name}`);
+        }
+        if (!options.dryRun && !isNotifierConfigured(name, options[name])) {
+            logger.warn(`⚠️ 通知渠道 ${name} 配置不完整，消息可能发送失败`);
+        }
+        return new NotifierClass(options[name]);
+    });
+
+    return new NotifierHub(notifiers, { dryRun: options.dryRun });
+}
+
+module.exports = {
+    createNotifierHub,
+    NotifierHub,
+    TelegramNotifier,
+    DiscordNotifier,
+    SlackNotifier,
+    EmailNotifier,
+    WebhookNotifier,
+    formatNumber,
+    escapeHtml,
+    describeEMAAlignment
+};
@@ -0,0 +1,289 @@
+/**
+ * OKX API 客户端
+ * 统一负责签名、限速、超时和重试：
+ * - 令牌桶限速，所有请求共用同一个桶
+ * - HTTP 429/5xx、网络错误、超时以及可重试的OKX错误码按指数退避重试
+ * - 返回 code 为 "0" 的 data 字段，其余情况抛出带类型的错误，调用方可按类型处理
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('./logger').logger.child({ module: 'okx' });
+
+// 可重试的OKX错误码：50001 服务暂时不可用，50004 接口请求超时，50011 请求过于频繁，50013 系统繁忙，50026 系统错误
+const RETRYABLE_CODES = new Set(['50001', '50004', '50011', '50013', '50026']);
+const RATE_LIMIT_CODES = new Set(['50011']);
+// 鉴权相关错误码：API Key、签名、时间戳、Passphrase 无效等
+const AUTH_CODES = new Set(['50102', '50103', '50104', '50105', '50111', '50112', '50113', '50114']);
+const RETRYABLE_NETWORK_ERRORS = new Set(['ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH']);
+
+/**
+ * OKX接口错误基类
+ * code 为OKX返回的错误码（HTTP层错误时为 null），status 为HTTP状态码
+ */
+class OKXApiError extends Error {
+    constructor(message, { endpoint, code = null, status = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'OKXApiError';
+        this.endpoint = endpoint;
+        this.code = code;
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * 触发频率限制（HTTP 429 或错误码 50011），重试耗尽后抛出
+ */
+class OKXRateLimitError extends OKXApiError {
+    constructor(message, details) {
+        super(message, { ...details, retryable: true });
+        this.name = 'OKXRateLimitError';
+    }
+}
+
+/**
+ * API Key、签名或 Passphrase 无效，重试没有意义
+ */
+class OKXAuthError extends OKXApiError {
+    constructor(message, details) {
+        super(message, { ...details, retryable: false });
+        this.name = 'OKXAuthError';
+    }
+}
+
+/**
+ * 请求超时
+ */
+class OKXTimeoutError extends OKXApiError {
+    constructor(message, details) {
+        super(message, { ...details, retryable: true });
+        this.name = 'OKXTimeoutError';
+    }
+}
+
+/**
+ * 网络错误（连接被重置、DNS失败等）
+ */
+class OKXNetworkError extends OKXApiError {
+    constructor(message, details) {
+        super(message, { ...details, retryable: true });
+        this.name = 'OKXNetworkError';
+    }
+}
+
+/**
+ * 令牌桶限速器：以 ratePerSecond 的速度补充令牌，最多积攒 capacity 个
+ */
+class TokenBucket {
+    constructor(ratePerSecond, capacity = ratePerSecond) {
+        this.ratePerSecond = ratePerSecond;
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.lastRefill = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) / 1000 * this.ratePerSecond);
+        this.lastRefill = now;
+    }
+
+    /**
+     * 获取一个令牌，没有可用令牌时等待
+     */
+    async take() {
+        for (;;) {
+            this.refill();
+            if (this.tokens >= 1) {
+                this.tokens -= 1;
+                return;
+            }
+            const waitMs = Math.ceil((1 - this.tokens) / this.ratePerSecond * 1000);
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+    }
+}
+
+class OKXClient {
+    constructor(options = {}) {
+        this.apiKey = options.apiKey;
+        this.secretKey = options.secretKey;
+        this.passphrase = options.passphrase;
+        this.baseUrl = options.baseUrl || 'https://web3.okx.com';
+        this.timeoutMs = options.timeoutMs || 30000;
+        this.maxRetries = options.maxRetries ?? 3; // 首次请求失败后的最大重试次数
+        this.baseDelayMs = options.baseDelayMs || 1000;
+        this.maxDelayMs = options.maxDelayMs || 30000;
+        this.rateLimiter = new TokenBucket(options.requestsPerSecond || 5, options.burst || options.requestsPerSecond || 5);
+        this.stats = { requests: 0, retries: 0, failures: 0 }; // 累计请求统计，用于每轮检测的耗时和请求数日志
+        this.endpointStats = new Map(); // 接口 -> { requests, retries, errors: Map(错误类型|错误码 -> 次数) }
+    }
+
+    /**
+     * 生成API签名
+     */
+    generateSignature(timestamp, method, requestPath, body = '') {
+        const message = timestamp + method + requestPath + body;
+        return crypto
+            .createHmac('sha256', this.secretKey)
+            .update(message)
+            .digest('base64');
+    }
+
+    /**
+     * 生成请求头
+     */
+    getHeaders(method, requestPath, body = '') {
+        const timestamp = new Date().toISOString();
+        const signature = this.generateSignature(timestamp, method, requestPath, body);
+
+        return {
+            'OK-ACCESS-KEY': this.apiKey,
+            'OK-ACCESS-SIGN': signature,
+            'OK-ACCESS-TIMESTAMP': timestamp,
+            'OK-ACCESS-PASSPHRASE': this.passphrase,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    async get(endpoint, params = {}) {
+        return this.request('GET', endpoint, { params });
+    }
+
+    async post(endpoint, body) {
+        return this.request('POST', endpoint, { body });
+    }
+
+    /**
+     * 发送请求，失败时按指数退避重试；成功时返回响应的 data 字段
+     */
+    async request(method, endpoint, { params, body } = {}) {
+        const query = params && Object.keys(params).length > 0
+            ? `?${new URLSearchParams(params).toString()}`
+            : '';
+        const requestPath = `${endpoint}${query}`;
+        const requestBody = body === undefined ? '' : JSON.stringify(body);
+
+        for (let attempt = 0; ; attempt++) {
+            await this.rateLimiter.take();
+            const endpointStats = this.getEndpointStats(endpoint);
+            this.stats.requests++;
+            endpointStats.requests++;
+
+            let error;
+            const startedAt = Date.now();
+            try {
+                const data = await this.send(method, endpoint, requestPath, requestBody);
+                logger.debug(`OKX请求 ${method} ${endpoint}`, { endpoint, params, attempt, ms: Date.now() - startedAt });
+                return data;
+            } catch (err) {
+                error = err;
+            }
+
+            if (!error.retryable || attempt >= this.maxRetries) {
+                const errorKey = `${error.name}|${error.code || error.status || ''}`;
+                this.stats.failures++;
+                endpointStats.errors.set(errorKey, (endpointStats.errors.get(errorKey) || 0) + 1);
+                throw error;
+            }
+            this.stats.retries++;
+            endpointStats.retries++;
+
+            const delay = this.getRetryDelay(attempt, error);
+            logger.warn(`⚠️ OKX请求 ${endpoint} 失败，${delay}ms 后第 ${attempt + 1}/${this.maxRetries} 次重试`, { error, delayMs: delay });
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    /**
+     * 获取接口的请求统计
+     */
+    getEndpointStats(endpoint) {
+        if (!this.endpointStats.has(endpoint)) {
+            this.endpointStats.set(endpoint, { requests: 0, retries: 0, errors: new Map() });
+        }
+        return this.endpointStats.get(endpoint);
+    }
+
+    /**
+     * 发送单次请求并把各种失败统一转换为 OKXApiError 子类
+     */
+    async send(method, endpoint, requestPath, requestBody) {
+        const headers = this.getHeaders(method, requestPath, requestBody);
+        let response;
+        try {
+            response = await axios.request({
+                method,
+                url: this.baseUrl + requestPath,
+                data: requestBody || undefined,
+                headers,
+                timeout: this.timeoutMs
+            });
+        } catch (error) {
+            throw this.toApiError(error, endpoint);
+        }
+
+        const code = String(response.data?.code);
+        if (code === '0') {
+            return response.data.data;
+        }
+
+        const message = `OKX返回错误代码 ${code}: ${response.data?.msg || '未知错误'}`;
+        if (RATE_LIMIT_CODES.has(code)) {
+            throw new OKXRateLimitError(message, { endpoint, code, status: response.status });
+        }
+        if (AUTH_CODES.has(code)) {
+            throw new OKXAuthError(message, { endpoint, code, status: response.status });
+        }
+        throw new OKXApiError(message, { endpoint, code, status: response.status, retryable: RETRYABLE_CODES.has(code) });
+    }
+
+    /**
+     * 将axios错误转换为对应的错误类型
+     */
+    toApiError(error, endpoint) {
+        if (error.response) {
+            const status = error.response.status;
+            const code = error.response.data?.code !== undefined ? String(error.response.data.code) : null;
+            const message = `HTTP ${status}${code ? `, OKX错误代码 ${code}` : ''}: ${error.response.data?.msg || error.message}`;
+            if (status === 429 || RATE_LIMIT_CODES.has(code)) {
+                const rateLimitError = new OKXRateLimitError(message, { endpoint, code, status });
+                rateLimitError.retryAfterMs = parseInt(error.response.headers?.['retry-after']) * 1000 || null;
+                return rateLimitError;
+            }
+            if (status === 401 || AUTH_CODES.has(code)) {
+                return new OKXAuthError(message, { endpoint, code, status });
+            }
+            return new OKXApiError(message, { endpoint, code, status, retryable: status >= 500 || RETRYABLE_CODES.has(code) });
+        }
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            return new OKXTimeoutError(`请求超时（${this.timeoutMs}ms）`, { endpoint });
+        }
+        if (RETRYABLE_NETWORK_ERRORS.has(error.code)) {
+            return new OKXNetworkError(`网络错误 ${error.code}: ${error.message}`, { endpoint });
+        }
+        return new OKXApiError(error.message, { endpoint });
+    }
+
+    /**
+     * 指数退避延迟（带随机抖动），服务端返回 Retry-After 时优先使用
+     */
+    getRetryDelay(attempt, error) {
+        if (error.retryAfterMs) {
+            return Math.min(error.retryAfterMs, this.maxDelayMs);
+        }
+        const delay = this.baseDelayMs * Math.pow(2, attempt);
+        return Math.min(Math.round(delay * (0.5 + Math.random() / 2)), this.maxDelayMs);
+    }
+}
+
+module.exports = {
+    OKXClient,
+    TokenBucket,
+    OKXApiError,
+    OKXRateLimitError,
+    OKXAuthError,
+    OKXTimeoutError,
+    OKXNetworkError
+};
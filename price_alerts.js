@@ -0,0 +1,336 @@
+/**
+ * 价格提醒
+ * 从配置文件加载针对具体代币的提醒规则，在每根新收盘的K线和每轮检测获取的实时价格上评估，
+ * 触发后与EMA信号走相同的发送流程（静音、冷却、每日上限、通知渠道、信号日志）
+ *
+ * 规则示例（config/price_alerts.json）：
+ * {
+ *   "rules": [
+ *     { "id": "cake_cross", "chain": "bsc", "address": "0x...", "type": "cross", "price": 0.0123, "direction": "both" },
+ *     { "id": "cake_move", "chain": "bsc", "address": "0x...", "type": "move", "percent": 8, "bars": 1, "timeframe": "15m" },
+ *     { "id": "cake_range", "chain": "bsc", "address": "0x...", "type": "breakout", "bars": 96, "direction": "high" }
+ *   ]
+ * }
+ *
+ * type: cross    价格上穿/下穿 price，direction 为 up / down / both，K线收盘价和实时价格都会检查
+ *       move     最近 bars 根K线（默认1）的收盘价涨跌幅达到 percent%，direction 为 up / down / both
+ *       breakout 最新K线的最高价/最低价创前 bars 根K线新高/新低，direction 为 high / low / both
+ * timeframe 默认为信号周期；label 为告警中显示的名称，默认为 id；once 为 true 时触发一次后不再检查
+ */
+
+const fs = require('fs');
+const { getChain, normalizeAddress } = require('./chains');
+const { isSupportedTimeframe } = require('./timeframes');
+const logger = require('./logger').logger.child({ module: 'price_alerts' });
+
+const RULE_TYPES = ['cross', 'move', 'breakout'];
+const DIRECTIONS = {
+    cross: ['up', 'down', 'both'],
+    move: ['up', 'down', 'both'],
+    breakout: ['high', 'low', 'both']
+};
+
+class PriceAlertMonitor {
+    constructor(analyzer, options = {}) {
+        this.analyzer = analyzer;
+        this.options = {
+            filePath: 'config/price_alerts.json',
+            ...options
+        };
+        this.rules = PriceAlertMonitor.loadRules(this.options.filePath)
+            .map(rule => this.validateRule(rule, analyzer.signalTimeframe));
+        const ids = new Set();
+        for (const rule of this.rules) {
+            if (ids.has(rule.id)) {
+                throw new Error(`价格提醒规则ID重复: ${rule.id}`);
+            }
+            ids.add(rule.id);
+        }
+        this.ruleStates = new Map(); // 规则ID -> { sides: { close, live }, lastBarTimestamp, fired }
+    }
+
+    /**
+     * 从配置文件读取规则，文件不存在时没有规则
+     */
+    static loadRules(filePath) {
+        if (!filePath || !fs.existsSync(filePath)) {
+            return [];
+        }
+
+        const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const rules = Array.isArray(config) ? config : config.rules;
+        if (!Array.isArray(rules)) {
+            throw new Error(`价格提醒配置文件 ${filePath} 格式错误，应为规则数组或 { "rules": [...] }`);
+        }
+        logger.info(`已从 ${filePath} 加载 ${rules.length} 条价格提醒规则`);
+        return rules;
+    }
+
+    /**
+     * 校验规则并补齐默认值
+     */
+    validateRule(rule, defaultTimeframe) {
+        if (!rule.id) {
+            throw new Error('价格提醒规则缺少 id 字段');
+        }
+        if (!rule.address) {
+            throw new Error(`价格提醒规则 ${rule.id} 缺少 address 字段`);
+        }
+        if (!RULE_TYPES.includes(rule.type)) {
+            throw new Error(`价格提醒规则 ${rule.id} 使用了不支持的类型: ${rule.type}`);
+        }
+
+        const chain = getChain(rule.chain || 'bsc');
+        const timeframe = rule.timeframe || defaultTimeframe;
+        if (!isSupportedTimeframe(timeframe)) {
+            throw new Error(`价格提醒规则 ${rule.id} 使用了不支持的K线周期: ${timeframe}`);
+        }
+        const direction = rule.direction || 'both';
+        if (!DIRECTIONS[rule.type].includes(direction)) {
+            throw new Error(`价格提醒规则 ${rule.id} 的 direction 只能为 ${DIRECTIONS[rule.type].join(' / ')}`);
+        }
+        if (rule.type === 'cross' && !(rule.price > 0)) {
+            throw new Error(`价格提醒规则 ${rule.id} 需要正数 price`);
+        }
+        if (rule.type === 'move' && !(rule.percent > 0)) {
+            throw new Error(`价格提醒规则 ${rule.id} 需要正数 percent`);
+        }
+        const bars = rule.bars ?? (rule.type === 'breakout' ? 96 : 1);
+        if (!Number.isInteger(bars) || bars < 1 || bars >= this.analyzer.klineCacheSize) {
+            throw new Error(`价格提醒规则 ${rule.id} 的 bars 必须为 1 到 ${this.analyzer.klineCacheSize - 1} 之间的整数`);
+        }
+
+        return {
+            ...rule,
+            label: rule.label || rule.id,
+            chainIndex: chain.chainIndex,
+            address: normalizeAddress(chain.chainIndex, rule.address),
+            timeframe,
+            direction,
+            bars,
+            once: rule.once === true
+        };
+    }
+
+    /**
+     * 规则用到的K线周期
+     */
+    getTimeframes() {
+        return [...new Set(this.rules.map(rule => rule.timeframe))];
+    }
+
+    /**
+     * 规则涉及的代币，用于加入监控列表
+     */
+    getTokens() {
+        const tokens = new Map();
+        for (const rule of this.rules) {
+            const token = {
+                chainIndex: rule.chainIndex,
+                symbol: rule.symbol || `TOKEN_${rule.address.slice(-4).toUpperCase()}`,
+                address: rule.address,
+                source: 'price_alert'
+            };
+            tokens.set(this.analyzer.getTokenKey(token), token);
+        }
+        return Array.from(tokens.values());
+    }
+
+    /**
+     * 获取规则状态
+     */
+    getState(rule) {
+        if (!this.ruleStates.has(rule.id)) {
+            this.ruleStates.set(rule.id, { sides: { close: null, live: null }, lastBarTimestamp: null, fired: false });
+        }
+        return this.ruleStates.get(rule.id);
+    }
+
+    /**
+     * 获取代币指定周期的有效规则
+     */
+    getActiveRules(token, timeframe = null) {
+        const tokenKey = this.analyzer.getTokenKey(token);
+        return this.rules.filter(rule =>
+            this.analyzer.getTokenKey(rule) === tokenKey &&
+            (timeframe === null || rule.timeframe === timeframe) &&
+            !(rule.once && this.getState(rule).fired)
+        );
+    }
+
+    /**
+     * 在代币该周期最新收盘的K线上评估规则，返回触发的信号
+     */
+    checkCandles(token, timeframe) {
+        const klines = this.analyzer.klineCache.get(this.analyzer.getCacheKey(token, timeframe));
+        if (!klines || klines.length < 2) {
+            return [];
+        }
+
+        const latest = klines[klines.length - 1];
+        const signals = [];
+        for (const rule of this.getActiveRules(token, timeframe)) {
+            const state = this.getState(rule);
+            if (state.lastBarTimestamp !== null && latest.timestamp <= state.lastBarTimestamp) {
+                continue;
+            }
+            state.lastBarTimestamp = latest.timestamp;
+
+            let hit = null;
+            switch (rule.type) {
+                case 'cross':
+                    hit = this.checkCross(rule, latest.close, 'close');
+                    break;
+                case 'move':
+                    hit = this.checkMove(rule, klines);
+                    break;
+                case 'breakout':
+                    hit = this.checkBreakout(rule, klines);
+                    break;
+            }
+            if (hit) {
+                signals.push(this.buildSignal(token, rule, hit, latest.close, latest.timestamp));
+            }
+        }
+        return signals;
+    }
+
+    /**
+     * 用价格信息接口的实时价格检查穿越规则，返回触发的信号
+     */
+    async checkLivePrices() {
+        const tokens = this.getTokens().filter(token =>
+            this.getActiveRules(token).some(rule => rule.type === 'cross')
+        );
+        if (tokens.length === 0) {
+            return [];
+        }
+
+        const priceInfos = await this.analyzer.getTokenPriceInfos(tokens);
+        const signals = [];
+        for (const token of tokens) {
+            const price = parseFloat(priceInfos.get(this.analyzer.getTokenKey(token))?.price);
+            if (!(price > 0)) {
+                continue;
+            }
+            const watched = this.analyzer.watchlist.get(this.analyzer.getTokenKey(token)) || token;
+            for (const rule of this.getActiveRules(token).filter(item => item.type === 'cross')) {
+                const hit = this.checkCross(rule, price, 'live');
+                if (hit) {
+                    signals.push(this.buildSignal(watched, rule, { ...hit, reason: `${hit.reason}（实时价格）` }, price, Date.now()));
+                }
+            }
+        }
+        return signals;
+    }
+
+    /**
+     * 穿越检查：记录价格位于阈值上方还是下方，由一侧变为另一侧时触发；首次检查只记录不触发
+     * source 为 close（K线收盘价）或 live（实时价格），两种价格分别记录所在一侧，
+     * 避免收盘价和实时价格位于阈值两侧时每轮都被当作穿越
+     */
+    checkCross(rule, price, source) {
+        const state = this.getState(rule);
+        const side = price >= rule.price ? 'above' : 'below';
+        const previousSide = state.sides[source];
+        state.sides[source] = side;
+        if (previousSide === null || previousSide === side) {
+            return null;
+        }
+
+        const up = side === 'above';
+        if ((up && rule.direction === 'down') || (!up && rule.direction === 'up')) {
+            return null;
+        }
+        return { up, reason: `价格${up ? '上穿' : '下穿'} ${rule.price}` };
+    }
+
+    /**
+     * 涨跌幅检查：最新收盘价相对 bars 根K线之前收盘价的变化
+     */
+    checkMove(rule, klines) {
+        if (klines.length <= rule.bars) {
+            return null;
+        }
+        const base = klines[klines.length - 1 - rule.bars].close;
+        const changePct = (klines[klines.length - 1].close - base) / base * 100;
+        if (Math.abs(changePct) < rule.percent) {
+            return null;
+        }
+
+        const up = changePct > 0;
+        if ((up && rule.direction === 'down') || (!up && rule.direction === 'up')) {
+            return null;
+        }
+        return { up, reason: `${rule.bars} 根${rule.timeframe}K线内${up ? '上涨' : '下跌'} ${Math.abs(changePct).toFixed(2)}%（阈值 ${rule.percent}%）` };
+    }
+
+    /**
+     * 新高/新低检查：最新K线的最高价高于前 bars 根的最高价，或最低价低于前 bars 根的最低价
+     */
+    checkBreakout(rule, klines) {
+        if (klines.length <= rule.bars) {
+            return null;
+        }
+        const latest = klines[klines.length - 1];
+        const previous = klines.slice(-1 - rule.bars, -1);
+        const high = Math.max(...previous.map(candle => candle.high));
+        const low = Math.min(...previous.map(candle => candle.low));
+
+        if (latest.high > high && rule.direction !== 'low') {
+            return { up: true, reason: `创 ${rule.bars} 根${rule.timeframe}K线新高 ${latest.high}（前高 ${high}）` };
+        }
+        if (latest.low < low && rule.direction !== 'high') {
+            return { up: false, reason: `创 ${rule.bars} 根${rule.timeframe}K线新低 ${latest.low}（前低 ${low}）` };
+        }
+        return null;
+    }
+
+    /**
+     * 记录已发送的价格提醒，once 规则在实际发送后才标记为已触发，被静音、冷却或每日上限拦截时仍会继续检查
+     */
+    recordSent(signal) {
+        const rule = this.rules.find(item => item.id === signal.priceAlert);
+        if (rule && rule.once) {
+            this.getState(rule).fired = true;
+        }
+    }
+
+    /**
+     * 生成与EMA信号结构一致的告警信号
+     */
+    buildSignal(token, rule, hit, price, klineTimestamp) {
+        logger.info(`🔔 ${token.symbol} 触发价格提醒 ${rule.id}: ${hit.reason}`, { rule: rule.id, address: token.address });
+
+        return {
+            symbol: token.symbol,
+            address: token.address,
+            chainIndex: token.chainIndex,
+            chainName: getChain(token.chainIndex).name,
+            tokenInfo: null,
+            strategy: null,
+            priceAlert: rule.id,
+            alertKey: `price_alert:${rule.id}`,
+            type: hit.up ? 'price_up' : 'price_down',
+            timeframe: rule.timeframe,
+            currentPrice: price,
+            signalReason: `${rule.label}: ${hit.reason}`,
+            timestamp: new Date().toISOString(),
+            klineTimestamp
+        };
+    }
+
+    toJSON() {
+        return Array.from(this.ruleStates.entries());
+    }
+
+    /**
+     * 从快照恢复规则状态，已删除的规则丢弃
+     */
+    restore(snapshot) {
+        const ruleIds = new Set(this.rules.map(rule => rule.id));
+        this.ruleStates = new Map((snapshot || []).filter(([id]) => ruleIds.has(id)));
+    }
+}
+
+module.exports = PriceAlertMonitor;
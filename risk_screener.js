@@ -0,0 +1,253 @@
+/**
+ * 代币风险筛查
+ * 告警发送前检查代币的安全数据：貔貅盘（无法卖出）、买卖税率、合约所有权是否放弃、流动性和前十持仓集中度。
+ * mode 为 flag 时只在告警中附带风险信息，为 suppress 时有风险的代币不发送告警。
+ * 数据来源可替换：okx 从OKX行情接口获取，mock 从本地JSON文件读取，便于离线调试
+ * 数据源不提供的检查项（见各数据源的 supportedChecks）标记为"数据源不支持"并显示在告警中，不视为通过
+ */
+
+const fs = require('fs');
+const { normalizeAddress } = require('./chains');
+const { runWithConcurrency } = require('./worker_pool');
+const logger = require('./logger').logger.child({ module: 'risk' });
+
+// 代币高级信息接口（按代币查询），使用的响应字段：
+//   tokenTags         代币标签数组，含 "honeypot" 表示貔貅盘
+//   top10HoldPercent  前十地址持仓百分比
+// 该接口不返回买卖税和合约所有权字段，okx 数据源下这两类检查项标记为不支持
+const SECURITY_ENDPOINT = '/api/v5/dex/market/token/advanced-info';
+const CHECK_IDS = ['honeypot', 'buy_tax', 'sell_tax', 'liquidity', 'top10_holders', 'ownership'];
+
+/**
+ * 解析百分比字段（"5" 或 "5%" 均表示 5%），缺失时返回 null
+ */
+function parsePercent(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const num = parseFloat(String(value).replace('%', ''));
+    return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * 解析数值字段，缺失或无法解析时返回 null
+ */
+function parseNumber(value) {
+    const num = parseFloat(value);
+    return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * 解析布尔字段（true/"1"/"true"），缺失时返回 null
+ */
+function parseFlag(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    return value === true || ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+}
+
+/**
+ * 将接口或模拟文件中的原始数据整理为统一的风险数据，未提供的字段为 null
+ */
+function normalizeRiskData(raw = {}) {
+    const tags = Array.isArray(raw.tokenTags) ? raw.tokenTags.map(tag => String(tag).toLowerCase()) : [];
+    return {
+        isHoneypot: parseFlag(raw.isHoneypot ?? raw.isHoneyPot) ?? (tags.length > 0 ? tags.includes('honeypot') : null),
+        buyTaxPct: parsePercent(raw.buyTax ?? raw.buyTaxRate),
+        sellTaxPct: parsePercent(raw.sellTax ?? raw.sellTaxRate ?? raw.taxRate),
+        ownershipRenounced: parseFlag(raw.ownershipRenounced ?? raw.isOwnershipRenounced),
+        liquidityUsd: parseNumber(raw.liquidity ?? raw.liquidityUsd),
+        top10HolderPct: parsePercent(raw.top10HoldPercent ?? raw.top10HolderPercent)
+    };
+}
+
+/**
+ * OKX数据源：貔貅盘标签和前十持仓逐个代币查询高级信息接口，流动性通过批量价格接口（liquidity 字段）获取
+ */
+class OKXRiskProvider {
+    constructor(analyzer) {
+        this.name = 'okx';
+        this.analyzer = analyzer;
+        this.supportedChecks = ['honeypot', 'liquidity', 'top10_holders'];
+    }
+
+    async fetch(tokens) {
+        const analyzer = this.analyzer;
+        const priceInfos = await analyzer.getTokenPriceInfos(tokens);
+        const results = new Map();
+
+        await runWithConcurrency(tokens, analyzer.scanConcurrency, async token => {
+            const tokenKey = analyzer.getTokenKey(token);
+            let security = {};
+            let fetchFailed = false;
+            try {
+                const data = await analyzer.okx.get(SECURITY_ENDPOINT, {
+                    chainIndex: token.chainIndex,
+                    tokenContractAddress: normalizeAddress(token.chainIndex, token.address)
+                });
+                security = (Array.isArray(data) ? data[0] : data) || {};
+            } catch (error) {
+                logger.error(`获取 ${token.symbol} 安全信息失败`, { error });
+                fetchFailed = true;
+            }
+            results.set(tokenKey, {
+                ...normalizeRiskData({
+                    liquidity: priceInfos.get(tokenKey)?.liquidity,
+                    tokenTags: security.tokenTags,
+                    top10HoldPercent: security.top10HoldPercent
+                }),
+                fetchFailed
+            });
+        });
+
+        return results;
+    }
+}
+
+/**
+ * 模拟数据源：从JSON文件读取，键为 链:地址 或合约地址，值为与接口字段相同的原始数据
+ */
+class MockRiskProvider {
+    constructor(analyzer, filePath) {
+        this.name = 'mock';
+        this.analyzer = analyzer;
+        this.filePath = filePath;
+        this.supportedChecks = CHECK_IDS;
+    }
+
+    async fetch(tokens) {
+        let data = {};
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            logger.error(`读取风险模拟数据 ${this.filePath} 失败`, { error });
+        }
+
+        const byKey = new Map(Object.entries(data).map(([key, value]) => [key.toLowerCase(), value]));
+        const results = new Map();
+        for (const token of tokens) {
+            const tokenKey = this.analyzer.getTokenKey(token);
+            const raw = byKey.get(tokenKey.toLowerCase()) || byKey.get(String(token.address).toLowerCase());
+            results.set(tokenKey, normalizeRiskData(raw));
+        }
+        return results;
+    }
+}
+
+class RiskScreener {
+    constructor(analyzer, options = {}) {
+        this.analyzer = analyzer;
+        this.options = {
+            enabled: false,
+            mode: 'flag', // flag 或 suppress
+            provider: 'okx', // okx 或 mock
+            mockFile: 'config/risk_mock.json',
+            maxBuyTaxPct: 10,
+            maxSellTaxPct: 10,
+            requireRenounced: true,
+            minLiquidityUsd: 50000,
+            maxTop10HolderPct: 50,
+            blockUnknown: false, // 为 true 时数据缺失的检查项也视为不通过
+            cacheMinutes: 30,
+            ...options
+        };
+        if (!['flag', 'suppress'].includes(this.options.mode)) {
+            throw new Error(`不支持的风险筛查模式: ${this.options.mode}`);
+        }
+        this.provider = this.options.provider === 'mock'
+            ? new MockRiskProvider(analyzer, this.options.mockFile)
+            : new OKXRiskProvider(analyzer);
+        this.cache = new Map(); // 链:地址 -> { report, checkedAt }
+
+        const skipped = CHECK_IDS.filter(id => !this.provider.supportedChecks.includes(id) && (id !== 'ownership' || this.options.requireRenounced));
+        if (this.options.enabled && skipped.length > 0) {
+            logger.warn(`⚠️ 风险数据源 ${this.provider.name} 不提供 ${skipped.join(', ')} 数据，这些检查项在告警中显示为"数据源不支持"`);
+        }
+    }
+
+    /**
+     * 按阈值评估风险数据，返回检查报告
+     * 每个检查项的 status 为 pass / fail / unknown / unsupported，任一项 fail（blockUnknown 时包括 unknown）即 flagged
+     * 有 unknown 或 unsupported 检查项且没有 fail 时 level 为 unknown，不会显示为通过
+     */
+    evaluate(data) {
+        const { maxBuyTaxPct, maxSellTaxPct, requireRenounced, minLiquidityUsd, maxTop10HolderPct, blockUnknown } = this.options;
+        const check = (id, label, value, passes, detail) => {
+            if (!this.provider.supportedChecks.includes(id)) {
+                return { id, label, status: 'unsupported', detail: `数据源 ${this.provider.name} 不支持` };
+            }
+            return {
+                id,
+                label,
+                status: value === null ? 'unknown' : (passes(value) ? 'pass' : 'fail'),
+                detail: value === null ? '无数据' : detail(value)
+            };
+        };
+
+        const checks = [
+            check('honeypot', '貔貅盘', data.isHoneypot, value => !value, value => (value ? '无法卖出' : '可正常卖出')),
+            check('buy_tax', '买入税', data.buyTaxPct, value => value <= maxBuyTaxPct, value => `${value.toFixed(1)}%（上限 ${maxBuyTaxPct}%）`),
+            check('sell_tax', '卖出税', data.sellTaxPct, value => value <= maxSellTaxPct, value => `${value.toFixed(1)}%（上限 ${maxSellTaxPct}%）`),
+            check('liquidity', '流动性', data.liquidityUsd, value => value >= minLiquidityUsd, value => `$${Math.round(value)}（下限 $${minLiquidityUsd}）`),
+            check('top10_holders', '前十持仓', data.top10HolderPct, value => value <= maxTop10HolderPct, value => `${value.toFixed(1)}%（上限 ${maxTop10HolderPct}%）`)
+        ];
+        if (requireRenounced) {
+            checks.push(check('ownership', '所有权', data.ownershipRenounced, value => value, value => (value ? '已放弃' : '未放弃')));
+        }
+
+        const issues = checks.filter(item => item.status === 'fail' || (blockUnknown && item.status === 'unknown'));
+        return {
+            flagged: issues.length > 0,
+            level: issues.length > 0 ? 'high' : (checks.some(item => ['unknown', 'unsupported'].includes(item.status)) ? 'unknown' : 'low'),
+            checks,
+            issues: issues.map(item => `${item.label}: ${item.detail}`),
+            provider: this.provider.name,
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 批量筛查代币，返回 Map：链:地址 -> 检查报告；缓存未过期的代币不重复查询
+     */
+    async screen(tokens, now = Date.now()) {
+        const reports = new Map();
+        const pending = [];
+        for (const token of tokens) {
+            const tokenKey = this.analyzer.getTokenKey(token);
+            const cached = this.cache.get(tokenKey);
+            if (cached && now - cached.checkedAt < this.options.cacheMinutes * 60 * 1000) {
+                reports.set(tokenKey, cached.report);
+            } else if (!pending.some(item => this.analyzer.getTokenKey(item) === tokenKey)) {
+                pending.push(token);
+            }
+        }
+
+        if (pending.length > 0) {
+            logger.info(`🛡️ 风险筛查 ${pending.length} 个代币（数据源: ${this.provider.name}）...`);
+            const riskData = await this.provider.fetch(pending);
+            for (const token of pending) {
+                const tokenKey = this.analyzer.getTokenKey(token);
+                const data = riskData.get(tokenKey) || normalizeRiskData();
+                const report = this.evaluate(data);
+                // 查询失败得到的报告只用于本轮，下一轮重新查询，避免一次接口错误让代币在整个缓存期内通过筛查
+                if (!data.fetchFailed) {
+                    this.cache.set(tokenKey, { report, checkedAt: now });
+                }
+                reports.set(tokenKey, report);
+                if (report.flagged) {
+                    logger.warn(`⚠️ ${token.symbol} 风险筛查未通过: ${report.issues.join('；')}`);
+                }
+            }
+        }
+
+        return reports;
+    }
+}
+
+module.exports = {
+    RiskScreener,
+    OKXRiskProvider,
+    MockRiskProvider,
+    normalizeRiskData
+};
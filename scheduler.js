@@ -0,0 +1,166 @@
+/**
+ * K线收盘调度器
+ * 根据各监控周期计算下一次K线收盘时间，收盘后等待 settleDelayMs 再执行检测（给OKX留出生成K线的时间）。
+ * - 上一轮检测未结束时新的触发按 overlapPolicy 处理：queue 合并为一次排队执行，skip 直接跳过
+ * - 定时器被阻塞或进程休眠导致错过收盘点时，醒来后立即补跑一轮（K线缺口由分析器补齐）
+ * - 记录上次/下次运行时间等状态，供日志和健康检查使用
+ */
+
+const { getBarInterval } = require('./timeframes');
+const logger = require('./logger').logger.child({ module: 'scheduler' });
+
+const MAX_TIMER_DELAY_MS = 60 * 1000; // 定时器最长等待时间，到期后重新计算，避免系统时间跳变或休眠后长时间不触发
+
+class BarCloseScheduler {
+    /**
+     * @param {Function} task 每次触发时执行的异步任务
+     */
+    constructor(task, options = {}) {
+        this.task = task;
+        this.timeframes = options.timeframes || ['15m'];
+        this.settleDelayMs = options.settleDelayMs ?? 10000;
+        this.overlapPolicy = options.overlapPolicy || 'queue'; // queue 或 skip
+        if (!['queue', 'skip'].includes(this.overlapPolicy)) {
+            throw new Error(`不支持的调度重叠策略: ${this.overlapPolicy}`);
+        }
+
+        this.timer = null;
+        this.running = false;
+        this.pending = false;
+        this.status = {
+            lastRunStartedAt: null,
+            lastRunFinishedAt: null,
+            lastRunDurationMs: null,
+            lastRunError: null,
+            nextRunAt: null,
+            runCount: 0,
+            skippedRuns: 0,
+            queuedRuns: 0,
+            missedTicks: 0
+        };
+    }
+
+    /**
+     * 计算 now 之后最近的一个触发时间：各周期下一根K线收盘时间 + 等待时间，取最早者
+     */
+    getNextRunTime(now = Date.now()) {
+        return Math.min(...this.timeframes.map(timeframe => {
+            const interval = getBarInterval(timeframe);
+            return (Math.floor((now - this.settleDelayMs) / interval) + 1) * interval + this.settleDelayMs;
+        }));
+    }
+
+    /**
+     * 统计 (from, to] 区间内错过的触发点数量
+     */
+    countTicksBetween(from, to) {
+        let count = 0;
+        let tick = this.getNextRunTime(from);
+        while (tick <= to) {
+            count++;
+            tick = this.getNextRunTime(tick);
+        }
+        return count;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        logger.info(`🕐 启动K线收盘调度：周期 ${this.timeframes.join(', ')}，收盘后等待 ${this.settleDelayMs / 1000} 秒执行，重叠策略 ${this.overlapPolicy}`);
+        this.scheduleNext(this.getNextRunTime());
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.status.nextRunAt = null;
+    }
+
+    scheduleNext(runAt) {
+        this.status.nextRunAt = new Date(runAt).toISOString();
+        const delay = Math.max(0, Math.min(runAt - Date.now(), MAX_TIMER_DELAY_MS));
+        this.timer = setTimeout(() => this.onTimer(runAt), delay);
+    }
+
+    onTimer(scheduledAt) {
+        const now = Date.now();
+        if (now < scheduledAt) {
+            // 等待时间超过上限时分段等待
+            this.scheduleNext(scheduledAt);
+            return;
+        }
+
+        // 定时器被阻塞或进程休眠时，scheduledAt 之后可能又经过了若干触发点，只补跑一轮
+        const missed = this.countTicksBetween(scheduledAt, now);
+        if (missed > 0) {
+            this.status.missedTicks += missed;
+            logger.warn(`⚠️ 调度延迟 ${Math.round((now - scheduledAt) / 1000)} 秒，错过 ${missed} 个收盘点，立即补跑一轮`);
+        }
+
+        this.scheduleNext(this.getNextRunTime(now));
+        this.trigger(new Date(scheduledAt));
+    }
+
+    /**
+     * 触发一次检测；正在运行时按重叠策略排队或跳过
+     */
+    trigger(scheduledAt = new Date()) {
+        if (this.running) {
+            if (this.overlapPolicy === 'queue') {
+                if (!this.pending) {
+                    this.status.queuedRuns++;
+                }
+                this.pending = true;
+                logger.info(`⏳ 上一轮检测仍在进行，${scheduledAt.toISOString()} 的检测已排队`);
+            } else {
+                this.status.skippedRuns++;
+                logger.warn(`⏭️ 上一轮检测仍在进行，跳过 ${scheduledAt.toISOString()} 的检测`);
+            }
+            return;
+        }
+
+        this.run(scheduledAt).catch(error => {
+            logger.error('定时检测任务出错', { error });
+        });
+    }
+
+    async run(scheduledAt) {
+        this.running = true;
+        try {
+            do {
+                this.pending = false;
+                const startedAt = Date.now();
+                this.status.lastRunStartedAt = new Date(startedAt).toISOString();
+                logger.info(`⏰ 开始执行定时检测任务（计划时间 ${scheduledAt.toISOString()}）`);
+
+                try {
+                    await this.task();
+                    this.status.lastRunError = null;
+                } catch (error) {
+                    this.status.lastRunError = error.message;
+                    logger.error('定时检测任务出错', { error });
+                }
+
+                this.status.runCount++;
+                this.status.lastRunFinishedAt = new Date().toISOString();
+                this.status.lastRunDurationMs = Date.now() - startedAt;
+                logger.info(`🕐 下次检测时间: ${this.status.nextRunAt}`);
+                scheduledAt = new Date();
+            } while (this.pending);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * 调度状态快照
+     */
+    getStatus() {
+        return { running: this.running, pending: this.pending, ...this.status };
+    }
+}
+
+module.exports = BarCloseScheduler;
@@ -0,0 +1,320 @@
+/**
+ * 信号日志与告警后表现跟踪
+ * 每条发出的告警连同当时的价格、EMA和K线时间写入日志文件；每轮检测结束后用之后的K线补齐
+ * +1h、+4h、+24h 的价格变化，并定时通过Telegram发送各信号类型的胜率和平均涨跌幅汇总
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SIGNAL_TYPES } = require('./strategy_engine');
+const { getBarInterval } = require('./timeframes');
+const logger = require('./logger').logger.child({ module: 'journal' });
+
+const HOUR = 60 * 60 * 1000;
+const HORIZONS = [
+    { label: '1h', ms: HOUR },
+    { label: '4h', ms: 4 * HOUR },
+    { label: '24h', ms: 24 * HOUR }
+];
+// 最长观察时间点之后再等待的时长，仍获取不到K线（代币已移出监控列表、下架或接口出错）时记为 missing，不再重试
+const OUTCOME_GRACE_MS = 6 * HOUR;
+
+class SignalJournal {
+    constructor(analyzer, options = {}) {
+        this.analyzer = analyzer;
+        this.options = {
+            enabled: true,
+            filePath: 'data/signal_journal.json',
+            maxEntries: 5000,
+            summaryIntervalHours: 24, // 0 表示不发送定时汇总
+            summaryLookbackHours: 168, // 汇总统计最近多少小时内发出的告警
+            ...options
+        };
+        this.entries = [];
+        this.loaded = false; // 未加载前写入会覆盖日志文件中的历史记录
+        this.timer = null;
+    }
+
+    /**
+     * 从日志文件加载历史记录
+     * 文件损坏时先将其移到 .corrupt-时间戳 再从空日志开始；移走失败时保持未加载状态，不写入日志文件
+     */
+    async load() {
+        if (!this.options.enabled) {
+            return;
+        }
+        try {
+            const content = await fs.promises.readFile(this.options.filePath, 'utf8');
+            this.entries = JSON.parse(content).entries || [];
+            logger.info(`📒 已加载 ${this.entries.length} 条信号日志`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                const backupPath = `${this.options.filePath}.corrupt-${Date.now()}`;
+                try {
+                    await fs.promises.rename(this.options.filePath, backupPath);
+                    logger.error(`读取信号日志 ${this.options.filePath} 失败，原文件已移至 ${backupPath}`, { error });
+                } catch (renameError) {
+                    logger.error(`读取信号日志 ${this.options.filePath} 失败且无法移走原文件，本次运行不写入信号日志`, { error, renameError });
+                    return;
+                }
+            }
+        }
+        this.loaded = true;
+    }
+
+    /**
+     * 写入日志文件（先写临时文件再重命名）
+     */
+    async save() {
+        if (!this.options.enabled) {
+            return;
+        }
+        if (!this.loaded) {
+            logger.warn('信号日志未成功加载，跳过保存以免覆盖历史记录');
+            return;
+        }
+        try {
+            const tmpPath = `${this.options.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.options.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, JSON.stringify({ entries: this.entries }));
+            await fs.promises.rename(tmpPath, this.options.filePath);
+        } catch (error) {
+            logger.error('保存信号日志失败', { error });
+        }
+    }
+
+    /**
+     * 记录一条已发送的告警
+     */
+    async record(signal) {
+        if (!this.options.enabled) {
+            return;
+        }
+        if (!this.loaded) {
+            await this.load();
+            if (!this.loaded) {
+                return;
+            }
+        }
+
+        this.entries.push({
+            symbol: signal.symbol,
+            address: signal.address,
+            chainIndex: signal.chainIndex,
+            strategy: signal.strategy || null,
+            type: signal.type || 'bullish',
+            timeframe: signal.timeframe || this.analyzer.signalTimeframe,
+            price: signal.currentPrice,
+            ema21: signal.ema21 ?? null,
+            ema55: signal.ema55 ?? null,
+            ema144: signal.ema144 ?? null,
+            indicators: signal.indicators || null,
+            klineTimestamp: signal.klineTimestamp,
+            alertedAt: signal.timestamp,
+            outcomes: Object.fromEntries(HORIZONS.map(horizon => [horizon.label, null]))
+        });
+        if (this.entries.length > this.options.maxEntries) {
+            this.entries = this.entries.slice(-this.options.maxEntries);
+        }
+        await this.save();
+    }
+
+    /**
+     * 用之后的K线补齐到期的 +1h/+4h/+24h 价格变化
+     * 目标时间点的价格取开盘时间不早于 K线时间+观察时长 的第一根K线的收盘价；
+     * 该时间点已早于可获取的最早K线时，或超过最长观察时间点 OUTCOME_GRACE_MS 后仍无法补齐时，记为 missing，不再重试
+     */
+    async fillOutcomes(now = Date.now()) {
+        if (!this.options.enabled) {
+            return 0;
+        }
+
+        const due = this.entries.filter(entry => HORIZONS.some(horizon =>
+            entry.outcomes[horizon.label] === null && this.isHorizonDue(entry, horizon, now)
+        ));
+        if (due.length === 0) {
+            return 0;
+        }
+
+        const candlesBySeries = new Map();
+        let filled = 0;
+        let givenUp = 0;
+        for (const entry of due) {
+            const cacheKey = this.analyzer.getCacheKey(entry, entry.timeframe);
+            if (!candlesBySeries.has(cacheKey)) {
+                candlesBySeries.set(cacheKey, await this.getCandles(entry));
+            }
+            const candles = candlesBySeries.get(cacheKey) || [];
+            const expired = this.isExpired(entry, now);
+
+            for (const horizon of HORIZONS) {
+                if (entry.outcomes[horizon.label] !== null || !this.isHorizonDue(entry, horizon, now)) {
+                    continue;
+                }
+                const target = entry.klineTimestamp + horizon.ms;
+                if (candles.length > 0 && target < candles[0].timestamp) {
+                    entry.outcomes[horizon.label] = { missing: true };
+                    givenUp++;
+                    continue;
+                }
+                const candle = candles.find(item => item.timestamp >= target);
+                if (!candle) {
+                    if (expired) {
+                        entry.outcomes[horizon.label] = { missing: true };
+                        givenUp++;
+                    }
+                    continue;
+                }
+                const changePct = (candle.close - entry.price) / entry.price * 100;
+                entry.outcomes[horizon.label] = {
+                    price: candle.close,
+                    changePct,
+                    klineTimestamp: candle.timestamp
+                };
+                filled++;
+            }
+        }
+
+        if (filled > 0) {
+            logger.info(`📒 已补齐 ${filled} 个信号表现数据`);
+        }
+        if (givenUp > 0) {
+            logger.info(`📒 ${givenUp} 个信号表现数据无法补齐，记为 missing`);
+        }
+        if (filled + givenUp > 0) {
+            await this.save();
+        }
+        return filled;
+    }
+
+    /**
+     * 观察时间点所在的K线是否已收盘
+     */
+    isHorizonDue(entry, horizon, now) {
+        return entry.klineTimestamp + horizon.ms + getBarInterval(entry.timeframe) <= now;
+    }
+
+    /**
+     * 是否已超过最长观察时间点加宽限期，此后无法补齐的表现数据不再重试
+     */
+    isExpired(entry, now) {
+        const longest = HORIZONS[HORIZONS.length - 1];
+        return entry.klineTimestamp + longest.ms + getBarInterval(entry.timeframe) + OUTCOME_GRACE_MS <= now;
+    }
+
+    /**
+     * 获取信号代币之后的K线：优先使用缓存，代币已不在缓存中时重新拉取
+     */
+    async getCandles(entry) {
+        const cached = this.analyzer.klineCache.get(this.analyzer.getCacheKey(entry, entry.timeframe));
+        if (cached) {
+            return cached;
+        }
+        try {
+            return await this.analyzer.getKlineData(entry, this.analyzer.klineCacheSize, entry.timeframe);
+        } catch (error) {
+            logger.error(`获取 ${entry.symbol} 的K线以补齐信号表现失败`, { error });
+            return null;
+        }
+    }
+
+    /**
+     * 统计 since 之后发出的告警：按信号类型和观察时长计算样本数、胜率（按信号方向计算收益为正的比例）和平均涨跌幅
+     */
+    summarize(since = 0) {
+        const summary = {};
+        for (const entry of this.entries) {
+            if (Date.parse(entry.alertedAt) < since) {
+                continue;
+            }
+            const direction = (SIGNAL_TYPES[entry.type] || SIGNAL_TYPES.bullish).direction;
+            const stats = summary[entry.type] || (summary[entry.type] = { count: 0, horizons: {} });
+            stats.count++;
+
+            for (const horizon of HORIZONS) {
+                const outcome = entry.outcomes[horizon.label];
+                if (!outcome || outcome.missing) {
+                    continue;
+                }
+                const horizonStats = stats.horizons[horizon.label] || (stats.horizons[horizon.label] = { samples: 0, wins: 0, totalChangePct: 0 });
+                horizonStats.samples++;
+                horizonStats.totalChangePct += outcome.changePct;
+                if (outcome.changePct * direction > 0) {
+                    horizonStats.wins++;
+                }
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * 格式化汇总消息（Telegram HTML）
+     */
+    formatSummary(summary, periodHours) {
+        const types = Object.keys(summary);
+        let message = `📒 <b>信号表现汇总（最近${periodHours}小时）</b>\n\n`;
+        if (types.length === 0) {
+            return message + '该时段内没有发出告警';
+        }
+
+        for (const type of types) {
+            const stats = summary[type];
+            const signalType = SIGNAL_TYPES[type] || SIGNAL_TYPES.bullish;
+            message += `${signalType.emoji} <b>${signalType.title}</b>（${stats.count} 条）\n`;
+            for (const horizon of HORIZONS) {
+                const horizonStats = stats.horizons[horizon.label];
+                if (!horizonStats) {
+                    message += `• +${horizon.label}: 暂无数据\n`;
+                    continue;
+                }
+                const winRate = horizonStats.wins / horizonStats.samples * 100;
+                const avgChange = horizonStats.totalChangePct / horizonStats.samples;
+                message += `• +${horizon.label}: 样本 ${horizonStats.samples}，胜率 ${winRate.toFixed(1)}%，平均涨跌 ${avgChange >= 0 ? '+' : ''}${avgChange.toFixed(2)}%\n`;
+            }
+            message += '\n';
+        }
+        return message.trimEnd();
+    }
+
+    /**
+     * 发送最近 summaryLookbackHours 小时的表现汇总到Telegram，未配置Telegram或 dry-run 时只输出日志
+     */
+    async sendSummary(now = Date.now()) {
+        const periodHours = this.options.summaryLookbackHours;
+        const message = this.formatSummary(this.summarize(now - periodHours * HOUR), periodHours);
+        const telegram = this.analyzer.notifier.get('telegram');
+        if (!telegram || this.analyzer.notifier.dryRun) {
+            logger.info(message.replace(/<\/?b>/g, ''));
+            return false;
+        }
+        return await telegram.sendText(message);
+    }
+
+    /**
+     * 启动定时汇总
+     */
+    start() {
+        if (!this.options.enabled || !this.options.summaryIntervalHours || this.timer) {
+            return;
+        }
+
+        logger.info(`🕐 启动信号表现定时汇总：每${this.options.summaryIntervalHours}小时一次`);
+        this.timer = setInterval(() => {
+            this.sendSummary().catch(error => {
+                logger.error('发送信号表现汇总出错', { error });
+            });
+        }, this.options.summaryIntervalHours * HOUR);
+    }
+
+    /**
+     * 停止定时汇总
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = SignalJournal;
@@ -0,0 +1,117 @@
+/**
+ * 命名信号规则
+ * 无法用比较链表达的EMA趋势条件，在策略中通过 "rule" 引用，与其他策略一样在缓存K线上逐根评估，
+ * 规则条件由不满足变为满足时按策略的 enter 信号触发
+ *
+ * 策略示例：
+ *   { "name": "golden_cross", "rule": "ema_golden_cross" }
+ *   { "name": "stable_breakout", "rule": "ema_stable_breakout", "params": { "minGapPct": 0.2 } }
+ *
+ * params 可覆盖 fast / mid / slow（EMA周期，默认 21 / 55 / 144）和 minGapPct（stable_breakout 的最小间距百分比，默认 0.1）
+ */
+
+const { ema } = require('./indicators');
+
+const DEFAULT_PARAMS = { fast: 21, mid: 55, slow: 144, minGapPct: 0.1 };
+const TREND_LOOKBACK = 3; // 判断EMA方向和近期排列时回看的K线数
+
+/**
+ * 计算最新K线上的EMA趋势状态，数据不足时返回 null
+ * 返回的 details 为 EMA方向、价格位置、间距（百分比）和最近3根K线中多头排列的数量，
+ * 字段按快/中/慢线命名（fastRising、fastMidGapPct 等），对应的周期见 details.periods
+ */
+function calculateEMATrend(candles, params) {
+    const closes = candles.map(candle => candle.close);
+    const fast = ema(closes, params.fast);
+    const mid = ema(closes, params.mid);
+    const slow = ema(closes, params.slow);
+
+    const latest = closes.length - 1;
+    const prev3 = latest - TREND_LOOKBACK;
+    if (prev3 < 0 || [fast, mid, slow].some(series => series[latest] == null || series[prev3] == null)) {
+        return null;
+    }
+
+    const bullishAt = i => fast[i] > mid[i] && mid[i] > slow[i];
+    const price = closes[latest];
+    return {
+        values: {
+            [`ema${params.fast}`]: fast[latest],
+            [`ema${params.mid}`]: mid[latest],
+            [`ema${params.slow}`]: slow[latest]
+        },
+        crossedUp: fast[latest] > mid[latest] && fast[latest - 1] <= mid[latest - 1],
+        details: {
+            periods: { fast: params.fast, mid: params.mid, slow: params.slow },
+            bullish: bullishAt(latest),
+            fastRising: fast[latest] > fast[latest - 2] && fast[latest - 2] > fast[prev3],
+            midRising: mid[latest] > mid[latest - 2],
+            slowRising: slow[latest] > slow[prev3],
+            priceAboveFast: price > fast[latest],
+            priceAboveMid: price > mid[latest],
+            fastMidGapPct: (fast[latest] - mid[latest]) / mid[latest] * 100,
+            midSlowGapPct: (mid[latest] - slow[latest]) / slow[latest] * 100,
+            recentBullishCount: [latest, latest - 1, latest - 2].filter(bullishAt).length
+        }
+    };
+}
+
+// 规则：label 为默认策略名称，type 为默认信号类型，reason(params) 为默认信号原因，check 根据趋势状态判断条件是否满足
+// gapPct 为传给告警滞后确认的间距，默认取两段EMA间距中较小的一个
+const RULES = {
+    ema_fresh_alignment: {
+        label: 'EMA刚形成多头排列',
+        type: 'bullish',
+        reason: () => '刚形成多头排列且趋势向上',
+        check: ({ details }) => details.bullish && details.fastRising && details.midRising &&
+            details.recentBullishCount >= 1 && details.recentBullishCount <= 2
+    },
+    ema_stable_breakout: {
+        label: 'EMA多头排列强势突破',
+        type: 'breakout',
+        reason: () => '多头排列稳定且价格强势突破',
+        check: ({ details }, params) => details.bullish && details.recentBullishCount >= 2 &&
+            details.priceAboveFast && details.priceAboveMid &&
+            details.fastMidGapPct > params.minGapPct && details.midSlowGapPct > params.minGapPct
+    },
+    ema_golden_cross: {
+        label: 'EMA金叉',
+        type: 'golden_cross',
+        reason: params => `EMA${params.fast}向上穿越EMA${params.mid}(金叉)`,
+        check: ({ crossedUp, details }) => crossedUp && details.fastRising && details.priceAboveFast,
+        gapPct: details => details.fastMidGapPct
+    }
+};
+
+/**
+ * 规则所需的最少K线数量
+ */
+function getRuleRequiredBars(params) {
+    return Math.max(params.fast, params.mid, params.slow) + TREND_LOOKBACK;
+}
+
+/**
+ * 在K线序列的最新一根上评估规则
+ * 返回 { state, gapPct, values, details }，数据不足时返回 null
+ */
+function evaluateRule(name, candles, params) {
+    const rule = RULES[name];
+    const trend = calculateEMATrend(candles, params);
+    if (!trend) {
+        return null;
+    }
+    return {
+        state: rule.check(trend, params),
+        gapPct: rule.gapPct ? rule.gapPct(trend.details) : Math.min(trend.details.fastMidGapPct, trend.details.midSlowGapPct),
+        values: trend.values,
+        details: trend.details
+    };
+}
+
+module.exports = {
+    RULES,
+    DEFAULT_PARAMS,
+    calculateEMATrend,
+    getRuleRequiredBars,
+    evaluateRule
+};
@@ -0,0 +1,79 @@
+/**
+ * 状态持久化
+ * 将K线缓存、EMA状态缓存和最近的告警记录快照到存储后端，重启后恢复
+ * 存储后端需实现 load() 和 save(snapshot) 两个异步方法
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger').logger.child({ module: 'state_store' });
+
+const SNAPSHOT_VERSION = 3; // 3: K线缓存按 链:地址@周期 分开存储
+
+/**
+ * JSON文件存储后端（默认）
+ * 写入时先写临时文件再重命名，避免进程中途退出导致文件损坏
+ */
+class JsonFileStateStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    async load() {
+        try {
+            const content = await fs.promises.readFile(this.filePath, 'utf8');
+            const snapshot = JSON.parse(content);
+            if (snapshot.version !== SNAPSHOT_VERSION) {
+                logger.warn(`状态文件版本 ${snapshot.version} 与当前版本 ${SNAPSHOT_VERSION} 不一致，忽略`);
+                return null;
+            }
+            return snapshot;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            logger.error(`读取状态文件 ${this.filePath} 失败`, { error });
+            return null;
+        }
+    }
+
+    async save(snapshot) {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, JSON.stringify({ version: SNAPSHOT_VERSION, ...snapshot }));
+        await fs.promises.rename(tmpPath, this.filePath);
+    }
+}
+
+/**
+ * 空存储后端，用于关闭持久化
+ */
+class NullStateStore {
+    async load() {
+        return null;
+    }
+
+    async save() {}
+}
+
+/**
+ * 根据配置创建存储后端
+ */
+function createStateStore(options = {}) {
+    const backend = options.backend || 'json';
+
+    switch (backend) {
+        case 'json':
+            return new JsonFileStateStore(options.filePath || 'data/state.json');
+        case 'none':
+            return new NullStateStore();
+        default:
+            throw new Error(`不支持的状态存储后端: ${backend}`);
+    }
+}
+
+module.exports = {
+    createStateStore,
+    JsonFileStateStore,
+    NullStateStore
+};
@@ -0,0 +1,211 @@
+/**
+ * HTTP状态服务
+ *   /healthz  健康检查：初始化完成且最近一次成功检测未超时返回200，否则返回503
+ *   /metrics  Prometheus 文本格式指标：检测耗时、各接口错误数、告警发送数、缓存代币数等
+ *   /tokens   所有缓存代币各周期的当前EMA状态（JSON）
+ */
+
+const http = require('http');
+const { getBarInterval } = require('./timeframes');
+const logger = require('./logger').logger.child({ module: 'status_server' });
+
+class StatusServer {
+    constructor(analyzer, options = {}) {
+        this.analyzer = analyzer;
+        this.options = {
+            enabled: true,
+            port: 3000,
+            maxScanAgeSeconds: 0, // 0 表示自动：最短监控周期的3倍
+            ...options
+        };
+        this.server = null;
+    }
+
+    start() {
+        if (!this.options.enabled || this.server) {
+            return;
+        }
+
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                logger.error(`处理HTTP请求 ${req.url} 出错`, { error });
+                this.send(res, 500, 'text/plain; charset=utf-8', 'internal error\n');
+            });
+        });
+        // 端口被占用或无权限时只记录错误，不影响监控主流程
+        const server = this.server;
+        server.on('error', error => {
+            if (server.listening) {
+                logger.error('HTTP状态服务出错', { error });
+                return;
+            }
+            logger.error(`❌ HTTP状态服务启动失败，端口 ${this.options.port}，/healthz /metrics /tokens 不可用`, { error });
+            if (this.server === server) {
+                this.server = null;
+            }
+        });
+        this.server.listen(this.options.port, () => {
+            logger.info(`🌐 HTTP状态服务已启动，端口 ${this.server.address().port}（/healthz /metrics /tokens）`);
+        });
+    }
+
+    stop() {
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+
+    async handleRequest(req, res) {
+        const path = req.url.split('?')[0];
+        if (req.method !== 'GET') {
+            this.send(res, 405, 'text/plain; charset=utf-8', 'method not allowed\n');
+            return;
+        }
+
+        switch (path) {
+            case '/healthz': {
+                const health = this.getHealth();
+                this.send(res, health.healthy ? 200 : 503, 'application/json; charset=utf-8', JSON.stringify(health, null, 2));
+                return;
+            }
+            case '/metrics':
+                this.send(res, 200, 'text/plain; version=0.0.4; charset=utf-8', this.renderMetrics());
+                return;
+            case '/tokens':
+                this.send(res, 200, 'application/json; charset=utf-8', JSON.stringify(this.analyzer.getTokenStates(), null, 2));
+                return;
+            default:
+                this.send(res, 404, 'text/plain; charset=utf-8', 'not found\n');
+        }
+    }
+
+    send(res, status, contentType, body) {
+        res.writeHead(status, { 'Content-Type': contentType });
+        res.end(body);
+    }
+
+    /**
+     * 最近一次成功检测允许的最大间隔（毫秒）
+     */
+    getMaxScanAgeMs() {
+        if (this.options.maxScanAgeSeconds > 0) {
+            return this.options.maxScanAgeSeconds * 1000;
+        }
+        return Math.min(...this.analyzer.timeframes.map(getBarInterval)) * 3;
+    }
+
+    /**
+     * 健康状态：未初始化，或最近一次成功检测（尚未检测时为初始化完成时间）距今超过上限时不健康
+     */
+    getHealth(now = Date.now()) {
+        const analyzer = this.analyzer;
+        const lastSuccessAt = analyzer.lastSuccessfulScanAt || analyzer.initializedAt;
+        const scanAgeMs = lastSuccessAt ? now - lastSuccessAt : null;
+        const maxScanAgeMs = this.getMaxScanAgeMs();
+
+        let reason = null;
+        if (!analyzer.isInitialized) {
+            reason = 'initializing';
+        } else if (scanAgeMs === null || scanAgeMs > maxScanAgeMs) {
+            reason = 'scan_stale';
+        }
+
+        return {
+            healthy: reason === null,
+            reason,
+            initialized: analyzer.isInitialized,
+            initializedAt: analyzer.initializedAt ? new Date(analyzer.initializedAt).toISOString() : null,
+            lastSuccessfulScanAt: analyzer.lastSuccessfulScanAt ? new Date(analyzer.lastSuccessfulScanAt).toISOString() : null,
+            scanAgeSeconds: scanAgeMs === null ? null : Math.round(scanAgeMs / 1000),
+            maxScanAgeSeconds: Math.round(maxScanAgeMs / 1000),
+            watchedTokens: analyzer.watchlist.size,
+            muted: analyzer.isMuted(now),
+            scheduler: analyzer.scheduler.getStatus(),
+            lastCycle: analyzer.lastCycleMetrics
+        };
+    }
+
+    /**
+     * 生成 Prometheus 文本格式指标
+     */
+    renderMetrics() {
+        const analyzer = this.analyzer;
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`);
+            lines.push(`# TYPE ${name} ${type}`);
+            for (const [labels, value] of samples) {
+                lines.push(`${name}${formatLabels(labels)} ${Number.isFinite(value) ? value : 0}`);
+            }
+        };
+        const seconds = ms => (ms ? ms / 1000 : 0);
+
+        const cachedTokens = new Set(Array.from(analyzer.klineCache.keys()).map(cacheKey => cacheKey.split('@')[0]));
+        const scheduler = analyzer.scheduler.getStatus();
+        const cycle = analyzer.lastCycleMetrics;
+
+        metric('ema_monitor_initialized', 'gauge', '初始化是否完成', [[{}, analyzer.isInitialized ? 1 : 0]]);
+        metric('ema_monitor_watched_tokens', 'gauge', '监控列表中的代币数量', [[{}, analyzer.watchlist.size]]);
+        metric('ema_monitor_cached_tokens', 'gauge', '已缓存K线的代币数量', [[{}, cachedTokens.size]]);
+        metric('ema_monitor_cached_series', 'gauge', '已缓存的K线序列数量（代币×周期）', [[{}, analyzer.klineCache.size]]);
+        metric('ema_monitor_muted', 'gauge', '告警是否处于静音期', [[{}, analyzer.isMuted() ? 1 : 0]]);
+
+        metric('ema_monitor_last_successful_scan_timestamp_seconds', 'gauge', '最近一次成功检测的完成时间',
+            [[{}, seconds(analyzer.lastSuccessfulScanAt)]]);
+        // summary 不输出分位数，只输出 _sum 和 _count
+        metric('ema_monitor_scan_duration_seconds', 'summary', '定时检测耗时', []);
+        lines.push(`ema_monitor_scan_duration_seconds_sum ${seconds(analyzer.scanStats.totalMs)}`);
+        lines.push(`ema_monitor_scan_duration_seconds_count ${analyzer.scanStats.runs}`);
+        metric('ema_monitor_last_scan_phase_duration_seconds', 'gauge', '最近一轮检测各阶段耗时', cycle ? [
+            [{ phase: 'scan' }, seconds(cycle.scanMs)],
+            [{ phase: 'token_info' }, seconds(cycle.tokenInfoMs)],
+            [{ phase: 'dispatch' }, seconds(cycle.dispatchMs)],
+            [{ phase: 'total' }, seconds(cycle.totalMs)]
+        ] : []);
+        metric('ema_monitor_last_scan_failed_tokens', 'gauge', '最近一轮检测处理失败的代币数量', [[{}, cycle ? cycle.failedTokens : 0]]);
+
+        metric('ema_monitor_scheduler_runs_total', 'counter', '定时检测执行次数', [[{}, scheduler.runCount]]);
+        metric('ema_monitor_scheduler_skipped_runs_total', 'counter', '因上一轮未结束而跳过的检测次数', [[{}, scheduler.skippedRuns]]);
+        metric('ema_monitor_scheduler_queued_runs_total', 'counter', '因上一轮未结束而排队的检测次数', [[{}, scheduler.queuedRuns]]);
+        metric('ema_monitor_scheduler_missed_ticks_total', 'counter', '因调度延迟错过的收盘点数量', [[{}, scheduler.missedTicks]]);
+        metric('ema_monitor_scheduler_next_run_timestamp_seconds', 'gauge', '下次计划检测时间',
+            [[{}, scheduler.nextRunAt ? Date.parse(scheduler.nextRunAt) / 1000 : 0]]);
+
+        const endpointStats = Array.from(analyzer.okx.endpointStats.entries());
+        metric('ema_monitor_okx_requests_total', 'counter', 'OKX API请求次数（含重试）',
+            endpointStats.map(([endpoint, stats]) => [{ endpoint }, stats.requests]));
+        metric('ema_monitor_okx_retries_total', 'counter', 'OKX API重试次数',
+            endpointStats.map(([endpoint, stats]) => [{ endpoint }, stats.retries]));
+        metric('ema_monitor_okx_errors_total', 'counter', 'OKX API最终失败的请求数，按接口、错误类型和错误码统计',
+            endpointStats.flatMap(([endpoint, stats]) => Array.from(stats.errors.entries()).map(([errorKey, count]) => {
+                const [type, code] = errorKey.split('|');
+                return [{ endpoint, type, code }, count];
+            })));
+
+        metric('ema_monitor_alerts_sent_total', 'counter', '告警发送次数，按信号类型、渠道和结果统计',
+            Array.from(analyzer.alertCounters.entries()).map(([counterKey, count]) => {
+                const [type, channel, status] = counterKey.split('|');
+                return [{ type, channel, status }, count];
+            }));
+        metric('ema_monitor_alerts_suppressed_total', 'counter', '未发送的告警数量，按抑制原因（muted/filter/risk/cooldown/daily_cap/hysteresis/send_failed）统计',
+            Array.from(analyzer.suppressedAlerts.entries()).map(([reason, count]) => [{ reason }, count]));
+        metric('ema_monitor_alerts_sent_today', 'gauge', '当天（UTC）已发送的告警数量', [[{}, analyzer.alertPolicy.getDailyCount()]]);
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * 格式化 Prometheus 标签
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+module.exports = StatusServer;
@@ -0,0 +1,404 @@
+/**
+ * 策略引擎
+ * 策略以声明方式定义：使用的指标、比较链和触发信号的状态转换
+ *
+ * 策略示例：
+ * {
+ *   "name": "ema_bullish_alignment",
+ *   "label": "EMA多头排列",
+ *   "indicators": { "ema21": { "type": "ema", "period": 21 }, ... },
+ *   "chain": ["ema21", "ema55", "ema144"],
+ *   "comparison": "gt",
+ *   "signals": { "enter": { "type": "bullish", "reason": "..." } }
+ * }
+ *
+ * indicators: 指标类型支持 sma、ema、rsi、macd、bollinger、atr、vwap，参数写法见 indicators.js
+ * timeframe: 策略运行的K线周期，默认为信号周期（15m）
+ * comparison: gt 表示链上每一项都大于下一项，lt 表示都小于下一项
+ * signals: enter 表示状态由 false 变为 true 时触发，exit 表示由 true 变为 false 时触发
+ *          type 为信号类型，见 SIGNAL_TYPES
+ *          confirm 为可选的多周期确认条件，例如 [{ "timeframe": "1H", "strategy": "ema_bullish_alignment", "state": true }]
+ *          表示只有1H周期上该策略的状态同时为 true 时才发出信号；strategy 默认为当前策略，state 默认为 true
+ * chain 中除指标名外还可以使用K线字段 close/open/high/low
+ * rule: 使用 signal_rules.js 中的命名规则代替 indicators/chain，例如 { "name": "golden_cross", "rule": "ema_golden_cross" }
+ *       params 覆盖规则参数；未配置 signals 时规则条件成立（enter）发出规则对应类型的信号
+ * filters: 可选的成交量/市值确认条件，未配置的条件不检查
+ *          volumeMultiple   信号K线的 volumeUsd 需超过前 volumeLookback 根K线平均值的倍数（volumeLookback 默认20）
+ *          minBarVolumeUsd  信号K线的最低成交额（美元）
+ *          minVolume24h     代币24小时最低成交额（美元），来自价格信息接口
+ *          minMarketCap     代币最低市值（美元），来自价格信息接口
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isSupportedTimeframe } = require('./timeframes');
+const { INDICATORS, validateIndicatorSpec } = require('./indicators');
+const { RULES, DEFAULT_PARAMS: DEFAULT_RULE_PARAMS, getRuleRequiredBars, evaluateRule } = require('./signal_rules');
+const logger = require('./logger').logger.child({ module: 'strategy_engine' });
+
+const CANDLE_FIELDS = ['close', 'open', 'high', 'low'];
+const COMPARISONS = ['gt', 'lt'];
+const TRANSITIONS = ['enter', 'exit'];
+const FILTER_FIELDS = ['volumeMultiple', 'volumeLookback', 'minBarVolumeUsd', 'minVolume24h', 'minMarketCap'];
+const DEFAULT_VOLUME_LOOKBACK = 20;
+
+// 信号类型：direction 表示信号看涨(1)或看跌(-1)
+const SIGNAL_TYPES = {
+    bullish: { emoji: '🚀', title: 'EMA多头排列信号', direction: 1 },
+    bearish: { emoji: '🔻', title: 'EMA空头排列信号', direction: -1 },
+    alignment_lost: { emoji: '⚠️', title: 'EMA多头排列破坏', direction: -1 },
+    golden_cross: { emoji: '✨', title: 'EMA金叉信号', direction: 1 },
+    breakout: { emoji: '💥', title: 'EMA强势突破信号', direction: 1 },
+    price_up: { emoji: '📈', title: '价格提醒（上涨）', direction: 1 },
+    price_down: { emoji: '📉', title: '价格提醒（下跌）', direction: -1 }
+};
+
+// 默认策略与仓库中的 config/strategies.json 为同一份定义，配置文件不存在时使用
+const DEFAULT_STRATEGIES_FILE = path.join(__dirname, 'config', 'strategies.json');
+const DEFAULT_STRATEGIES = JSON.parse(fs.readFileSync(DEFAULT_STRATEGIES_FILE, 'utf8')).strategies;
+
+class StrategyEngine {
+    /**
+     * @param {Array} strategies 策略定义列表
+     * @param {Object} indicatorFns 指标计算函数：type -> (candles, spec) => 与K线一一对应的数值数组
+     * @param {Object} options { defaultTimeframe } 未指定周期的策略使用的K线周期
+     */
+    constructor(strategies, indicatorFns, options = {}) {
+        this.indicatorFns = indicatorFns;
+        this.defaultTimeframe = options.defaultTimeframe || '15m';
+        this.strategies = strategies.map(strategy => this.validateStrategy(strategy));
+
+        const names = new Set();
+        for (const strategy of this.strategies) {
+            if (names.has(strategy.name)) {
+                throw new Error(`策略名称重复: ${strategy.name}`);
+            }
+            names.add(strategy.name);
+        }
+
+        // 确认条件引用的策略必须存在
+        for (const strategy of this.strategies) {
+            for (const signalConfig of Object.values(strategy.signals)) {
+                for (const condition of signalConfig.confirm) {
+                    if (!names.has(condition.strategy)) {
+                        throw new Error(`策略 ${strategy.name} 的确认条件引用了未定义的策略: ${condition.strategy}`);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * 按名称获取策略
+     */
+    getStrategy(name) {
+        return this.strategies.find(strategy => strategy.name === name) || null;
+    }
+
+    /**
+     * 获取在指定K线周期上运行的策略
+     */
+    getStrategiesForTimeframe(timeframe) {
+        return this.strategies.filter(strategy => strategy.timeframe === timeframe);
+    }
+
+    /**
+     * 获取所有策略（含确认条件）用到的K线周期
+     */
+    getTimeframes() {
+        const timeframes = new Set();
+        for (const strategy of this.strategies) {
+            timeframes.add(strategy.timeframe);
+            for (const signalConfig of Object.values(strategy.signals)) {
+                signalConfig.confirm.forEach(condition => timeframes.add(condition.timeframe));
+            }
+        }
+        return Array.from(timeframes);
+    }
+
+    /**
+     * 从配置文件读取策略，文件不存在时使用默认策略
+     */
+    static loadStrategies(filePath) {
+        if (!filePath || !fs.existsSync(filePath)) {
+            logger.info(`未找到策略配置文件，使用默认策略 ${DEFAULT_STRATEGIES_FILE}`);
+            return DEFAULT_STRATEGIES;
+        }
+
+        const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const strategies = Array.isArray(config) ? config : config.strategies;
+        if (!Array.isArray(strategies) || strategies.length === 0) {
+            throw new Error(`策略配置文件 ${filePath} 中没有定义策略`);
+        }
+
+        logger.info(`已从 ${filePath} 加载 ${strategies.length} 个策略: ${strategies.map(s => s.name).join(', ')}`);
+        return strategies;
+    }
+
+    /**
+     * 校验策略定义并补齐默认值
+     */
+    validateStrategy(strategy) {
+        if (!strategy.name) {
+            throw new Error('策略缺少 name 字段');
+        }
+
+        const indicators = strategy.indicators || {};
+        for (const [id, spec] of Object.entries(indicators)) {
+            if (!this.indicatorFns[spec.type]) {
+                throw new Error(`策略 ${strategy.name} 的指标 ${id} 使用了不支持的类型: ${spec.type}`);
+            }
+            const specError = INDICATORS[spec.type] && validateIndicatorSpec(spec);
+            if (specError) {
+                throw new Error(`策略 ${strategy.name} 的指标 ${id} 配置错误: ${specError}`);
+            }
+        }
+
+        const rule = strategy.rule ? RULES[strategy.rule] : null;
+        let params = null;
+        if (strategy.rule) {
+            if (!rule) {
+                throw new Error(`策略 ${strategy.name} 使用了不存在的规则: ${strategy.rule}，可用规则: ${Object.keys(RULES).join(', ')}`);
+            }
+            params = { ...DEFAULT_RULE_PARAMS, ...strategy.params };
+            for (const field of ['fast', 'mid', 'slow']) {
+                if (!Number.isInteger(params[field]) || params[field] < 2) {
+                    throw new Error(`策略 ${strategy.name} 的规则参数 ${field} 必须为大于1的整数`);
+                }
+            }
+            if (typeof params.minGapPct !== 'number' || !(params.minGapPct >= 0)) {
+                throw new Error(`策略 ${strategy.name} 的规则参数 minGapPct 必须为非负数`);
+            }
+        } else {
+            if (!Array.isArray(strategy.chain) || strategy.chain.length < 2) {
+                throw new Error(`策略 ${strategy.name} 的比较链至少需要两项`);
+            }
+            for (const operand of strategy.chain) {
+                if (!indicators[operand] && !CANDLE_FIELDS.includes(operand)) {
+                    throw new Error(`策略 ${strategy.name} 的比较链引用了未定义的指标: ${operand}`);
+                }
+            }
+        }
+
+        const comparison = strategy.comparison || 'gt';
+        if (!COMPARISONS.includes(comparison)) {
+            throw new Error(`策略 ${strategy.name} 使用了不支持的比较方式: ${comparison}`);
+        }
+
+        const timeframe = strategy.timeframe || this.defaultTimeframe;
+        if (!isSupportedTimeframe(timeframe)) {
+            throw new Error(`策略 ${strategy.name} 使用了不支持的K线周期: ${timeframe}`);
+        }
+
+        const signals = {};
+        const signalConfigs = strategy.signals || (rule ? { enter: { type: rule.type, reason: rule.reason(params) } } : {});
+        for (const [transition, signalConfig] of Object.entries(signalConfigs)) {
+            if (!TRANSITIONS.includes(transition)) {
+                throw new Error(`策略 ${strategy.name} 使用了不支持的状态转换: ${transition}`);
+            }
+            if (!SIGNAL_TYPES[signalConfig.type]) {
+                throw new Error(`策略 ${strategy.name} 使用了不支持的信号类型: ${signalConfig.type}`);
+            }
+
+            const confirm = (signalConfig.confirm || []).map(condition => {
+                if (!isSupportedTimeframe(condition.timeframe)) {
+                    throw new Error(`策略 ${strategy.name} 的确认条件使用了不支持的K线周期: ${condition.timeframe}`);
+                }
+                return {
+                    timeframe: condition.timeframe,
+                    strategy: condition.strategy || strategy.name,
+                    state: condition.state !== undefined ? condition.state : true
+                };
+            });
+            signals[transition] = { ...signalConfig, confirm };
+        }
+
+        const filters = { volumeLookback: DEFAULT_VOLUME_LOOKBACK };
+        for (const [field, value] of Object.entries(strategy.filters || {})) {
+            if (!FILTER_FIELDS.includes(field)) {
+                throw new Error(`策略 ${strategy.name} 使用了不支持的过滤条件: ${field}`);
+            }
+            if (typeof value !== 'number' || !(value >= 0)) {
+                throw new Error(`策略 ${strategy.name} 的过滤条件 ${field} 必须为非负数`);
+            }
+            filters[field] = value;
+        }
+        if (!Number.isInteger(filters.volumeLookback) || filters.volumeLookback < 1) {
+            throw new Error(`策略 ${strategy.name} 的过滤条件 volumeLookback 必须为正整数`);
+        }
+
+        return {
+            ...strategy,
+            label: strategy.label || (rule ? rule.label : strategy.name),
+            timeframe,
+            indicators,
+            params,
+            comparison,
+            signals,
+            filters
+        };
+    }
+
+    /**
+     * 策略所需的最少K线数量
+     */
+    getRequiredBars(strategy) {
+        if (strategy.rule) {
+            return getRuleRequiredBars(strategy.params);
+        }
+        const periods = Object.values(strategy.indicators).map(spec =>
+            (INDICATORS[spec.type] ? INDICATORS[spec.type].requiredBars(spec) : spec.period) || 1
+        );
+        return Math.max(1, ...periods);
+    }
+
+    /**
+     * 在K线序列的最新一根上评估策略
+     * 返回 { state, gapPct, values, details, timestamp, price }，数据不足时返回 null
+     * details 对命名规则为趋势明细，对比较链为 { comparison, operands, gapsPct }（各项的值和相邻两项的间距百分比）
+     */
+    evaluate(strategy, klineData) {
+        if (klineData.length < this.getRequiredBars(strategy)) {
+            return null;
+        }
+
+        const latestIndex = klineData.length - 1;
+        const latestCandle = klineData[latestIndex];
+
+        if (strategy.rule) {
+            const result = evaluateRule(strategy.rule, klineData, strategy.params);
+            return result && {
+                ...result,
+                timestamp: latestCandle.timestamp,
+                price: latestCandle.close
+            };
+        }
+
+        const values = {};
+
+        for (const [id, spec] of Object.entries(strategy.indicators)) {
+            const series = this.indicatorFns[spec.type](klineData, spec);
+            const value = series[latestIndex];
+            if (value === null || value === undefined || Number.isNaN(value)) {
+                return null;
+            }
+            values[id] = value;
+        }
+
+        const operands = strategy.chain.map(operand =>
+            CANDLE_FIELDS.includes(operand) ? latestCandle[operand] : values[operand]
+        );
+
+        // gapPct 为链上相邻两项按比较方向的最小相对间距（百分比），条件成立时为正
+        let state = true;
+        let gapPct = Infinity;
+        const gapsPct = {};
+        for (let i = 0; i < operands.length - 1; i++) {
+            const holds = strategy.comparison === 'gt'
+                ? operands[i] > operands[i + 1]
+                : operands[i] < operands[i + 1];
+            if (!holds) {
+                state = false;
+            }
+            const gap = strategy.comparison === 'gt'
+                ? operands[i] - operands[i + 1]
+                : operands[i + 1] - operands[i];
+            const pairGapPct = gap / Math.abs(operands[i + 1]) * 100;
+            gapsPct[`${strategy.chain[i]}_${strategy.chain[i + 1]}`] = pairGapPct;
+            gapPct = Math.min(gapPct, pairGapPct);
+        }
+
+        return {
+            state,
+            gapPct,
+            values,
+            details: {
+                comparison: strategy.comparison,
+                operands: Object.fromEntries(strategy.chain.map((operand, i) => [operand, operands[i]])),
+                gapsPct
+            },
+            timestamp: latestCandle.timestamp,
+            price: latestCandle.close
+        };
+    }
+
+    /**
+     * 所有策略中所需K线数量的最大值，决定每个周期缓存的K线数量
+     */
+    getMaxRequiredBars() {
+        return Math.max(1, ...this.strategies.map(strategy => this.getRequiredBars(strategy)));
+    }
+
+    /**
+     * 信号K线的成交额及其相对前 volumeLookback 根K线平均成交额的倍数
+     * 返回 { barVolumeUsd, averageVolumeUsd, ratio, lookback }，均值为0时 ratio 为 null
+     */
+    getVolumeStats(strategy, klineData) {
+        const latest = klineData[klineData.length - 1];
+        const previous = klineData.slice(-1 - strategy.filters.volumeLookback, -1);
+        const averageVolumeUsd = previous.length > 0
+            ? previous.reduce((sum, candle) => sum + (candle.volumeUsd || 0), 0) / previous.length
+            : 0;
+        const barVolumeUsd = latest.volumeUsd || 0;
+        return {
+            barVolumeUsd,
+            averageVolumeUsd,
+            ratio: averageVolumeUsd > 0 ? barVolumeUsd / averageVolumeUsd : null,
+            lookback: previous.length
+        };
+    }
+
+    /**
+     * 检查K线成交量条件（volumeMultiple、minBarVolumeUsd），返回未通过的条件描述
+     */
+    checkBarFilters(strategy, volumeStats) {
+        const { volumeMultiple, minBarVolumeUsd } = strategy.filters;
+        const failures = [];
+        if (volumeMultiple !== undefined && !(volumeStats.ratio >= volumeMultiple)) {
+            const ratio = volumeStats.ratio === null ? '无均值' : `${volumeStats.ratio.toFixed(2)} 倍`;
+            failures.push(`成交额为前${volumeStats.lookback}根均值的 ${ratio}，低于 ${volumeMultiple} 倍`);
+        }
+        if (minBarVolumeUsd !== undefined && volumeStats.barVolumeUsd < minBarVolumeUsd) {
+            failures.push(`K线成交额 $${Math.round(volumeStats.barVolumeUsd)} 低于 $${minBarVolumeUsd}`);
+        }
+        return failures;
+    }
+
+    /**
+     * 检查代币的24h成交额和市值条件（minVolume24h、minMarketCap），返回未通过的条件描述
+     * 价格信息缺失时无法判断，跳过该条件
+     */
+    checkTokenFilters(strategy, tokenInfo) {
+        const { minVolume24h, minMarketCap } = strategy.filters;
+        const failures = [];
+        const volume24h = parseFloat(tokenInfo?.volume24h);
+        const marketCap = parseFloat(tokenInfo?.marketCap);
+        if (minVolume24h !== undefined && Number.isFinite(volume24h) && volume24h < minVolume24h) {
+            failures.push(`24h成交额 $${Math.round(volume24h)} 低于 $${minVolume24h}`);
+        }
+        if (minMarketCap !== undefined && Number.isFinite(marketCap) && marketCap < minMarketCap) {
+            failures.push(`市值 $${Math.round(marketCap)} 低于 $${minMarketCap}`);
+        }
+        return failures;
+    }
+
+    /**
+     * 根据上一根和当前K线的状态判断状态转换
+     * 上一根状态未知时不视为转换
+     */
+    getTransition(prevState, currentState) {
+        if (prevState === false && currentState === true) {
+            return 'enter';
+        }
+        if (prevState === true && currentState === false) {
+            return 'exit';
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    StrategyEngine,
+    DEFAULT_STRATEGIES,
+    SIGNAL_TYPES
+};
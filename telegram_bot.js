@@ -0,0 +1,320 @@
+/**
+ * Telegram 交互命令
+ * 通过 getUpdates 长轮询接收命令，只响应授权的 Chat ID：
+ *   /watch <地址> [链]   添加监控代币
+ *   /unwatch <地址>      移除监控代币
+ *   /status <地址>       查看缓存K线上的 EMA21/55/144 和排列状态
+ *   /list                查看监控列表
+ *   /mute <分钟>         暂停告警，/mute 0 恢复
+ */
+
+const axios = require('axios');
+const { getChain, normalizeAddress } = require('./chains');
+const { describeEMAAlignment, escapeHtml } = require('./notifiers');
+const logger = require('./logger').logger.child({ module: 'telegram_bot' });
+
+const MAX_MESSAGE_LENGTH = 4000; // Telegram 单条消息上限为4096字符
+
+const HELP_TEXT = [
+    '<b>可用命令:</b>',
+    '/watch &lt;地址&gt; [链] - 添加监控代币',
+    '/unwatch &lt;地址&gt; - 移除监控代币',
+    '/status &lt;地址&gt; - 查看EMA状态',
+    '/list - 查看监控列表',
+    '/mute &lt;分钟&gt; - 暂停告警（0为恢复）'
+].join('\n');
+
+class TelegramCommandBot {
+    constructor(analyzer, options = {}) {
+        this.analyzer = analyzer;
+        this.options = {
+            enabled: true,
+            botToken: null,
+            authorizedChatIds: [],
+            pollTimeoutSeconds: 30,
+            ...options
+        };
+        this.authorizedChatIds = new Set(this.options.authorizedChatIds.map(String));
+        this.offset = 0;
+        this.running = false;
+        this.abortController = null;
+    }
+
+    /**
+     * 启动长轮询
+     */
+    start() {
+        if (!this.options.enabled || !this.options.botToken || this.running) {
+            return;
+        }
+        if (this.authorizedChatIds.size === 0) {
+            logger.warn('⚠️ 未配置授权的 Chat ID，Telegram 命令未启用');
+            return;
+        }
+
+        logger.info(`🤖 启动Telegram命令监听，授权 Chat ID: ${Array.from(this.authorizedChatIds).join(', ')}`);
+        this.running = true;
+        this.poll().catch(error => {
+            logger.error('Telegram命令监听异常退出', { error });
+            this.running = false;
+        });
+    }
+
+    /**
+     * 停止长轮询
+     */
+    stop() {
+        this.running = false;
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    async poll() {
+        while (this.running) {
+            try {
+                const updates = await this.getUpdates();
+                for (const update of updates) {
+                    this.offset = update.update_id + 1;
+                    await this.handleUpdate(update);
+                }
+            } catch (error) {
+                if (!this.running) {
+                    break;
+                }
+                logger.error('获取Telegram命令失败', { error });
+                await this.analyzer.sleep(5000);
+            }
+        }
+    }
+
+    async getUpdates() {
+        this.abortController = new AbortController();
+        const response = await axios.get(`https://api.telegram.org/bot${this.options.botToken}/getUpdates`, {
+            params: {
+                offset: this.offset,
+                timeout: this.options.pollTimeoutSeconds,
+                allowed_updates: JSON.stringify(['message'])
+            },
+            timeout: (this.options.pollTimeoutSeconds + 10) * 1000,
+            signal: this.abortController.signal
+        });
+        return response.data.ok ? response.data.result : [];
+    }
+
+    /**
+     * 处理一条消息，未授权的 Chat ID 直接忽略
+     */
+    async handleUpdate(update) {
+        const message = update.message;
+        if (!message || !message.text || !message.text.startsWith('/')) {
+            return;
+        }
+
+        const chatId = String(message.chat.id);
+        if (!this.authorizedChatIds.has(chatId)) {
+            logger.warn(`⚠️ 忽略未授权 Chat ID ${chatId} 的命令: ${message.text}`);
+            return;
+        }
+
+        // 群组中的命令可能带有 @机器人名 后缀
+        const [rawCommand, ...args] = message.text.trim().split(/\s+/);
+        const command = rawCommand.split('@')[0].toLowerCase();
+        logger.info(`🤖 收到Telegram命令: ${message.text}`);
+
+        let reply;
+        try {
+            reply = await this.handleCommand(command, args);
+        } catch (error) {
+            logger.error(`处理命令 ${command} 出错`, { error });
+            reply = `❌ 命令执行失败: ${escapeHtml(error.message)}`;
+        }
+
+        if (reply) {
+            await this.reply(chatId, reply);
+        }
+    }
+
+    /**
+     * 执行命令，返回回复内容（HTML）
+     */
+    async handleCommand(command, args) {
+        switch (command) {
+            case '/watch':
+                return await this.handleWatch(args);
+            case '/unwatch':
+                return this.handleUnwatch(args);
+            case '/status':
+                return this.handleStatus(args);
+            case '/list':
+                return this.handleList();
+            case '/mute':
+                return this.handleMute(args);
+            case '/start':
+            case '/help':
+                return HELP_TEXT;
+            default:
+                return `未知命令 ${escapeHtml(command)}\n\n${HELP_TEXT}`;
+        }
+    }
+
+    async handleWatch([address, chainKey]) {
+        if (!address) {
+            return '用法: /watch &lt;地址&gt; [链]';
+        }
+
+        const chain = this.resolveChain(address, chainKey);
+        const token = {
+            chainIndex: chain.chainIndex,
+            address: normalizeAddress(chain.chainIndex, address),
+            source: 'manual'
+        };
+        const tokenKey = this.analyzer.getTokenKey(token);
+        if (this.analyzer.watchlist.has(tokenKey)) {
+            return `${this.analyzer.watchlist.get(tokenKey).symbol} 已在监控列表中`;
+        }
+
+        const tokenInfo = await this.analyzer.getTokenInfo(token);
+        token.symbol = tokenInfo.symbol;
+        if (!await this.analyzer.addWatchedToken(token)) {
+            // K线缓存初始化失败的代币无法检测信号，撤销添加
+            this.analyzer.removeWatchedToken(token);
+            return `❌ 添加 ${escapeHtml(token.symbol)} 失败：无法获取足够的K线数据，请稍后重试\n<code>${token.address}</code>`;
+        }
+        await this.analyzer.saveState();
+
+        return `✅ 已添加 ${escapeHtml(token.symbol)} (${chain.name})\n<code>${token.address}</code>`;
+    }
+
+    async handleUnwatch([address]) {
+        if (!address) {
+            return '用法: /unwatch &lt;地址&gt;';
+        }
+
+        const token = this.findWatchedToken(address);
+        if (!token) {
+            return `未在监控列表中找到 <code>${escapeHtml(address)}</code>`;
+        }
+
+        this.analyzer.removeWatchedToken(token);
+        await this.analyzer.saveState();
+        let reply = `✅ 已移除 ${escapeHtml(token.symbol)}\n<code>${token.address}</code>`;
+        if (token.source === 'discovery' || token.source === 'builtin') {
+            reply += '\n注意: 该代币来自候选代币发现，下次刷新时若仍满足筛选规则会被重新加入';
+        }
+        return reply;
+    }
+
+    handleStatus([address]) {
+        if (!address) {
+            return '用法: /status &lt;地址&gt;';
+        }
+
+        const token = this.findWatchedToken(address);
+        if (!token) {
+            return `未在监控列表中找到 <code>${escapeHtml(address)}</code>`;
+        }
+
+        let reply = `📈 <b>${escapeHtml(token.symbol)}</b> (${getChain(token.chainIndex).name})\n<code>${token.address}</code>\n`;
+        for (const timeframe of this.analyzer.timeframes) {
+            const klines = this.analyzer.klineCache.get(this.analyzer.getCacheKey(token, timeframe));
+            const status = klines ? this.analyzer.calculateEMAStatus(klines) : null;
+            if (!status) {
+                reply += `\n<b>${timeframe}</b>: K线数据不足`;
+                continue;
+            }
+            reply += `\n<b>${timeframe}</b> (${new Date(status.timestamp).toISOString()})\n`;
+            reply += `• 价格: ${status.price.toFixed(8)}\n`;
+            reply += `• EMA21: ${status.ema21.toFixed(8)}\n`;
+            reply += `• EMA55: ${status.ema55.toFixed(8)}\n`;
+            reply += `• EMA144: ${status.ema144.toFixed(8)}\n`;
+            reply += `• 排列: ${describeEMAAlignment(status)}\n`;
+        }
+        return reply;
+    }
+
+    handleList() {
+        const tokens = this.analyzer.getWatchedTokens();
+        if (tokens.length === 0) {
+            return '监控列表为空';
+        }
+
+        const lines = tokens.map((token, index) =>
+            `${index + 1}. ${escapeHtml(token.symbol)} (${getChain(token.chainIndex).name}, ${token.source}) <code>${token.address}</code>`
+        );
+        return `📋 <b>监控列表</b> (${tokens.length} 个)\n${lines.join('\n')}`;
+    }
+
+    handleMute([minutes]) {
+        const value = Number(minutes);
+        if (minutes === undefined || !Number.isFinite(value) || value < 0) {
+            return '用法: /mute &lt;分钟&gt;，/mute 0 恢复告警';
+        }
+
+        this.analyzer.muteAlerts(value);
+        if (value === 0) {
+            return '🔔 告警已恢复';
+        }
+        return `🔇 告警已暂停 ${value} 分钟，至 ${new Date(this.analyzer.mutedUntil).toISOString()}`;
+    }
+
+    /**
+     * 确定 /watch 的链：显式指定优先；否则EVM地址使用第一条监控的EVM链，其他地址使用Solana
+     */
+    resolveChain(address, chainKey) {
+        if (chainKey) {
+            const chain = getChain(chainKey);
+            if (!this.analyzer.chains.includes(chain)) {
+                throw new Error(`未监控链 ${chain.name}`);
+            }
+            return chain;
+        }
+
+        const isEvmAddress = /^0x[0-9a-fA-F]{40}$/.test(address);
+        const chain = this.analyzer.chains.find(item => item.evm === isEvmAddress);
+        if (!chain) {
+            throw new Error('无法判断地址所在的链，请在地址后指定链，例如 /watch 0x... bsc');
+        }
+        return chain;
+    }
+
+    /**
+     * 按地址在监控列表中查找代币（EVM地址不区分大小写）
+     */
+    findWatchedToken(address) {
+        return this.analyzer.getWatchedTokens().find(token =>
+            token.address === normalizeAddress(token.chainIndex, address)
+        ) || null;
+    }
+
+    /**
+     * 回复消息，超长时按行拆分为多条
+     */
+    async reply(chatId, text) {
+        const chunks = [];
+        let current = '';
+        for (const line of text.split('\n')) {
+            if (current && current.length + line.length + 1 > MAX_MESSAGE_LENGTH) {
+                chunks.push(current);
+                current = '';
+            }
+            current += (current ? '\n' : '') + line;
+        }
+        chunks.push(current);
+
+        for (const chunk of chunks) {
+            try {
+                await axios.post(`https://api.telegram.org/bot${this.options.botToken}/sendMessage`, {
+                    chat_id: chatId,
+                    text: chunk,
+                    parse_mode: 'HTML',
+                    disable_web_page_preview: true
+                }, { timeout: 10000 });
+            } catch (error) {
+                logger.error('回复Telegram命令失败', { error, response: error.response?.data });
+            }
+        }
+    }
+}
+
+module.exports = TelegramCommandBot;
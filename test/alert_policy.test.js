@@ -0,0 +1,84 @@
+/**
+ * 告警策略单元测试：滞后确认的计数和预览，冷却和每日上限
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AlertPolicy = require('../alert_policy');
+
+const KEY = '56:0xabc@15m|ema_bullish_alignment';
+const bar = (timestamp, state = true) => ({ timestamp, state, gapPct: 0.5 });
+const TOKEN_KEY = '56:0xabc';
+const MINUTE = 60 * 1000;
+const NOON = Date.parse('2024-01-01T12:00:00Z');
+
+test('等待确认的转换保持 minHoldBars 根K线后放行', () => {
+    const policy = new AlertPolicy({ minHoldBars: 2 });
+    assert.deepEqual(policy.applyHysteresis(KEY, 'enter', bar(1), 'ABC'), { released: null, dropped: null });
+    assert.deepEqual(policy.applyHysteresis(KEY, null, bar(2), 'ABC'), { released: 'enter', dropped: null });
+    assert.equal(policy.pending.size, 0);
+});
+
+test('同一根K线重复评估不重复计数', () => {
+    const policy = new AlertPolicy({ minHoldBars: 2 });
+    policy.applyHysteresis(KEY, 'enter', bar(1), 'ABC');
+    assert.deepEqual(policy.applyHysteresis(KEY, 'enter', bar(1), 'ABC'), { released: null, dropped: null });
+    assert.deepEqual(policy.applyHysteresis(KEY, null, bar(1), 'ABC'), { released: null, dropped: null });
+    assert.equal(policy.pending.get(KEY).heldBars, 1);
+    assert.equal(policy.applyHysteresis(KEY, null, bar(2), 'ABC').released, 'enter');
+});
+
+test('dryRun 返回放行结果但不修改等待确认状态', () => {
+    const policy = new AlertPolicy({ minHoldBars: 2 });
+    policy.applyHysteresis(KEY, 'enter', bar(1), 'ABC');
+
+    assert.equal(policy.applyHysteresis(KEY, null, bar(2), 'ABC', { dryRun: true }).released, 'enter');
+    assert.deepEqual(policy.pending.get(KEY), { transition: 'enter', state: true, heldBars: 1, startedAt: 1, lastTimestamp: 1 });
+
+    assert.equal(policy.applyHysteresis(KEY, null, bar(2, false), 'ABC', { dryRun: true }).dropped.transition, 'enter');
+    assert.equal(policy.pending.get(KEY).heldBars, 1);
+});
+
+test('确认前状态反转的转换被丢弃', () => {
+    const policy = new AlertPolicy({ minHoldBars: 3 });
+    policy.applyHysteresis(KEY, 'enter', bar(1), 'ABC');
+    const { released, dropped } = policy.applyHysteresis(KEY, 'exit', bar(2, false), 'ABC');
+    assert.equal(released, null);
+    assert.equal(dropped.transition, 'enter');
+    assert.equal(policy.pending.get(KEY).transition, 'exit');
+});
+
+test('同一代币同一信号类型在冷却时间内被抑制，其他类型和代币不受影响', () => {
+    const policy = new AlertPolicy({ cooldownMinutes: 60 });
+    assert.equal(policy.getSuppressionReason(TOKEN_KEY, 'bullish', NOON), null);
+    policy.recordSent(TOKEN_KEY, 'bullish', NOON);
+
+    assert.equal(policy.getSuppressionReason(TOKEN_KEY, 'bullish', NOON + 59 * MINUTE), 'cooldown');
+    assert.match(policy.describeReason('cooldown', TOKEN_KEY, 'bullish', NOON + 59 * MINUTE), /剩余 1 分钟/);
+    assert.equal(policy.getSuppressionReason(TOKEN_KEY, 'bearish', NOON + 59 * MINUTE), null);
+    assert.equal(policy.getSuppressionReason('56:0xdef', 'bullish', NOON + 59 * MINUTE), null);
+    assert.equal(policy.getSuppressionReason(TOKEN_KEY, 'bullish', NOON + 60 * MINUTE), null);
+});
+
+test('达到每日上限后当天不再发送，UTC跨天后重新计数', () => {
+    const policy = new AlertPolicy({ cooldownMinutes: 0, dailyCap: 2 });
+    policy.recordSent(TOKEN_KEY, 'bullish', NOON);
+    assert.equal(policy.getSuppressionReason('56:0xdef', 'bullish', NOON), null);
+    policy.recordSent('56:0xdef', 'bullish', NOON);
+
+    assert.equal(policy.getSuppressionReason('56:0x123', 'bullish', NOON + MINUTE), 'daily_cap');
+    assert.equal(policy.getSuppressionReason('56:0x123', 'bullish', NOON + 12 * 60 * MINUTE), null);
+    assert.equal(policy.getDailyCount(NOON + 12 * 60 * MINUTE), 0);
+});
+
+test('从快照恢复时丢弃已过期的冷却记录并保留当天计数', () => {
+    const policy = new AlertPolicy({ cooldownMinutes: 60, dailyCap: 5 });
+    policy.recordSent(TOKEN_KEY, 'bullish', NOON - 90 * MINUTE);
+    policy.recordSent(TOKEN_KEY, 'bearish', NOON - 30 * MINUTE);
+
+    const restored = new AlertPolicy({ cooldownMinutes: 60, dailyCap: 5 });
+    restored.restore(JSON.parse(JSON.stringify(policy.toJSON())), NOON);
+    assert.deepEqual(Array.from(restored.lastAlertAt.keys()), [`${TOKEN_KEY}|bearish`]);
+    assert.equal(restored.getSuppressionReason(TOKEN_KEY, 'bearish', NOON), 'cooldown');
+    assert.equal(restored.getDailyCount(NOON), 2);
+});
@@ -0,0 +1,50 @@
+/**
+ * 离线回测单元测试
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Backtester } = require('../backtest');
+const { StrategyEngine } = require('../strategy_engine');
+const indicators = require('../indicators');
+
+const STRATEGY = {
+    name: 'sma_cross',
+    indicators: { fast: { type: 'sma', period: 3 }, slow: { type: 'sma', period: 6 } },
+    chain: ['fast', 'slow'],
+    comparison: 'gt',
+    signals: { enter: { type: 'bullish' } }
+};
+
+/**
+ * 只提供回测所需字段的分析器
+ */
+function createAnalyzer(klineCacheSize) {
+    const indicatorFns = Object.fromEntries(Object.entries(indicators.INDICATORS).map(([type, indicator]) => [type, indicator.calculate]));
+    return { klineCacheSize, signalTimeframe: '15m', strategyEngine: new StrategyEngine([STRATEGY], indicatorFns) };
+}
+
+// 先跌后涨：慢线窗口内第 12 根附近形成金叉
+const closes = [20, 19, 18, 17, 16, 15, 14, 13, 12, 11, 12, 14, 16, 18, 20, 22, 24, 26, 28, 30];
+const candles = closes.map((close, i) => ({ timestamp: i * 900000, open: close, high: close, low: close, close }));
+
+test('与实时监控一致，只在完整的缓存窗口上评估', () => {
+    const analyzer = createAnalyzer(10);
+    const lengths = [];
+    const evaluate = analyzer.strategyEngine.evaluate.bind(analyzer.strategyEngine);
+    analyzer.strategyEngine.evaluate = (strategy, window) => {
+        lengths.push(window.length);
+        return evaluate(strategy, window);
+    };
+
+    const triggers = new Backtester(analyzer, { horizons: [2] }).run(candles);
+    assert.equal(lengths.length, candles.length - 9);
+    assert.ok(lengths.every(length => length === 10));
+    assert.equal(triggers.length, 1);
+    assert.equal(triggers[0].strategy, 'sma_cross');
+});
+
+test('序列不长于缓存窗口时不产生信号', () => {
+    const triggers = new Backtester(createAnalyzer(candles.length), { horizons: [2] }).run(candles);
+    assert.equal(triggers.length, 0);
+});
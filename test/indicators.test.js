@@ -0,0 +1,187 @@
+/**
+ * 技术指标库单元测试
+ * 参考值来自公开的计算示例（RSI 为 Wilder 原书/StockCharts 示例数据）或按定义手工推导
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sma, ema, rsi, macd, bollinger, atr, vwap, calculateSnapshot } = require('../indicators');
+
+/**
+ * 断言两个数组逐项相等，数值按精度比较，null 必须一致
+ */
+function assertSeries(actual, expected, digits = 8) {
+    assert.equal(actual.length, expected.length, '数组长度不一致');
+    expected.forEach((value, i) => {
+        if (value === null) {
+            assert.equal(actual[i], null, `第 ${i} 项应为 null`);
+        } else {
+            assert.ok(Math.abs(actual[i] - value) < 10 ** -digits, `第 ${i} 项为 ${actual[i]}，应为 ${value}`);
+        }
+    });
+}
+
+/**
+ * 指标库之前分析器内联的EMA实现，用于验证重构后结果不变
+ */
+function legacyEMA(prices, period) {
+    if (prices.length < period) {
+        return [];
+    }
+    const result = new Array(prices.length);
+    const multiplier = 2 / (period + 1);
+    for (let i = 0; i < period - 1; i++) {
+        result[i] = null;
+    }
+    let seed = 0;
+    for (let i = 0; i < period; i++) {
+        seed += prices[i];
+    }
+    result[period - 1] = seed / period;
+    for (let i = period; i < prices.length; i++) {
+        result[i] = (prices[i] * multiplier) + (result[i - 1] * (1 - multiplier));
+    }
+    return result;
+}
+
+/**
+ * 固定种子的伪随机价格序列，保证测试可重复
+ */
+function randomWalk(length, seed = 1) {
+    let state = seed;
+    const next = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+    const prices = [];
+    let price = 1;
+    for (let i = 0; i < length; i++) {
+        price *= 1 + (next() - 0.5) * 0.04;
+        prices.push(price);
+    }
+    return prices;
+}
+
+const candle = (high, low, close, volume = 0) => ({ open: close, high, low, close, volume });
+
+test('sma: 窗口平均，预热期为 null', () => {
+    assertSeries(sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+    assertSeries(sma([2, 4, 6], 1), [2, 4, 6]);
+});
+
+test('sma: 输入不足一个周期时返回空数组', () => {
+    assert.deepEqual(sma([1, 2], 3), []);
+    assert.deepEqual(sma([], 1), []);
+});
+
+test('ema: 第一个值为SMA，之后按 2/(n+1) 平滑', () => {
+    // period 3: 乘数 0.5，种子 (2+4+6)/3 = 4
+    assertSeries(ema([2, 4, 6, 8, 10], 3), [null, null, 4, 6, 8]);
+    assertSeries(ema([10, 11, 12, 13], 2), [null, 10.5, 10.5 * (1 / 3) + 12 * (2 / 3), (10.5 / 3 + 8) / 3 + 13 * (2 / 3)]);
+});
+
+test('ema: 跳过开头的 null，数据不足时返回空数组', () => {
+    assertSeries(ema([null, null, 2, 4, 6], 3), [null, null, null, null, 4]);
+    assert.deepEqual(ema([null, 1, 2], 3), []);
+    assert.deepEqual(ema([null, null], 1), []);
+    assert.deepEqual(ema([1, 2], 3), []);
+});
+
+test('ema: 与原分析器内联实现在 EMA21/55/144 上结果一致', () => {
+    const prices = randomWalk(500);
+    for (const period of [21, 55, 144]) {
+        assert.deepEqual(ema(prices, period), legacyEMA(prices, period));
+    }
+    assert.deepEqual(ema(prices.slice(0, 100), 144), legacyEMA(prices.slice(0, 100), 144));
+});
+
+test('rsi: Wilder 示例数据的14周期RSI', () => {
+    const closes = [
+        44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28,
+        46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57,
+        43.42, 42.66, 43.13
+    ];
+    const expected = [70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38, 54.71, 50.42,
+        39.99, 41.46, 41.87, 45.46, 37.30, 33.08, 37.77];
+    const result = rsi(closes, 14);
+    assertSeries(result.slice(0, 14), new Array(14).fill(null));
+    // 参考表将第一个平均涨幅/跌幅四舍五入为 0.24/0.10 后再平滑，与精确计算的差异小于 0.1
+    assertSeries(result.slice(14), expected, 1);
+});
+
+test('rsi: 单边行情和平盘的边界值', () => {
+    assert.equal(rsi([1, 2, 3, 4], 3)[3], 100);
+    assert.equal(rsi([4, 3, 2, 1], 3)[3], 0);
+    assert.equal(rsi([5, 5, 5, 5], 3)[3], 50);
+    assert.deepEqual(rsi([1, 2, 3], 3), []);
+});
+
+test('macd: MACD线为快慢EMA之差，信号线为MACD线的EMA', () => {
+    const values = [1, 2, 3, 5, 8, 13, 21, 34];
+    const fast = ema(values, 2);
+    const slow = ema(values, 3);
+    const line = values.map((_, i) => (i < 2 ? null : fast[i] - slow[i]));
+    // 信号线从MACD线第一个有效值起计算
+    const signal = [null, null, ...ema(line.slice(2), 2)];
+
+    const result = macd(values, 2, 3, 2);
+    assertSeries(result.macd, line);
+    assertSeries(result.signal, signal);
+    assertSeries(result.histogram, line.map((value, i) => (value === null || signal[i] === null ? null : value - signal[i])));
+    assert.equal(result.signal[2], null);
+    assert.ok(Math.abs(result.signal[3] - (line[2] + line[3]) / 2) < 1e-12);
+});
+
+test('macd: 数据不足 slow + signal - 1 根时返回空数组', () => {
+    assert.deepEqual(macd(randomWalk(33), 12, 26, 9), { macd: [], signal: [], histogram: [] });
+    const result = macd(randomWalk(34), 12, 26, 9);
+    assert.equal(result.signal.filter(value => value !== null).length, 1);
+    assert.notEqual(result.signal[33], null);
+});
+
+test('bollinger: 中轨为SMA，上下轨为总体标准差的倍数', () => {
+    const result = bollinger([1, 2, 3, 4, 5], 5, 2);
+    assertSeries(result.middle, [null, null, null, null, 3]);
+    assertSeries(result.upper, [null, null, null, null, 3 + 2 * Math.sqrt(2)]);
+    assertSeries(result.lower, [null, null, null, null, 3 - 2 * Math.sqrt(2)]);
+
+    const flat = bollinger([7, 7, 7], 2, 2);
+    assertSeries(flat.upper, [null, 7, 7]);
+    assertSeries(flat.lower, [null, 7, 7]);
+    assert.deepEqual(bollinger([1, 2], 3), { upper: [], middle: [], lower: [] });
+});
+
+test('atr: 真实波幅的Wilder平滑，第一根K线的真实波幅不计入', () => {
+    const candles = [
+        candle(10, 8, 9),
+        candle(11, 9, 10), // TR = 2
+        candle(12, 10, 11), // TR = 2
+        candle(15, 11, 14), // TR = 4
+        candle(14, 9, 10) // TR = max(5, 0, 5) = 5
+    ];
+    // period 2: 种子 (2 + 2) / 2 = 2，之后 (2 * 1 + 4) / 2 = 3，(3 * 1 + 5) / 2 = 4
+    assertSeries(atr(candles, 2), [null, null, 2, 3, 4]);
+    // 跳空时真实波幅取与前收盘价的差
+    assertSeries(atr([candle(10, 9, 10), candle(20, 19, 20)], 1), [null, 10]);
+    assert.deepEqual(atr(candles, 5), []);
+});
+
+test('vwap: 典型价格按成交量加权，累计和滚动两种模式', () => {
+    const candles = [candle(12, 6, 9, 10), candle(21, 15, 18, 20), candle(30, 24, 27, 0), candle(6, 0, 3, 10)];
+    // 典型价格 9, 18, 27, 3
+    assertSeries(vwap(candles), [9, 15, 15, 12]);
+    assertSeries(vwap(candles, 2), [null, 15, 18, 3]);
+    assertSeries(vwap([candle(2, 1, 1.5, 0)]), [null]);
+    assert.deepEqual(vwap(candles, 5), []);
+});
+
+test('calculateSnapshot: 数据不足的指标为 null', () => {
+    const candles = randomWalk(20).map(price => candle(price * 1.01, price * 0.99, price, 1));
+    const snapshot = calculateSnapshot(candles);
+    assert.equal(snapshot.macd, null);
+    assert.equal(snapshot.macdSignal, null);
+    assert.notEqual(snapshot.rsi14, null);
+    assert.notEqual(snapshot.bollingerMiddle, null);
+    assert.notEqual(snapshot.atr14, null);
+    assert.notEqual(snapshot.vwap, null);
+});
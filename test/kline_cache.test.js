@@ -0,0 +1,127 @@
+/**
+ * K线缓存单元测试：新K线与缓存之间的缺口补齐，以及重启后补齐K线上的信号检测
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BSCActiveTokensAnalyzer = require('../bsc_active_tokens_analyzer');
+const { loadConfig } = require('../config');
+const { logger } = require('../logger');
+
+logger.configure({ level: 'error' });
+
+const BAR = 15 * 60 * 1000;
+const TOKEN = { chainIndex: '56', address: '0xabc', symbol: 'ABC' };
+
+/**
+ * 构造不连接外部服务的分析器，K线从 series 末尾截取
+ */
+function createAnalyzer(series, env = {}) {
+    const config = loadConfig({
+        OKX_API_KEY: 'k',
+        OKX_SECRET_KEY: 's',
+        OKX_API_PASSPHRASE: 'p',
+        DISCOVERY_ENABLED: 'false',
+        STATE_BACKEND: 'none',
+        JOURNAL_ENABLED: 'false',
+        NOTIFY_DRY_RUN: 'true',
+        ...env
+    });
+    const analyzer = new BSCActiveTokensAnalyzer('k', 's', 'p', config);
+    analyzer.getKlineData = async (token, limit) => series.slice(-limit);
+    analyzer.reseeded = 0;
+    analyzer.reseedTokenKlineCache = async () => {
+        analyzer.reseeded++;
+        return null;
+    };
+    return analyzer;
+}
+
+/**
+ * 先下跌后上涨的15分钟K线，最后一根收盘于 endTime
+ */
+function createSeries(length, endTime = 400 * BAR) {
+    return Array.from({ length }, (_, i) => {
+        const close = i < 300 ? 2 - i * 0.003 : 1.1 + (i - 300) * 0.03;
+        return { timestamp: endTime - (length - i) * BAR, open: close, high: close, low: close, close, volume: 1, volumeUsd: 1 };
+    });
+}
+
+test('缺口内的K线补齐后并入缓存并记录中间K线的策略状态', async () => {
+    const series = createSeries(310);
+    const analyzer = createAnalyzer(series);
+    const cacheKey = analyzer.getCacheKey(TOKEN, '15m');
+    analyzer.klineCache.set(cacheKey, series.slice(-analyzer.klineCacheSize - 3, -3));
+
+    const updated = await analyzer.updateTokenKlineCache(TOKEN, '15m');
+
+    assert.equal(updated.length, analyzer.klineCacheSize);
+    assert.deepEqual(updated, series.slice(-analyzer.klineCacheSize));
+    assert.equal(analyzer.klineCache.get(cacheKey), updated);
+    for (const candle of series.slice(-3, -1)) {
+        assert.equal(typeof analyzer.emaStatusCache.get(analyzer.getStrategyStatusKey(TOKEN, '15m', candle.timestamp, 'ema_bullish_alignment')), 'boolean');
+    }
+    assert.equal(analyzer.reseeded, 0);
+});
+
+test('没有新K线时不更新缓存', async () => {
+    const series = createSeries(310);
+    const analyzer = createAnalyzer(series);
+    const cached = series.slice(-analyzer.klineCacheSize);
+    analyzer.klineCache.set(analyzer.getCacheKey(TOKEN, '15m'), cached);
+
+    assert.equal(await analyzer.updateTokenKlineCache(TOKEN, '15m'), null);
+    assert.equal(analyzer.klineCache.get(analyzer.getCacheKey(TOKEN, '15m')), cached);
+    assert.equal(analyzer.reseeded, 0);
+});
+
+test('补齐的K线不连续时重新初始化缓存', async () => {
+    const series = createSeries(310);
+    const analyzer = createAnalyzer(series.filter((candle, i) => i !== series.length - 2));
+    analyzer.klineCache.set(analyzer.getCacheKey(TOKEN, '15m'), series.slice(-analyzer.klineCacheSize - 3, -3));
+
+    await analyzer.updateTokenKlineCache(TOKEN, '15m');
+    assert.equal(analyzer.reseeded, 1);
+});
+
+test('缺口超过 maxBackfillBars 时重新初始化缓存', async () => {
+    const series = createSeries(310);
+    const analyzer = createAnalyzer(series);
+    const gap = analyzer.maxBackfillBars + 2;
+    analyzer.klineCache.set(analyzer.getCacheKey(TOKEN, '15m'), series.slice(0, -gap));
+
+    await analyzer.updateTokenKlineCache(TOKEN, '15m');
+    assert.equal(analyzer.reseeded, 1);
+});
+
+/**
+ * 模拟从快照恢复的缓存：缓存停在最新K线之前 missing 根，补齐后检测补齐的K线
+ * 第320根K线上 EMA 进入多头排列，最新一根为第321根且刚刚收盘
+ */
+async function replayBackfill(env = {}, missing = 3) {
+    const series = createSeries(322, Math.floor(Date.now() / BAR) * BAR);
+    const analyzer = createAnalyzer(series, env);
+    const previousKlines = series.slice(-analyzer.klineCacheSize - missing, -missing);
+    analyzer.klineCache.set(analyzer.getCacheKey(TOKEN, '15m'), previousKlines);
+    analyzer.recordStrategyStates(TOKEN, '15m', previousKlines);
+
+    const updatedKlines = await analyzer.updateTokenKlineCache(TOKEN, '15m');
+    const signals = await analyzer.checkBackfilledBars(TOKEN, '15m', previousKlines, updatedKlines);
+    return { analyzer, series, signals };
+}
+
+test('重启后补齐的K线上发生的状态转换会告警', async () => {
+    const { analyzer, series, signals } = await replayBackfill();
+
+    const entered = signals.filter(signal => signal.strategy === 'ema_bullish_alignment');
+    assert.equal(entered.length, 1);
+    assert.equal(entered[0].klineTimestamp, series[320].timestamp);
+    assert.equal(analyzer.emaStatusCache.get(analyzer.getStrategyStatusKey(TOKEN, '15m', series[321].timestamp, 'ema_bullish_alignment')), true);
+});
+
+test('补齐的K线收盘超过 backfillAlertMaxAgeMs 时只记录状态不告警', async () => {
+    const { analyzer, series, signals } = await replayBackfill({ STATE_BACKFILL_ALERT_MAX_AGE_MINUTES: '0' });
+
+    assert.deepEqual(signals, []);
+    assert.equal(analyzer.emaStatusCache.get(analyzer.getStrategyStatusKey(TOKEN, '15m', series[321].timestamp, 'ema_bullish_alignment')), true);
+});
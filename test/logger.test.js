@@ -0,0 +1,44 @@
+/**
+ * 结构化日志单元测试
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger } = require('../logger');
+
+/**
+ * 记录 console.log / console.error 收到的输出
+ */
+function captureConsole(t) {
+    const output = { stdout: [], stderr: [] };
+    t.mock.method(console, 'log', line => output.stdout.push(line));
+    t.mock.method(console, 'error', line => output.stderr.push(line));
+    return output;
+}
+
+test('默认 debug/info 输出到 stdout，warn/error 输出到 stderr', t => {
+    const output = captureConsole(t);
+    const logger = new Logger().child({ module: 'test' });
+    logger.info('信息', { symbol: 'ABC' });
+    logger.warn('警告');
+
+    assert.deepEqual(output.stdout, ['[INFO] [test] 信息 symbol=ABC']);
+    assert.deepEqual(output.stderr, ['[WARN] [test] 警告']);
+});
+
+test('stream 为 stderr 时所有级别都输出到 stderr，不修改 console.log', t => {
+    const output = captureConsole(t);
+    const log = console.log;
+    const root = new Logger();
+    const logger = root.child({ module: 'test' });
+    root.configure({ stream: 'stderr', format: 'json' });
+    logger.info('信息');
+
+    assert.equal(console.log, log);
+    assert.equal(output.stdout.length, 0);
+    assert.equal(JSON.parse(output.stderr[0]).msg, '信息');
+});
+
+test('不支持的输出流抛出错误', () => {
+    assert.throws(() => new Logger().configure({ stream: 'file' }), /不支持的日志输出流 file/);
+});
@@ -0,0 +1,121 @@
+/**
+ * 价格提醒单元测试：穿越检查、收盘价和实时价格分别记录所在一侧、once 规则
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PriceAlertMonitor = require('../price_alerts');
+const { logger } = require('../logger');
+
+logger.configure({ level: 'error' });
+
+const ADDRESS = '0xabc0000000000000000000000000000000000001';
+const TOKEN = { chainIndex: '56', address: ADDRESS, symbol: 'ABC' };
+const BAR = 15 * 60 * 1000;
+
+/**
+ * 在临时目录写入规则文件并创建价格提醒，分析器只提供K线缓存和实时价格
+ */
+function createMonitor(t, rules) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-alerts-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'price_alerts.json');
+    fs.writeFileSync(filePath, JSON.stringify({ rules }));
+
+    const analyzer = {
+        signalTimeframe: '15m',
+        klineCacheSize: 147,
+        klineCache: new Map(),
+        watchlist: new Map(),
+        livePrice: null,
+        getTokenKey: token => `${token.chainIndex}:${token.address}`,
+        getCacheKey: (token, timeframe) => `${token.chainIndex}:${token.address}@${timeframe}`,
+        getTokenPriceInfos: async tokens => new Map(tokens.map(token => [analyzer.getTokenKey(token), { price: String(analyzer.livePrice) }]))
+    };
+    const monitor = new PriceAlertMonitor(analyzer, { filePath });
+    const closes = [];
+
+    /**
+     * 收盘一根新K线并检查
+     */
+    monitor.closeBar = close => {
+        closes.push(close);
+        const klines = closes.map((item, i) => ({ timestamp: i * BAR, open: item, high: item, low: item, close: item }));
+        analyzer.klineCache.set(analyzer.getCacheKey(TOKEN, '15m'), klines);
+        return monitor.checkCandles(TOKEN, '15m');
+    };
+
+    /**
+     * 以给定实时价格检查
+     */
+    monitor.checkLive = async price => {
+        analyzer.livePrice = price;
+        return await monitor.checkLivePrices();
+    };
+    return monitor;
+}
+
+test('收盘价穿越阈值时触发，首次检查和停留在同一侧时不触发', t => {
+    const monitor = createMonitor(t, [{ id: 'abc_cross', address: ADDRESS, type: 'cross', price: 1 }]);
+    monitor.closeBar(0.8);
+
+    assert.deepEqual(monitor.closeBar(0.9), []);
+    const [signal] = monitor.closeBar(1.1);
+    assert.equal(signal.type, 'price_up');
+    assert.equal(signal.alertKey, 'price_alert:abc_cross');
+    assert.equal(signal.signalReason, 'abc_cross: 价格上穿 1');
+    assert.deepEqual(monitor.closeBar(1.2), []);
+    assert.equal(monitor.closeBar(0.9)[0].type, 'price_down');
+});
+
+test('只检查 direction 指定方向的穿越', t => {
+    const monitor = createMonitor(t, [{ id: 'abc_up', address: ADDRESS, type: 'cross', price: 1, direction: 'up' }]);
+    monitor.closeBar(1.1);
+
+    assert.deepEqual(monitor.closeBar(0.9), []);
+    assert.equal(monitor.closeBar(1.1).length, 1);
+});
+
+test('收盘价和实时价格位于阈值两侧时不会反复触发', async t => {
+    const monitor = createMonitor(t, [{ id: 'abc_cross', address: ADDRESS, type: 'cross', price: 1 }]);
+    monitor.closeBar(0.8);
+    monitor.closeBar(0.9);
+    assert.deepEqual(await monitor.checkLive(1.1), []);
+
+    assert.deepEqual(monitor.closeBar(0.9), []);
+    assert.deepEqual(await monitor.checkLive(1.1), []);
+    assert.deepEqual(monitor.getState(monitor.rules[0]).sides, { close: 'below', live: 'above' });
+
+    const [signal] = await monitor.checkLive(0.95);
+    assert.equal(signal.type, 'price_down');
+    assert.equal(signal.signalReason, 'abc_cross: 价格下穿 1（实时价格）');
+});
+
+test('once 规则实际发送后才停止检查', t => {
+    const monitor = createMonitor(t, [{ id: 'abc_once', address: ADDRESS, type: 'cross', price: 1, once: true }]);
+    monitor.closeBar(0.9);
+    monitor.closeBar(1.1);
+
+    // 被冷却等拦截时没有调用 recordSent，规则继续检查
+    const [signal] = monitor.closeBar(0.9);
+    assert.ok(signal);
+    monitor.recordSent(signal);
+
+    assert.deepEqual(monitor.getActiveRules(TOKEN), []);
+    assert.deepEqual(monitor.closeBar(1.1), []);
+});
+
+test('从快照恢复规则状态时丢弃已删除的规则', t => {
+    const monitor = createMonitor(t, [{ id: 'abc_cross', address: ADDRESS, type: 'cross', price: 1 }]);
+    monitor.restore([
+        ['abc_cross', { sides: { close: 'above', live: null }, lastBarTimestamp: 0, fired: false }],
+        ['removed', { sides: { close: 'below', live: null }, lastBarTimestamp: 0, fired: false }]
+    ]);
+
+    assert.deepEqual(Array.from(monitor.ruleStates.keys()), ['abc_cross']);
+    monitor.closeBar(1.1);
+    assert.equal(monitor.closeBar(0.9)[0].type, 'price_down');
+});
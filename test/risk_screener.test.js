@@ -0,0 +1,132 @@
+/**
+ * 风险筛查单元测试
+ * OKX响应样例（fixtures/okx_advanced_info.json）按 advanced-info 接口文档中的字段名构造，不是线上录制的响应
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RiskScreener, normalizeRiskData } = require('../risk_screener');
+const { TelegramNotifier } = require('../notifiers');
+const advancedInfo = require('./fixtures/okx_advanced_info.json');
+
+const RISKY = { chainIndex: '56', address: '0x0000000000000000000000000000000000001111', symbol: 'RISKY' };
+const CLEAN = { chainIndex: '56', address: '0x0000000000000000000000000000000000002222', symbol: 'CLEAN' };
+
+/**
+ * 构造只提供风险筛查所需接口的分析器，OKX请求按代币返回样例数据
+ */
+function createAnalyzer() {
+    const responses = new Map([[RISKY.address, advancedInfo.risky], [CLEAN.address, advancedInfo.clean]]);
+    const getTokenKey = token => `${token.chainIndex}:${token.address}`;
+    return {
+        scanConcurrency: 2,
+        getTokenKey,
+        getTokenPriceInfos: async tokens => new Map(tokens.map(token => [
+            getTokenKey(token),
+            { liquidity: token === RISKY ? '12000' : '640000' }
+        ])),
+        okx: {
+            get: async (endpoint, params) => {
+                assert.equal(endpoint, '/api/v5/dex/market/token/advanced-info');
+                return responses.get(params.tokenContractAddress);
+            }
+        }
+    };
+}
+
+test('normalizeRiskData 从 tokenTags 识别貔貅盘，解析百分比字段', () => {
+    const data = normalizeRiskData(advancedInfo.risky[0]);
+    assert.equal(data.isHoneypot, true);
+    assert.equal(data.top10HolderPct, 62.5);
+    assert.equal(data.buyTaxPct, null);
+    assert.equal(normalizeRiskData(advancedInfo.clean[0]).isHoneypot, false);
+});
+
+test('okx 数据源映射 tokenTags、top10HoldPercent 和价格接口的 liquidity', async () => {
+    const screener = new RiskScreener(createAnalyzer(), { provider: 'okx' });
+    const riskData = await screener.provider.fetch([RISKY, CLEAN]);
+
+    assert.deepEqual(riskData.get(`56:${RISKY.address}`), {
+        isHoneypot: true,
+        buyTaxPct: null,
+        sellTaxPct: null,
+        ownershipRenounced: null,
+        liquidityUsd: 12000,
+        top10HolderPct: 62.5,
+        fetchFailed: false
+    });
+    assert.equal(riskData.get(`56:${CLEAN.address}`).liquidityUsd, 640000);
+});
+
+test('okx 数据源不提供的税率和所有权检查标记为不支持，不会显示为通过', async () => {
+    const screener = new RiskScreener(createAnalyzer(), { provider: 'okx', blockUnknown: true });
+    const reports = await screener.screen([RISKY, CLEAN]);
+
+    const risky = reports.get(`56:${RISKY.address}`);
+    assert.deepEqual(risky.checks.map(item => [item.id, item.status]), [
+        ['honeypot', 'fail'],
+        ['buy_tax', 'unsupported'],
+        ['sell_tax', 'unsupported'],
+        ['liquidity', 'fail'],
+        ['top10_holders', 'fail'],
+        ['ownership', 'unsupported']
+    ]);
+    assert.equal(risky.flagged, true);
+    assert.equal(risky.issues.length, 3);
+
+    // 不支持的检查项不按 blockUnknown 拦截，但结论为 unknown 而不是 low
+    const clean = reports.get(`56:${CLEAN.address}`);
+    assert.equal(clean.flagged, false);
+    assert.equal(clean.level, 'unknown');
+});
+
+test('Telegram 告警中显示不支持的检查项', async () => {
+    const screener = new RiskScreener(createAnalyzer(), { provider: 'okx' });
+    const reports = await screener.screen([CLEAN]);
+    const message = new TelegramNotifier({}).formatSignal({
+        ...CLEAN,
+        type: 'bullish',
+        signalReason: '测试',
+        currentPrice: 1,
+        timestamp: '2024-01-01T00:00:00.000Z',
+        klineTimestamp: 0,
+        risk: reports.get(`56:${CLEAN.address}`)
+    });
+
+    assert.match(message, /部分检查项数据源不支持/);
+    assert.match(message, /➖ 买入税: 数据源 okx 不支持/);
+    assert.match(message, /➖ 卖出税: 数据源 okx 不支持/);
+    assert.match(message, /➖ 所有权: 数据源 okx 不支持/);
+});
+
+test('安全信息查询失败的报告不缓存，下一轮重新查询', async () => {
+    const analyzer = createAnalyzer();
+    let calls = 0;
+    const get = analyzer.okx.get;
+    analyzer.okx.get = async (endpoint, params) => {
+        calls++;
+        if (calls === 1) {
+            throw new Error('timeout');
+        }
+        return get(endpoint, params);
+    };
+    const screener = new RiskScreener(analyzer, { provider: 'okx' });
+
+    const first = (await screener.screen([RISKY])).get(`56:${RISKY.address}`);
+    assert.equal(first.checks.find(item => item.id === 'honeypot').status, 'unknown');
+    assert.equal(screener.cache.size, 0);
+
+    const second = (await screener.screen([RISKY])).get(`56:${RISKY.address}`);
+    assert.equal(calls, 2);
+    assert.equal(second.checks.find(item => item.id === 'honeypot').status, 'fail');
+    assert.equal(screener.cache.size, 1);
+});
+
+test('mock 数据源支持全部检查项，包括税率和所有权', () => {
+    const screener = new RiskScreener(createAnalyzer(), { provider: 'mock' });
+    const report = screener.evaluate(normalizeRiskData({ isHoneypot: false, buyTax: '3', sellTax: '25', ownershipRenounced: false }));
+
+    assert.deepEqual(report.checks.map(item => item.id), ['honeypot', 'buy_tax', 'sell_tax', 'liquidity', 'top10_holders', 'ownership']);
+    assert.deepEqual(report.checks.filter(item => item.status === 'fail').map(item => item.id), ['sell_tax', 'ownership']);
+    assert.equal(report.level, 'high');
+});
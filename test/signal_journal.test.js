@@ -0,0 +1,120 @@
+/**
+ * 信号日志单元测试：日志文件加载和告警后表现补齐
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SignalJournal = require('../signal_journal');
+
+const HOUR = 60 * 60 * 1000;
+const BAR = 15 * 60 * 1000;
+
+const SIGNAL = {
+    symbol: 'ABC',
+    address: '0xabc',
+    chainIndex: '56',
+    strategy: 'ema_bullish_alignment',
+    type: 'bullish',
+    timeframe: '15m',
+    currentPrice: 1,
+    klineTimestamp: 0,
+    timestamp: '2024-01-01T00:15:00.000Z'
+};
+
+/**
+ * 在临时目录中创建信号日志
+ */
+function createJournal(t, analyzer = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'signal_journal.json');
+    return { dir, filePath, journal: new SignalJournal({ signalTimeframe: '15m', ...analyzer }, { filePath, summaryIntervalHours: 0 }) };
+}
+
+test('日志文件损坏时移到备份文件，不覆盖原有内容', async t => {
+    const { dir, filePath, journal } = createJournal(t);
+    fs.writeFileSync(filePath, '{"entries": [{"symbol": "OLD"');
+
+    await journal.load();
+    await journal.record(SIGNAL);
+
+    const backups = fs.readdirSync(dir).filter(name => name.startsWith('signal_journal.json.corrupt-'));
+    assert.equal(backups.length, 1);
+    assert.equal(fs.readFileSync(path.join(dir, backups[0]), 'utf8'), '{"entries": [{"symbol": "OLD"');
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).entries.map(entry => entry.symbol), ['ABC']);
+});
+
+test('损坏的日志文件无法移走时不写入', async t => {
+    const { filePath, journal } = createJournal(t);
+    fs.writeFileSync(filePath, 'not json');
+    t.mock.method(fs.promises, 'rename', async () => {
+        throw Object.assign(new Error('EBUSY'), { code: 'EBUSY' });
+    });
+
+    await journal.load();
+    assert.equal(journal.loaded, false);
+    await journal.record(SIGNAL);
+    await journal.save();
+
+    assert.equal(fs.readFileSync(filePath, 'utf8'), 'not json');
+});
+
+test('日志文件不存在时从空日志开始', async t => {
+    const { filePath, journal } = createJournal(t);
+    await journal.record(SIGNAL);
+    assert.equal(journal.loaded, true);
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).entries.length, 1);
+});
+
+/**
+ * 只提供K线的分析器：cached 为缓存中的K线，fetched 为缓存中没有时拉取到的K线
+ */
+function createAnalyzer({ cached = null, fetched = [] } = {}) {
+    const getCacheKey = (token, timeframe) => `${token.chainIndex}:${token.address}@${timeframe}`;
+    const klineCache = new Map(cached ? [[getCacheKey(SIGNAL, '15m'), cached]] : []);
+    return { getCacheKey, klineCache, klineCacheSize: 147, getKlineData: async () => fetched };
+}
+
+/**
+ * 从 from 开始的 count 根15分钟K线，收盘价每根上涨 0.01
+ */
+function createCandles(from, count) {
+    return Array.from({ length: count }, (_, i) => ({ timestamp: from + i * BAR, close: 1 + (from / BAR + i) * 0.01 }));
+}
+
+test('只补齐已收盘的观察时间点，价格取目标时间之后第一根K线', async t => {
+    const { journal } = createJournal(t, createAnalyzer({ cached: createCandles(0, 9) }));
+    await journal.record(SIGNAL);
+
+    assert.equal(await journal.fillOutcomes(2 * HOUR), 1);
+    const [entry] = journal.entries;
+    assert.equal(entry.outcomes['1h'].klineTimestamp, HOUR);
+    assert.equal(entry.outcomes['1h'].price, 1.04);
+    assert.ok(Math.abs(entry.outcomes['1h'].changePct - 4) < 1e-9);
+    assert.equal(entry.outcomes['4h'], null);
+    assert.equal(entry.outcomes['24h'], null);
+});
+
+test('观察时间点早于最早可获取的K线时记为 missing', async t => {
+    const { journal } = createJournal(t, createAnalyzer({ fetched: createCandles(2 * HOUR, 20) }));
+    await journal.record(SIGNAL);
+
+    assert.equal(await journal.fillOutcomes(5 * HOUR), 1);
+    assert.deepEqual(journal.entries[0].outcomes['1h'], { missing: true });
+    assert.equal(journal.entries[0].outcomes['4h'].klineTimestamp, 4 * HOUR);
+});
+
+test('获取不到K线时保留待补齐，超过宽限期后记为 missing', async t => {
+    const { filePath, journal } = createJournal(t, createAnalyzer());
+    await journal.record(SIGNAL);
+
+    assert.equal(await journal.fillOutcomes(25 * HOUR), 0);
+    assert.deepEqual(journal.entries[0].outcomes, { '1h': null, '4h': null, '24h': null });
+
+    assert.equal(await journal.fillOutcomes(24 * HOUR + BAR + 6 * HOUR), 0);
+    assert.deepEqual(journal.entries[0].outcomes, { '1h': { missing: true }, '4h': { missing: true }, '24h': { missing: true } });
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).entries[0].outcomes['24h'], { missing: true });
+});
@@ -0,0 +1,43 @@
+/**
+ * 命名信号规则单元测试
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateEMATrend, evaluateRule, DEFAULT_PARAMS } = require('../signal_rules');
+const { StrategyEngine } = require('../strategy_engine');
+
+// 先下跌后上涨，快线在上涨段穿越中线
+const closes = Array.from({ length: 120 }, (_, i) => (i < 80 ? 2 - i * 0.01 : 1.2 + (i - 80) * 0.03));
+const candles = closes.map((close, i) => ({ timestamp: i * 900000, open: close, high: close, low: close, close }));
+const PARAMS = { ...DEFAULT_PARAMS, fast: 5, mid: 10, slow: 30 };
+
+test('趋势明细按快/中/慢线命名并记录周期', () => {
+    const trend = calculateEMATrend(candles, PARAMS);
+    assert.deepEqual(Object.keys(trend.values), ['ema5', 'ema10', 'ema30']);
+    assert.deepEqual(trend.details.periods, { fast: 5, mid: 10, slow: 30 });
+    assert.deepEqual(Object.keys(trend.details).sort(), [
+        'bullish', 'fastMidGapPct', 'fastRising', 'midRising', 'midSlowGapPct',
+        'periods', 'priceAboveFast', 'priceAboveMid', 'recentBullishCount', 'slowRising'
+    ]);
+    assert.ok(trend.details.fastRising && trend.details.priceAboveFast);
+    assert.ok(Math.abs(trend.details.fastMidGapPct - (trend.values.ema5 - trend.values.ema10) / trend.values.ema10 * 100) < 1e-9);
+});
+
+test('K线不足时返回 null', () => {
+    assert.equal(calculateEMATrend(candles.slice(0, 32), PARAMS), null);
+    assert.equal(evaluateRule('ema_golden_cross', candles.slice(0, 32), PARAMS), null);
+});
+
+test('金叉规则的默认信号原因使用配置的周期', () => {
+    const engine = new StrategyEngine([{ name: 'cross', rule: 'ema_golden_cross', params: { fast: 5, mid: 10, slow: 30 } }], {});
+    assert.equal(engine.getStrategy('cross').signals.enter.reason, 'EMA5向上穿越EMA10(金叉)');
+
+    // 金叉只在穿越当根成立
+    const states = [];
+    for (let i = 40; i < candles.length; i++) {
+        states.push(engine.evaluate(engine.getStrategy('cross'), candles.slice(0, i + 1)).state);
+    }
+    assert.ok(states.filter(Boolean).length >= 1);
+    assert.ok(states.filter(Boolean).length < 3);
+});
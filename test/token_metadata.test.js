@@ -0,0 +1,112 @@
+/**
+ * 代币元数据服务单元测试：来源回退、缓存有效期和失败重试间隔
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TokenMetadataService } = require('../token_metadata');
+const { logger } = require('../logger');
+
+logger.configure({ level: 'error' });
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse('2024-01-01T00:00:00Z');
+const ADDRESS = '0xabc0000000000000000000000000000000000001';
+const OTHER_ADDRESS = '0xdef0000000000000000000000000000000000002';
+
+/**
+ * 在临时目录中创建元数据服务，OKX接口和代币列表由 sources 提供，并记录调用次数
+ */
+function createService(t, sources = {}, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const calls = { basicInfo: 0, tokenList: 0, chain: 0 };
+    const analyzer = {
+        scanConcurrency: 2,
+        getTokenKey: token => `${token.chainIndex}:${token.address}`,
+        okx: {
+            post: async (endpoint, body) => {
+                calls.basicInfo++;
+                return (sources.basicInfo || (() => []))(body);
+            }
+        },
+        getTokenFromList: async token => {
+            calls.tokenList++;
+            return sources.tokenList ? sources.tokenList(token) : null;
+        }
+    };
+    const filePath = path.join(dir, 'token_metadata.json');
+    const service = new TokenMetadataService(analyzer, { filePath, ttlHours: 24, missRetryMinutes: 60, ...options });
+    service.fetchFromChain = async () => {
+        calls.chain++;
+        return null;
+    };
+    return { service, calls, filePath, analyzer };
+}
+
+const basicInfo = body => body
+    .filter(item => item.tokenContractAddress === ADDRESS)
+    .map(item => ({ chainIndex: item.chainIndex, tokenContractAddress: item.tokenContractAddress, tokenSymbol: 'ABC', tokenName: 'Abc Token', decimal: '18' }));
+
+test('解析结果写回代币符号并缓存，有效期内不再查询', async t => {
+    const { service, calls, filePath, analyzer } = createService(t, { basicInfo });
+    const token = { chainIndex: '56', address: ADDRESS, symbol: 'TOKEN_0001' };
+
+    const results = await service.resolve([token], NOW);
+    assert.equal(token.symbol, 'ABC');
+    assert.deepEqual(results.get(`56:${ADDRESS}`), { symbol: 'ABC', name: 'Abc Token', decimals: 18, logoUrl: null, source: 'okx', resolvedAt: NOW });
+
+    const again = { chainIndex: '56', address: ADDRESS, symbol: 'TOKEN_0001' };
+    await service.resolve([again], NOW + 23 * HOUR);
+    assert.equal(again.symbol, 'ABC');
+    assert.equal(calls.basicInfo, 1);
+
+    const reloaded = new TokenMetadataService(analyzer, { filePath });
+    await reloaded.load();
+    assert.equal(reloaded.get(token).symbol, 'ABC');
+});
+
+test('基础信息接口没有返回的代币依次回退到代币列表和链上读取', async t => {
+    const { service, calls } = createService(t, {
+        basicInfo,
+        tokenList: token => token.address === OTHER_ADDRESS ? { symbol: 'DEF', name: 'DEF', decimals: 9, logoUrl: null, source: 'okx_list' } : null
+    });
+    const tokens = [
+        { chainIndex: '56', address: ADDRESS, symbol: 'TOKEN_0001' },
+        { chainIndex: '56', address: OTHER_ADDRESS, symbol: 'TOKEN_0002' }
+    ];
+
+    await service.resolve(tokens, NOW);
+    assert.deepEqual(tokens.map(token => token.symbol), ['ABC', 'DEF']);
+    assert.deepEqual(calls, { basicInfo: 1, tokenList: 1, chain: 0 });
+});
+
+test('所有来源都失败的代币在 missRetryMinutes 内不重复查询', async t => {
+    const { service, calls } = createService(t);
+    const token = { chainIndex: '56', address: ADDRESS, symbol: 'TOKEN_0001' };
+
+    assert.equal((await service.resolve([token], NOW)).size, 0);
+    assert.deepEqual(calls, { basicInfo: 1, tokenList: 1, chain: 1 });
+    assert.equal(token.symbol, 'TOKEN_0001');
+
+    await service.resolve([token], NOW + 59 * 60 * 1000);
+    assert.equal(calls.basicInfo, 1);
+    await service.resolve([token], NOW + HOUR);
+    assert.equal(calls.basicInfo, 2);
+});
+
+test('过期的缓存重新解析失败时继续使用原有元数据', async t => {
+    let available = true;
+    const { service, calls } = createService(t, { basicInfo: body => available ? basicInfo(body) : [] });
+    await service.resolve([{ chainIndex: '56', address: ADDRESS, symbol: 'TOKEN_0001' }], NOW);
+
+    available = false;
+    const token = { chainIndex: '56', address: ADDRESS, symbol: 'TOKEN_0001' };
+    await service.resolve([token], NOW + 25 * HOUR);
+    assert.equal(calls.basicInfo, 2);
+    assert.equal(token.symbol, 'ABC');
+    assert.equal(service.entries.get(`56:${ADDRESS}`).resolvedAt, NOW);
+});
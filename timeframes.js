@@ -0,0 +1,55 @@
+/**
+ * K线周期
+ * OKX K线以开盘时间作为时间戳；日线按东八区对齐，这里只支持与UTC对齐一致的周期
+ */
+
+const BAR_INTERVALS = {
+    '1m': 60 * 1000,
+    '3m': 3 * 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '30m': 30 * 60 * 1000,
+    '1H': 60 * 60 * 1000,
+    '2H': 2 * 60 * 60 * 1000,
+    '4H': 4 * 60 * 60 * 1000
+};
+
+/**
+ * 是否为支持的K线周期
+ */
+function isSupportedTimeframe(timeframe) {
+    return Object.prototype.hasOwnProperty.call(BAR_INTERVALS, timeframe);
+}
+
+/**
+ * 获取K线周期的毫秒数
+ */
+function getBarInterval(timeframe) {
+    if (!isSupportedTimeframe(timeframe)) {
+        throw new Error(`不支持的K线周期: ${timeframe}`);
+    }
+    return BAR_INTERVALS[timeframe];
+}
+
+/**
+ * 获取指定时间点最近一根已收盘K线的开盘时间戳
+ */
+function getLatestClosedBarTimestamp(timeframe, now = Date.now()) {
+    const interval = getBarInterval(timeframe);
+    return Math.floor(now / interval) * interval - interval;
+}
+
+/**
+ * 按周期从长到短排序
+ */
+function sortTimeframesDescending(timeframes) {
+    return [...timeframes].sort((a, b) => getBarInterval(b) - getBarInterval(a));
+}
+
+module.exports = {
+    BAR_INTERVALS,
+    isSupportedTimeframe,
+    getBarInterval,
+    getLatestClosedBarTimestamp,
+    sortTimeframesDescending
+};
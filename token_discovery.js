@@ -0,0 +1,160 @@
+/**
+ * 候选代币发现
+ * 定时从OKX DEX代币排行榜拉取数据，按配置的规则筛选候选代币，并同步到分析器的监控列表
+ */
+
+const { normalizeAddress } = require('./chains');
+const logger = require('./logger').logger.child({ module: 'discovery' });
+
+class TokenDiscovery {
+    constructor(analyzer, options = {}) {
+        this.analyzer = analyzer;
+        this.options = {
+            enabled: true,
+            intervalMinutes: 60,
+            maxTokens: 100,
+            sortBy: '5',
+            timeFrame: '4',
+            minVolume24h: 0,
+            minLiquidity: 0,
+            minHolders: 0,
+            maxAgeHours: 0,
+            ...options
+        };
+        this.timer = null;
+        this.refreshing = false;
+        this.lastRefreshAt = null;
+    }
+
+    /**
+     * 从代币排行榜获取原始候选数据
+     */
+    async fetchToplist() {
+        try {
+            const data = await this.analyzer.okx.get('/api/v5/dex/market/token/toplist', {
+                chains: this.analyzer.chains.map(chain => chain.chainIndex).join(','),
+                sortBy: String(this.options.sortBy),
+                timeFrame: String(this.options.timeFrame)
+            });
+            return Array.isArray(data) ? data : null;
+        } catch (error) {
+            logger.error('获取代币排行榜失败', { error });
+            return null;
+        }
+    }
+
+    /**
+     * 按配置规则筛选候选代币，每条链最多保留 maxTokens 个
+     */
+    filterCandidates(list, now = Date.now()) {
+        const { minVolume24h, minLiquidity, minHolders, maxAgeHours, maxTokens } = this.options;
+        const chainIndexes = new Set(this.analyzer.chains.map(chain => chain.chainIndex));
+        const countByChain = new Map();
+
+        return list
+            .filter(item => item.tokenContractAddress && chainIndexes.has(String(item.chainIndex)))
+            .filter(item => parseFloat(item.volume || 0) >= minVolume24h)
+            .filter(item => parseFloat(item.liquidity || 0) >= minLiquidity)
+            .filter(item => parseFloat(item.holders || 0) >= minHolders)
+            .filter(item => {
+                if (!maxAgeHours) return true;
+                const firstTradeTime = parseInt(item.firstTradeTime);
+                if (!firstTradeTime) return false;
+                return now - firstTradeTime <= maxAgeHours * 60 * 60 * 1000;
+            })
+            .filter(item => {
+                const chainIndex = String(item.chainIndex);
+                const count = countByChain.get(chainIndex) || 0;
+                countByChain.set(chainIndex, count + 1);
+                return count < maxTokens;
+            })
+            .map(item => ({
+                chainIndex: String(item.chainIndex),
+                symbol: item.tokenSymbol || `TOKEN_${item.tokenContractAddress.slice(-4).toUpperCase()}`,
+                address: normalizeAddress(String(item.chainIndex), item.tokenContractAddress),
+                source: 'discovery'
+            }));
+    }
+
+    /**
+     * 刷新候选列表：新增的代币走初始化流程，落选的代币从监控列表和缓存中移除
+     */
+    async refresh() {
+        if (this.refreshing) {
+            logger.info('候选代币刷新仍在进行中，跳过本次刷新');
+            return null;
+        }
+
+        this.refreshing = true;
+        try {
+            logger.info('🔎 开始刷新候选代币列表...');
+            const list = await this.fetchToplist();
+            if (!list) {
+                logger.warn('候选代币刷新失败，保留当前监控列表');
+                return null;
+            }
+
+            const candidates = this.filterCandidates(list);
+            if (candidates.length === 0) {
+                logger.info(`排行榜返回 ${list.length} 个代币，均未通过筛选规则，保留当前监控列表`);
+                return null;
+            }
+
+            const candidateKeys = new Set(candidates.map(token => this.analyzer.getTokenKey(token)));
+            const added = candidates.filter(token => !this.analyzer.watchlist.has(this.analyzer.getTokenKey(token)));
+            const removed = this.analyzer.getWatchedTokens().filter(token =>
+                ['discovery', 'builtin'].includes(token.source) && !candidateKeys.has(this.analyzer.getTokenKey(token))
+            );
+
+            for (const token of removed) {
+                this.analyzer.removeWatchedToken(token);
+            }
+            // 先批量解析新增代币的元数据，逐个添加时直接命中缓存
+            await this.analyzer.metadata.resolve(added);
+            for (const token of added) {
+                await this.analyzer.addWatchedToken(token);
+            }
+
+            this.lastRefreshAt = new Date();
+            logger.info(`✅ 候选代币刷新完成: 排行榜 ${list.length} 个，通过筛选 ${candidates.length} 个，新增 ${added.length} 个，移除 ${removed.length} 个`);
+            if (added.length > 0) {
+                logger.info(`候选代币新增: ${added.map(token => `${token.symbol}(${token.chainIndex}:${token.address})`).join(', ')}`);
+            }
+            if (removed.length > 0) {
+                logger.info(`候选代币移除: ${removed.map(token => `${token.symbol}(${token.chainIndex}:${token.address})`).join(', ')}`);
+            }
+
+            return { added, removed };
+        } finally {
+            this.refreshing = false;
+        }
+    }
+
+    /**
+     * 启动定时刷新
+     */
+    start() {
+        if (!this.options.enabled || this.timer) {
+            return;
+        }
+
+        logger.info(`🕐 启动候选代币定时刷新：每${this.options.intervalMinutes}分钟一次`);
+        this.timer = setInterval(() => {
+            this.refresh().catch(error => {
+                logger.error('候选代币刷新出错', { error });
+            });
+        }, this.options.intervalMinutes * 60 * 1000);
+    }
+
+    /**
+     * 停止定时刷新
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = TokenDiscovery;
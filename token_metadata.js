@@ -0,0 +1,252 @@
+/**
+ * 代币元数据服务
+ * 为监控列表中的每个地址解析符号、名称、精度和图标，依次尝试：
+ *   1. OKX 代币基础信息接口（批量查询）
+ *   2. OKX 代币列表接口（逐个查询）
+ *   3. 链上读取ERC-20合约的 symbol() / name() / decimals()（仅EVM链）
+ * 结果写入本地文件持久化，过期（ttlHours）后重新解析；解析成功后直接更新代币对象的 symbol，
+ * 之后所有日志和告警都使用真实符号
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { getChain, normalizeAddress } = require('./chains');
+const { runWithConcurrency } = require('./worker_pool');
+const logger = require('./logger').logger.child({ module: 'metadata' });
+
+const BASIC_INFO_ENDPOINT = '/api/v5/dex/market/token/basic-info';
+
+// ERC-20 方法选择器
+const ERC20_SELECTORS = {
+    symbol: '0x95d89b41',
+    name: '0x06fdde03',
+    decimals: '0x313ce567'
+};
+
+/**
+ * 解码 eth_call 返回的字符串：标准ABI动态字符串，或部分老合约使用的 bytes32
+ */
+function decodeAbiString(hex) {
+    const data = String(hex || '').replace(/^0x/, '');
+    if (data.length < 64) {
+        return null;
+    }
+
+    let text;
+    if (data.length >= 128 && parseInt(data.slice(0, 64), 16) === 32) {
+        const length = parseInt(data.slice(64, 128), 16);
+        text = Buffer.from(data.slice(128, 128 + length * 2), 'hex').toString('utf8');
+    } else {
+        text = Buffer.from(data.slice(0, 64), 'hex').toString('utf8');
+    }
+    text = text.replace(/\0/g, '').trim();
+    return text || null;
+}
+
+/**
+ * 解码 eth_call 返回的整数
+ */
+function decodeAbiUint(hex) {
+    const data = String(hex || '').replace(/^0x/, '');
+    if (data.length === 0) {
+        return null;
+    }
+    const value = parseInt(data.slice(-64), 16);
+    return Number.isFinite(value) ? value : null;
+}
+
+class TokenMetadataService {
+    constructor(analyzer, options = {}) {
+        this.analyzer = analyzer;
+        this.options = {
+            filePath: 'data/token_metadata.json',
+            ttlHours: 168,
+            missRetryMinutes: 60, // 所有来源都解析失败的地址，多久之后再重试
+            batchSize: 20,
+            rpcUrls: {}, // 链名称 -> RPC节点，覆盖 chains.js 中的默认节点
+            rpcTimeoutMs: 10000,
+            ...options
+        };
+        this.entries = new Map(); // 链:地址 -> { symbol, name, decimals, logoUrl, source, resolvedAt }
+    }
+
+    /**
+     * 从缓存文件加载元数据
+     */
+    async load() {
+        try {
+            const content = await fs.promises.readFile(this.options.filePath, 'utf8');
+            this.entries = new Map(JSON.parse(content).entries || []);
+            logger.info(`🏷️ 已加载 ${this.entries.size} 个代币的元数据缓存`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`读取代币元数据缓存 ${this.options.filePath} 失败`, { error });
+            }
+        }
+    }
+
+    /**
+     * 写入缓存文件（先写临时文件再重命名）
+     */
+    async save() {
+        try {
+            const tmpPath = `${this.options.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.options.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, JSON.stringify({ entries: Array.from(this.entries.entries()) }));
+            await fs.promises.rename(tmpPath, this.options.filePath);
+        } catch (error) {
+            logger.error('保存代币元数据缓存失败', { error });
+        }
+    }
+
+    /**
+     * 获取已解析的元数据（包括已过期的），未解析成功时返回 null
+     */
+    get(token) {
+        const entry = this.entries.get(this.analyzer.getTokenKey(token));
+        return entry && entry.symbol ? entry : null;
+    }
+
+    /**
+     * 缓存项是否仍然有效
+     */
+    isFresh(entry, now) {
+        if (!entry) {
+            return false;
+        }
+        const maxAge = entry.symbol ? this.options.ttlHours * 60 * 60 * 1000 : this.options.missRetryMinutes * 60 * 1000;
+        return now - entry.resolvedAt < maxAge;
+    }
+
+    /**
+     * 解析一批代币的元数据并把真实符号写回代币对象，返回 Map：链:地址 -> 元数据
+     * 只查询缓存中缺失或已过期的代币，查询失败时继续使用过期的缓存
+     */
+    async resolve(tokens, now = Date.now()) {
+        const pending = new Map();
+        for (const token of tokens) {
+            const tokenKey = this.analyzer.getTokenKey(token);
+            if (!this.isFresh(this.entries.get(tokenKey), now)) {
+                pending.set(tokenKey, token);
+            }
+        }
+
+        if (pending.size > 0) {
+            logger.debug(`🏷️ 解析 ${pending.size} 个代币的元数据...`);
+            const resolved = await this.fetchBasicInfo(Array.from(pending.values()));
+
+            const missing = Array.from(pending.values()).filter(token => !resolved.has(this.analyzer.getTokenKey(token)));
+            await runWithConcurrency(missing, this.analyzer.scanConcurrency, async token => {
+                const metadata = await this.analyzer.getTokenFromList(token) || await this.fetchFromChain(token);
+                if (metadata) {
+                    resolved.set(this.analyzer.getTokenKey(token), metadata);
+                }
+            });
+
+            let failed = 0;
+            for (const [tokenKey, token] of pending) {
+                const metadata = resolved.get(tokenKey);
+                if (metadata) {
+                    this.entries.set(tokenKey, { ...metadata, resolvedAt: now });
+                } else if (!this.get(token)) {
+                    // 记录失败时间，missRetryMinutes 内不再重复查询
+                    this.entries.set(tokenKey, { symbol: null, resolvedAt: now });
+                    failed++;
+                }
+            }
+            logger.info(`🏷️ 元数据解析完成: 成功 ${resolved.size} 个，失败 ${failed} 个`);
+            await this.save();
+        }
+
+        const results = new Map();
+        for (const token of tokens) {
+            const metadata = this.get(token);
+            if (metadata) {
+                token.symbol = metadata.symbol;
+                results.set(this.analyzer.getTokenKey(token), metadata);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * 通过OKX代币基础信息接口批量查询，返回 Map：链:地址 -> 元数据
+     */
+    async fetchBasicInfo(tokens) {
+        const results = new Map();
+        for (let i = 0; i < tokens.length; i += this.options.batchSize) {
+            const batch = tokens.slice(i, i + this.options.batchSize);
+            let data;
+            try {
+                data = await this.analyzer.okx.post(BASIC_INFO_ENDPOINT, batch.map(token => ({
+                    chainIndex: token.chainIndex,
+                    tokenContractAddress: normalizeAddress(token.chainIndex, token.address)
+                })));
+            } catch (error) {
+                logger.error(`批量获取代币基础信息失败 (${batch.length} 个代币)`, { error });
+                continue;
+            }
+
+            for (const item of data || []) {
+                if (!item.tokenSymbol) {
+                    continue;
+                }
+                const chainIndex = String(item.chainIndex);
+                results.set(this.analyzer.getTokenKey({ chainIndex, address: normalizeAddress(chainIndex, item.tokenContractAddress) }), {
+                    symbol: item.tokenSymbol,
+                    name: item.tokenName || item.tokenSymbol,
+                    decimals: item.decimal !== undefined ? parseInt(item.decimal) : null,
+                    logoUrl: item.tokenLogoUrl || null,
+                    source: 'okx'
+                });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * 链上读取ERC-20合约的 symbol / name / decimals，一次JSON-RPC批量请求完成
+     */
+    async fetchFromChain(token) {
+        const chain = getChain(token.chainIndex);
+        const rpcUrl = this.options.rpcUrls[chain.key] || chain.rpcUrl;
+        if (!chain.evm || !rpcUrl) {
+            return null;
+        }
+
+        const methods = Object.keys(ERC20_SELECTORS);
+        try {
+            const response = await axios.post(rpcUrl, methods.map((method, id) => ({
+                jsonrpc: '2.0',
+                id,
+                method: 'eth_call',
+                params: [{ to: token.address, data: ERC20_SELECTORS[method] }, 'latest']
+            })), { timeout: this.options.rpcTimeoutMs });
+
+            const byId = new Map((Array.isArray(response.data) ? response.data : []).map(item => [item.id, item.result]));
+            const symbol = decodeAbiString(byId.get(0));
+            if (!symbol) {
+                logger.debug(`链上未读取到 ${token.address} 的 symbol`);
+                return null;
+            }
+            logger.debug(`链上读取到代币信息: ${symbol}`);
+            return {
+                symbol,
+                name: decodeAbiString(byId.get(1)) || symbol,
+                decimals: decodeAbiUint(byId.get(2)),
+                logoUrl: null,
+                source: 'rpc'
+            };
+        } catch (error) {
+            logger.error(`链上读取 ${token.address} 元数据失败 (${chain.name})`, { error });
+            return null;
+        }
+    }
+}
+
+module.exports = {
+    TokenMetadataService,
+    decodeAbiString,
+    decodeAbiUint
+};
@@ -0,0 +1,275 @@
+/**
+ * 监控列表文件
+ * 从 config/watchlist.json 读取需要长期监控的代币，文件修改后自动重新加载：
+ * 新增的代币立即预热K线，移除或禁用的代币从K线缓存和策略状态缓存中清除
+ *
+ * 文件格式：
+ * {
+ *   "tokens": [
+ *     {
+ *       "chain": "bsc",
+ *       "address": "0x...",
+ *       "label": "CAKE 长期仓位",
+ *       "tags": ["defi", "core"],
+ *       "enabled": true,
+ *       "strategies": ["ema_bullish_alignment"],
+ *       "timeframes": ["15m", "1H"],
+ *       "routes": ["telegram"]
+ *     }
+ *   ]
+ * }
+ *
+ * chain 默认为 bsc；label、tags 显示在告警中；enabled 为 false 时不监控
+ * strategies 限定该代币检测的策略，timeframes 限定该代币缓存的K线周期（需包含策略及其确认条件用到的周期），
+ * routes 限定该代币告警发送的通知渠道；不设置时使用全局配置
+ */
+
+const fs = require('fs');
+const { getChain, normalizeAddress } = require('./chains');
+const { isSupportedTimeframe } = require('./timeframes');
+const logger = require('./logger').logger.child({ module: 'watchlist' });
+
+class WatchlistFile {
+    constructor(analyzer, options = {}) {
+        this.analyzer = analyzer;
+        this.options = {
+            filePath: 'config/watchlist.json',
+            pollIntervalSeconds: 10, // 检查文件修改的间隔
+            ...options
+        };
+        this.entries = this.read();
+        this.reloading = null;
+        this.watching = false;
+    }
+
+    /**
+     * 读取并校验文件，文件不存在时返回空列表
+     */
+    read() {
+        const { filePath } = this.options;
+        if (!filePath || !fs.existsSync(filePath)) {
+            return [];
+        }
+
+        const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const items = Array.isArray(config) ? config : config.tokens;
+        if (!Array.isArray(items)) {
+            throw new Error(`监控列表文件 ${filePath} 格式错误，应为代币数组或 { "tokens": [...] }`);
+        }
+
+        const entries = new Map();
+        for (const item of items) {
+            const token = this.validateEntry(item);
+            const tokenKey = this.analyzer.getTokenKey(token);
+            if (entries.has(tokenKey)) {
+                throw new Error(`监控列表文件中代币重复: ${tokenKey}`);
+            }
+            entries.set(tokenKey, token);
+        }
+        return Array.from(entries.values()).filter(token => token.enabled);
+    }
+
+    /**
+     * 校验单个条目，返回监控列表使用的代币对象
+     */
+    validateEntry(item) {
+        if (!item.address) {
+            throw new Error('监控列表条目缺少 address 字段');
+        }
+        const chain = getChain(item.chain || 'bsc');
+        const address = normalizeAddress(chain.chainIndex, item.address);
+
+        const readList = field => {
+            const value = item[field];
+            if (value === undefined || value === null) {
+                return null;
+            }
+            if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string')) {
+                throw new Error(`监控列表条目 ${address} 的 ${field} 应为字符串数组`);
+            }
+            return value;
+        };
+
+        const strategies = readList('strategies');
+        for (const name of strategies || []) {
+            if (!this.analyzer.strategyEngine.getStrategy(name)) {
+                throw new Error(`监控列表条目 ${address} 引用了不存在的策略: ${name}`);
+            }
+        }
+        const timeframes = readList('timeframes');
+        for (const timeframe of timeframes || []) {
+            if (!isSupportedTimeframe(timeframe)) {
+                throw new Error(`监控列表条目 ${address} 使用了不支持的K线周期: ${timeframe}`);
+            }
+        }
+
+        return {
+            chainIndex: chain.chainIndex,
+            symbol: `TOKEN_${address.slice(-4).toUpperCase()}`,
+            address,
+            source: 'watchlist',
+            label: item.label || null,
+            tags: readList('tags') || [],
+            enabled: item.enabled !== false,
+            strategies,
+            timeframes,
+            routes: readList('routes')
+        };
+    }
+
+    /**
+     * 文件中条目用到的K线周期，构造分析器时加入调度周期
+     */
+    getTimeframes() {
+        return [...new Set(this.entries.flatMap(token => token.timeframes || []))];
+    }
+
+    /**
+     * 将文件中的代币加入监控列表（启动时调用），同一代币已由候选代币发现加入时以文件配置为准
+     */
+    load() {
+        for (const token of this.entries) {
+            this.checkEntry(token);
+            this.analyzer.watchlist.set(this.analyzer.getTokenKey(token), token);
+        }
+        if (this.entries.length > 0) {
+            logger.info(`📄 已从 ${this.options.filePath} 加载 ${this.entries.length} 个监控代币`);
+        }
+    }
+
+    /**
+     * 对只能在运行时发现的问题给出提示：未调度的周期、未启用的通知渠道
+     */
+    checkEntry(token) {
+        const label = token.label || token.address;
+        const unscheduled = (token.timeframes || []).filter(timeframe => !this.analyzer.timeframes.includes(timeframe));
+        if (unscheduled.length > 0) {
+            logger.warn(`⚠️ 监控列表条目 ${label} 的周期 ${unscheduled.join(', ')} 未在调度中，需重启后生效`);
+        }
+        const channels = this.analyzer.notifier.notifiers.map(notifier => notifier.name);
+        const disabled = (token.routes || []).filter(route => !channels.includes(route));
+        if (disabled.length > 0) {
+            logger.warn(`⚠️ 监控列表条目 ${label} 的通知渠道 ${disabled.join(', ')} 未启用，将被忽略`);
+        }
+    }
+
+    /**
+     * 重新读取文件并与当前监控列表比较：新增的代币预热K线，移除的代币清除缓存，配置变化的代币更新覆盖项
+     * 文件格式错误时保留当前列表
+     */
+    async reload() {
+        let entries;
+        try {
+            entries = this.read();
+        } catch (error) {
+            logger.error(`❌ 重新加载监控列表文件失败，保留当前列表`, { error });
+            return null;
+        }
+
+        const analyzer = this.analyzer;
+        const nextKeys = new Set(entries.map(token => analyzer.getTokenKey(token)));
+        const removed = analyzer.getWatchedTokens().filter(token =>
+            token.source === 'watchlist' && !nextKeys.has(analyzer.getTokenKey(token))
+        );
+        const added = [];
+        const updated = [];
+
+        for (const token of removed) {
+            analyzer.removeWatchedToken(token);
+        }
+        for (const token of entries) {
+            this.checkEntry(token);
+            const current = analyzer.watchlist.get(analyzer.getTokenKey(token));
+            if (!current || current.source !== 'watchlist') {
+                added.push(token);
+            } else if (this.hasChanged(current, token)) {
+                await this.applyOverrides(current, token);
+                updated.push(current);
+            }
+        }
+        if (added.length > 0) {
+            await analyzer.metadata.resolve(added);
+        }
+        for (const token of added) {
+            // 已由候选代币发现或命令加入的代币，先移除再按文件配置重新加入
+            const current = analyzer.watchlist.get(analyzer.getTokenKey(token));
+            if (current) {
+                analyzer.removeWatchedToken(current);
+            }
+            await analyzer.addWatchedToken(token);
+        }
+
+        this.entries = entries;
+        logger.info(`📄 监控列表文件已重新加载: 新增 ${added.length} 个，移除 ${removed.length} 个，更新 ${updated.length} 个`);
+        if (added.length + removed.length + updated.length > 0) {
+            await analyzer.saveState();
+        }
+        return { added, removed, updated };
+    }
+
+    /**
+     * 判断条目的显示信息或覆盖项是否变化
+     */
+    hasChanged(current, next) {
+        return ['label', 'tags', 'strategies', 'timeframes', 'routes']
+            .some(field => JSON.stringify(current[field] ?? null) !== JSON.stringify(next[field] ?? null));
+    }
+
+    /**
+     * 更新已监控代币的覆盖项：不再使用的周期清除缓存，新增的周期预热K线
+     */
+    async applyOverrides(current, next) {
+        const analyzer = this.analyzer;
+        const before = analyzer.getTokenTimeframes(current);
+        Object.assign(current, {
+            label: next.label,
+            tags: next.tags,
+            strategies: next.strategies,
+            timeframes: next.timeframes,
+            routes: next.routes
+        });
+        const after = analyzer.getTokenTimeframes(current);
+
+        analyzer.purgeTokenCache(current, before.filter(timeframe => !after.includes(timeframe)));
+        if (analyzer.isInitialized) {
+            for (const timeframe of after.filter(item => !before.includes(item))) {
+                await analyzer.initializeTokenKlineCache(current, timeframe);
+            }
+        }
+    }
+
+    /**
+     * 开始监听文件修改
+     */
+    start() {
+        if (!this.options.filePath || this.watching) {
+            return;
+        }
+
+        this.watching = true;
+        logger.info(`🕐 监听监控列表文件 ${this.options.filePath} 的修改`);
+        fs.watchFile(this.options.filePath, { interval: this.options.pollIntervalSeconds * 1000 }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) {
+                return;
+            }
+            // 多次修改按顺序依次重新加载
+            this.reloading = (this.reloading || Promise.resolve())
+                .then(() => this.reload())
+                .catch(error => {
+                    logger.error('重新加载监控列表文件出错', { error });
+                });
+        });
+    }
+
+    /**
+     * 停止监听
+     */
+    stop() {
+        if (this.watching) {
+            fs.unwatchFile(this.options.filePath);
+            this.watching = false;
+        }
+    }
+}
+
+module.exports = WatchlistFile;
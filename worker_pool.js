@@ -0,0 +1,37 @@
+/**
+ * 有界并发执行
+ * 最多同时运行 concurrency 个任务；任一任务抛出错误后不再启动新任务，
+ * 等待已启动的任务结束后抛出第一个错误。请求速率由 OKX 客户端的令牌桶统一控制
+ */
+
+/**
+ * 按有界并发对 items 逐个执行 worker，返回与 items 顺序一致的结果
+ */
+async function runWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let firstError = null;
+
+    const runners = Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, async () => {
+        while (firstError === null && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = await worker(items[index], index);
+            } catch (error) {
+                if (firstError === null) {
+                    firstError = error;
+                }
+            }
+        }
+    });
+
+    await Promise.all(runners);
+    if (firstError !== null) {
+        throw firstError;
+    }
+    return results;
+}
+
+module.exports = {
+    runWithConcurrency
+};